@@ -1,16 +1,33 @@
 import express from 'express';
 import 'dotenv/config';
 import cors from 'cors';
-import { rateLimit } from 'express-rate-limit'; 
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit'; 
 import helmet from 'helmet';
 import authRoutes from './src/routes/auth.routes.js';
 import essayRoutes from './src/routes/essay.routes.js';
+import classroomRoutes from './src/routes/classroom.routes.js';
+import topicRoutes from './src/routes/topic.routes.js';
+import adminRoutes from './src/routes/admin.routes.js';
+import metricsRoutes from './src/routes/metrics.routes.js';
+import healthRoutes from './src/routes/health.routes.js';
 import cookieParser from 'cookie-parser'; 
 import { protectRoute } from './src/middlewares/auth.middleware.js';
+import { errorHandler, notFoundHandler } from './src/middlewares/error.middleware.js';
+import { requestContext } from './src/middlewares/request-context.middleware.js';
+import { logger } from './src/logger/index.js';
+import { AppError } from './src/errors/index.js';
+import { startCorrectionWorker, stopCorrectionWorker } from './src/workers/correction.worker.js';
+import { startRetentionWorker, stopRetentionWorker } from './src/workers/retention.worker.js';
+import { disconnectDatabase } from './src/config/db.js';
+import { markShuttingDown, isShuttingDown } from './src/services/health.service.js';
 const FRONTEND_URL = 'http://localhost:5173'; 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Prazo total do encerramento (SIGTERM); passado dele, o processo sai com o que estiver em andamento
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 30000);
+// Depois de drenar as correções, espera isso pelas requisições abertas (ex.: streams SSE) antes de fechá-las
+const OPEN_CONNECTIONS_GRACE_MS = 5000;
 
 app.use(helmet());
 app.use(cors({
@@ -27,18 +44,86 @@ app.use(express.json());
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: true })); // Para dados de formulário
 app.set('trust proxy', 1);
+// Checagens do orquestrador ficam fora dos logs de requisição e do /metrics
+app.use(healthRoutes);
+// Depois dos parsers do corpo: callbacks de stream perderiam o contexto da requisição
+app.use(requestContext);
+
+// Limite estourado segue o formato de erro da API ({ code, message, details })
+const rateLimitHandler = (req, res, next) => {
+  next(new AppError('Muitas requisições desta API. Por favor, tente novamente mais tarde.', { status: 429, code: 'RATE_LIMITED' }));
+};
 
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 60,
-  message: 'Muitas requisições desta API. Por favor, tente novamente mais tarde.'
+  handler: rateLimitHandler,
+});
+
+// Rotas autenticadas limitam por usuário: uma turma inteira atrás do mesmo IP não divide o limite.
+// O custo com o modelo é controlado pela cota do plano (src/config/plans.js).
+const userLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  keyGenerator: (req) => req.user?.id ?? ipKeyGenerator(req.ip),
+  handler: rateLimitHandler,
 });
 
+app.use('/metrics', metricsRoutes);
 app.use('/auth', apiLimiter, authRoutes);
-app.use('/api/essays', protectRoute, apiLimiter, essayRoutes);
+app.use('/api/essays', protectRoute, userLimiter, essayRoutes);
+app.use('/api/classrooms', protectRoute, userLimiter, classroomRoutes);
+app.use('/api/topics', protectRoute, userLimiter, topicRoutes);
+app.use('/api/admin', protectRoute, userLimiter, adminRoutes);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-app.listen(PORT, () =>
-  console.log(`🚀 Cicone's Server running on port ${PORT}!`)
+const server = app.listen(PORT, () =>
+  logger.info(`🚀 Cicone's Server running on port ${PORT}!`, { port: PORT })
 );
 
+// O worker pode rodar em outro processo: CORRECTION_WORKER_ENABLED=false desliga aqui
+if (process.env.CORRECTION_WORKER_ENABLED !== 'false') {
+  startCorrectionWorker();
+}
+
+// Retenção das redações (ESSAY_RETENTION_MONTHS); com várias instâncias, RETENTION_WORKER_ENABLED=false desliga nas demais
+if (process.env.RETENTION_WORKER_ENABLED !== 'false') {
+  startRetentionWorker();
+}
+
+/**
+ * Encerramento gracioso: /readyz passa a responder 503, o servidor para de aceitar conexões,
+ * o worker termina as correções em andamento (sem reservar novas) e só então a conexão
+ * com o banco é fechada. Jobs ainda na fila ficam para o próximo processo.
+ */
+const shutdown = async (signal) => {
+  if (isShuttingDown()) return;
+  markShuttingDown();
+  logger.info('Encerrando o servidor', { signal });
+
+  // Correções interrompidas pelo prazo voltam para a fila quando a trava do job expira
+  setTimeout(() => {
+    logger.error('Prazo de encerramento esgotado; saindo com trabalho em andamento', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+
+  const serverClosed = new Promise(resolve => server.close(resolve));
+  server.closeIdleConnections();
+
+  await Promise.all([stopCorrectionWorker(), stopRetentionWorker()]);
+  logger.info('Correções em andamento concluídas');
+
+  setTimeout(() => server.closeAllConnections(), OPEN_CONNECTIONS_GRACE_MS).unref();
+  await serverClosed;
+  await disconnectDatabase();
+
+  logger.info('Servidor encerrado');
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 export default app;
\ No newline at end of file
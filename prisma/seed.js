@@ -0,0 +1,109 @@
+// Seed do banco de temas com propostas oficiais do ENEM.
+// Os textos motivadores são resumos dos textos da prova, com a referência da fonte original.
+// Uso: npx prisma db seed
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+
+const prisma = new PrismaClient();
+
+const ENEM_TOPICS = [
+  {
+    year: 2024,
+    title: 'Desafios para a valorização da herança africana no Brasil',
+    motivationalTexts: [
+      { title: 'Lei 10.639/2003', content: 'A lei tornou obrigatório o ensino de história e cultura afro-brasileira nas escolas de ensino fundamental e médio, reconhecendo a contribuição dos povos africanos na formação da sociedade brasileira.', source: 'Lei nº 10.639, de 9 de janeiro de 2003' },
+      { title: 'Herança no cotidiano', content: 'Palavras, alimentos, ritmos musicais, religiões e saberes de origem africana fazem parte do cotidiano brasileiro, mas muitas vezes não são reconhecidos como tal.', source: 'Resumo da proposta de redação do ENEM 2024' },
+    ],
+  },
+  {
+    year: 2023,
+    title: 'Desafios para o enfrentamento da invisibilidade do trabalho de cuidado realizado pela mulher no Brasil',
+    motivationalTexts: [
+      { title: 'Divisão desigual', content: 'Pesquisas do IBGE mostram que as mulheres dedicam quase o dobro de horas semanais que os homens aos afazeres domésticos e ao cuidado de pessoas.', source: 'IBGE, Pesquisa Nacional por Amostra de Domicílios Contínua' },
+      { title: 'Trabalho não remunerado', content: 'O cuidado com filhos, idosos e pessoas doentes sustenta a economia, mas não é remunerado nem contabilizado, o que limita a participação feminina no mercado de trabalho.', source: 'Resumo da proposta de redação do ENEM 2023' },
+    ],
+  },
+  {
+    year: 2022,
+    title: 'Desafios para a valorização de comunidades e povos tradicionais no Brasil',
+    motivationalTexts: [
+      { title: 'Decreto 6.040/2007', content: 'O decreto instituiu a Política Nacional de Desenvolvimento Sustentável dos Povos e Comunidades Tradicionais, definidos como grupos culturalmente diferenciados que ocupam e usam territórios e recursos naturais para sua reprodução cultural, social e econômica.', source: 'Decreto nº 6.040, de 7 de fevereiro de 2007' },
+      { title: 'Diversidade', content: 'Quilombolas, indígenas, ribeirinhos, caiçaras e quebradeiras de coco babaçu estão entre os grupos que enfrentam disputas territoriais e invisibilidade.', source: 'Resumo da proposta de redação do ENEM 2022' },
+    ],
+  },
+  {
+    year: 2021,
+    title: 'Invisibilidade e registro civil: garantia de acesso à cidadania no Brasil',
+    motivationalTexts: [
+      { title: 'Certidão de nascimento', content: 'A certidão de nascimento é o primeiro documento do cidadão e condição para obter os demais documentos e acessar serviços públicos como saúde, educação e programas sociais.', source: 'Resumo da proposta de redação do ENEM 2021' },
+      { title: 'Sub-registro', content: 'Parte das crianças brasileiras não é registrada no primeiro ano de vida, sobretudo nas regiões Norte e Nordeste, o que as torna invisíveis para o Estado.', source: 'IBGE, Estatísticas do Registro Civil' },
+    ],
+  },
+  {
+    year: 2020,
+    title: 'O estigma associado às doenças mentais na sociedade brasileira',
+    motivationalTexts: [
+      { title: 'Depressão', content: 'A Organização Mundial da Saúde aponta o Brasil entre os países com maior prevalência de depressão e de transtornos de ansiedade.', source: 'Organização Mundial da Saúde' },
+      { title: 'Preconceito', content: 'O estigma faz com que muitas pessoas evitem procurar tratamento por medo de serem rotuladas como fracas ou incapazes.', source: 'Resumo da proposta de redação do ENEM 2020' },
+    ],
+  },
+  {
+    year: 2019,
+    title: 'Democratização do acesso ao cinema no Brasil',
+    motivationalTexts: [
+      { title: 'Concentração das salas', content: 'As salas de cinema estão concentradas nas capitais e grandes cidades, e a maior parte dos municípios brasileiros não tem nenhuma.', source: 'Agência Nacional do Cinema (Ancine)' },
+      { title: 'Cinema como direito', content: 'O cinema é uma forma de acesso à cultura e à reflexão crítica, mas o preço dos ingressos e a distância afastam parte da população.', source: 'Resumo da proposta de redação do ENEM 2019' },
+    ],
+  },
+  {
+    year: 2018,
+    title: 'Manipulação do comportamento do usuário pelo controle de dados na internet',
+    motivationalTexts: [
+      { title: 'Algoritmos', content: 'Plataformas digitais usam os dados de navegação para selecionar o conteúdo exibido a cada usuário, formando bolhas de informação que reforçam opiniões prévias.', source: 'Resumo da proposta de redação do ENEM 2018' },
+      { title: 'Proteção de dados', content: 'A Lei Geral de Proteção de Dados Pessoais estabelece regras para a coleta e o tratamento de dados pessoais por empresas e pelo poder público.', source: 'Lei nº 13.709, de 14 de agosto de 2018' },
+    ],
+  },
+  {
+    year: 2017,
+    title: 'Desafios para a formação educacional de surdos no Brasil',
+    motivationalTexts: [
+      { title: 'Libras', content: 'A Língua Brasileira de Sinais é reconhecida como meio legal de comunicação e expressão, e sua difusão deve ser garantida pelo poder público.', source: 'Lei nº 10.436, de 24 de abril de 2002' },
+      { title: 'Inclusão escolar', content: 'A falta de intérpretes e de professores bilíngues dificulta a permanência de estudantes surdos nas escolas e no ensino superior.', source: 'Resumo da proposta de redação do ENEM 2017' },
+    ],
+  },
+  {
+    year: 2016,
+    title: 'Caminhos para combater a intolerância religiosa no Brasil',
+    motivationalTexts: [
+      { title: 'Liberdade de crença', content: 'A Constituição Federal declara inviolável a liberdade de consciência e de crença e assegura o livre exercício dos cultos religiosos.', source: 'Constituição Federal de 1988, art. 5º, VI' },
+      { title: 'Denúncias', content: 'Religiões de matriz africana são as principais vítimas das denúncias de intolerância religiosa registradas no país.', source: 'Resumo da proposta de redação do ENEM 2016' },
+    ],
+  },
+  {
+    year: 2015,
+    title: 'A persistência da violência contra a mulher na sociedade brasileira',
+    motivationalTexts: [
+      { title: 'Lei Maria da Penha', content: 'A lei criou mecanismos para coibir a violência doméstica e familiar contra a mulher, como as medidas protetivas de urgência.', source: 'Lei nº 11.340, de 7 de agosto de 2006' },
+      { title: 'Feminicídio', content: 'Apesar dos avanços legais, o Brasil segue entre os países com as maiores taxas de homicídio de mulheres, muitas vezes cometido por parceiros ou ex-parceiros.', source: 'Resumo da proposta de redação do ENEM 2015' },
+    ],
+  },
+];
+
+async function main() {
+  for (const topic of ENEM_TOPICS) {
+    // upsert pelo título: rodar o seed de novo não duplica os temas
+    await prisma.topic.upsert({
+      where: { title: topic.title },
+      update: { year: topic.year, motivationalTexts: topic.motivationalTexts, isOfficial: true },
+      create: { ...topic, isOfficial: true },
+    });
+  }
+  console.log(`🌱 ${ENEM_TOPICS.length} temas do ENEM cadastrados.`);
+}
+
+main()
+  .catch((err) => {
+    console.error('Erro ao popular o banco de temas:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,56 @@
+// src/config/achievements.js
+
+/**
+ * Conquistas, definidas como regras sobre as correções do aluno (avaliadas em achievement.service).
+ * Tipos de regra:
+ * - graded_essays { count }: redações corrigidas
+ * - grade_at_least { score, count }: redações com nota final >= score
+ * - competency_score { competency, score, count }: redações com a competência >= score
+ * - competency_improvement { points, competency? }: maior subida de uma competência (ou de qualquer uma) entre correções
+ * - weekly_streak { weeks }: semanas seguidas (segunda a domingo, UTC) com ao menos uma correção
+ * Os ids ficam salvos nos desbloqueios: não renomeie uma conquista existente.
+ */
+export const ACHIEVEMENTS = [
+    {
+        id: 'first_essay',
+        title: 'Primeiro Passo',
+        description: 'Submeta sua primeira redação.',
+        rule: { type: 'graded_essays', count: 1 },
+    },
+    {
+        id: 'five_essays',
+        title: 'Cinco na Conta',
+        description: 'Submeta 5 redações.',
+        rule: { type: 'graded_essays', count: 5 },
+    },
+    {
+        id: 'road_to_1000',
+        title: 'Quase Perfeito',
+        description: 'Alcance uma nota de 900+.',
+        rule: { type: 'grade_at_least', score: 900, count: 1 },
+    },
+    {
+        id: 'master_c5',
+        title: 'Mestre da Proposta',
+        description: 'Alcance 200 pontos na Competência 5.',
+        rule: { type: 'competency_score', competency: 'c5', score: 200, count: 1 },
+    },
+    {
+        id: 'five_above_800',
+        title: 'Constância',
+        description: 'Alcance 800+ em 5 redações.',
+        rule: { type: 'grade_at_least', score: 800, count: 5 },
+    },
+    {
+        id: 'competency_leap',
+        title: 'Salto de Qualidade',
+        description: 'Melhore 80 pontos em uma competência.',
+        rule: { type: 'competency_improvement', points: 80 },
+    },
+    {
+        id: 'weekly_streak_4',
+        title: 'Ritmo de Prova',
+        description: 'Envie redações em 4 semanas seguidas.',
+        rule: { type: 'weekly_streak', weeks: 4 },
+    },
+];
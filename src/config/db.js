@@ -1,16 +1,18 @@
-// Configurações (db, dotenv, etc.)
-import mongoose from 'mongoose';
+// src/config/db.js
 
-export async function connectDB() {
-  try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true
-    });
-    console.log('🆗 MongoDB conectado!');
-  } catch (err) {
-    console.error('Erro ao conectar no Mongo', err);
-    process.exit(1);
-  }
-}
+import { PrismaClient } from '@prisma/client';
 
+/**
+ * Cliente Prisma único do processo: serviços, controllers e middlewares compartilham o
+ * mesmo pool de conexões, fechado uma vez só no encerramento (disconnectDatabase).
+ */
+export const prisma = new PrismaClient();
+
+/**
+ * Confere se o banco responde (comando 'ping' do MongoDB).
+ */
+export const pingDatabase = () => prisma.$runCommandRaw({ ping: 1 });
+
+export const disconnectDatabase = () => prisma.$disconnect();
+
+export default prisma;
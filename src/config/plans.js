@@ -0,0 +1,21 @@
+// src/config/plans.js
+
+/**
+ * Planos de uso. 'corrections' é o número de correções que o usuário pode pedir
+ * por período ('day', 'week' ou 'month', contados em UTC); null = sem limite.
+ */
+export const PLANS = {
+    free: { corrections: 5, period: 'week' },
+    pro: { corrections: 50, period: 'week' },
+    school: { corrections: 300, period: 'month' },
+    unlimited: { corrections: null, period: 'month' },
+};
+
+/**
+ * Plano de quem não tem um plano conhecido em User.plan. Um valor fora de PLANS impede a API de subir.
+ */
+export const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+
+if (!PLANS[DEFAULT_PLAN]) {
+    throw new Error(`DEFAULT_PLAN inválido: '${DEFAULT_PLAN}'. Use um de: ${Object.keys(PLANS).join(', ')}.`);
+}
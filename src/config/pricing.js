@@ -0,0 +1,24 @@
+// src/config/pricing.js
+
+/**
+ * Preço de cada modelo em USD por 1 milhão de tokens, usado só para estimar o custo
+ * das correções. Modelos fora da tabela têm custo estimado zero.
+ */
+export const MODEL_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.5-pro': { input: 1.25, output: 10.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'gpt-4o': { input: 2.50, output: 10.00 },
+    'fake-deterministic': { input: 0, output: 0 },
+};
+
+/**
+ * Custo estimado (USD) de uma chamada a partir do consumo de tokens.
+ */
+export const estimateCost = (model, { promptTokens = 0, completionTokens = 0 } = {}) => {
+    const pricing = MODEL_PRICING[model];
+    if (!pricing) return 0;
+
+    return (promptTokens * pricing.input + completionTokens * pricing.output) / 1_000_000;
+};
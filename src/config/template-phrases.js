@@ -0,0 +1,24 @@
+// src/config/template-phrases.js
+
+/**
+ * Trechos de "redações prontas" que circulam em cursinhos e na internet. Usar um deles
+ * não é proibido; o que a verificação de similaridade aponta é o texto montado quase
+ * só com esses moldes. A comparação ignora acentos, caixa e pontuação.
+ */
+export const TEMPLATE_PHRASES = [
+    'Na obra Utopia, o escritor inglês Thomas More retrata uma sociedade perfeita',
+    'A Constituição Federal de 1988, documento jurídico mais importante do país',
+    'Segundo o filósofo Zygmunt Bauman, vivemos em uma modernidade líquida',
+    'De acordo com o filósofo grego Aristóteles, a política deve ser um meio para alcançar o bem comum',
+    'O sociólogo Émile Durkheim define o fato social',
+    'Entretanto, tal prerrogativa não tem se concretizado na prática',
+    'Em primeiro plano, é válido ressaltar que',
+    'Em segundo plano, é importante destacar que',
+    'Nesse contexto, torna-se evidente que',
+    'Sob essa ótica, é fundamental que',
+    'Diante do exposto, é imprescindível que',
+    'Portanto, medidas são necessárias para resolver o impasse',
+    'por meio de campanhas publicitárias veiculadas nas mídias sociais',
+    'Assim, será possível construir uma sociedade mais justa e igualitária',
+    'O Ministério da Educação, órgão responsável pela',
+];
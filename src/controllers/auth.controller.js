@@ -1,170 +1,326 @@
 // back/src/controllers/auth.controller.js
 
-import { PrismaClient } from '@prisma/client';
+import { prisma } from '../config/db.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
-import { v2 as cloudinary } from 'cloudinary';
+import cloudinary from '../config/cloudinary.js';
+import { PROFILE_PIC_FOLDER } from '../services/media.service.js';
+import { getAccessToken } from '../middlewares/auth.middleware.js';
+import {
+    ACCESS_TOKEN_TTL_MINUTES,
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeSessionByRefreshToken,
+    revokeAllSessions,
+    listSessions,
+} from '../services/session.service.js';
+import {
+    sendVerificationEmail,
+    resendVerificationEmail,
+    verifyEmail as verifyEmailToken,
+    requestPasswordReset,
+    resetPassword as resetPasswordWithToken,
+} from '../services/account.service.js';
+import { deleteOwnAccount, getPersonalData } from '../services/privacy.service.js';
+import { AppError, ConflictError, ValidationError, ExternalServiceError, UnauthorizedError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
 
-const prisma = new PrismaClient();
+const REFRESH_COOKIE = 'refreshToken';
 
-// Configuração do Cloudinary (Mantenha sua configuração real aqui)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const cookieOptions = {
+    httpOnly: true, // Previne ataques XSS
+
+    // 🚨 CORREÇÃO FINAL OBRIGATÓRIA: Para cookies cross-site (localhost <-> Render HTTPS)
+    sameSite: "None", 
+    secure: true, // 'SameSite: None' requer 'Secure: true'
+};
+
+// O refresh token só é enviado para as rotas de /auth
+const refreshCookieOptions = { ...cookieOptions, path: '/auth' };
 
 /**
- * Gera o JWT, configura-o como cookie e retorna o token gerado.
+ * Configura o access token (cookie 'jwt') e o refresh token como cookies.
  */
-const generateTokenAndSetCookie = (userId, res) => {
-    const token = jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-        expiresIn: '15d',
+const setAuthCookies = (res, tokens) => {
+    res.cookie('jwt', tokens.accessToken, {
+        ...cookieOptions,
+        maxAge: ACCESS_TOKEN_TTL_MINUTES * 60 * 1000,
     });
-    res.cookie('jwt', token, {
-        maxAge: 15 * 24 * 60 * 60 * 1000, // 15 days
-        httpOnly: true, // Previne ataques XSS
-        
-        // 🚨 CORREÇÃO FINAL OBRIGATÓRIA: Para cookies cross-site (localhost <-> Render HTTPS)
-        sameSite: "None", 
-        secure: true, // 'SameSite: None' requer 'Secure: true'
+    res.cookie(REFRESH_COOKIE, tokens.refreshToken, {
+        ...refreshCookieOptions,
+        expires: tokens.refreshTokenExpiresAt,
     });
-    return token; 
 };
 
+const clearAuthCookies = (res) => {
+    res.clearCookie('jwt', cookieOptions);
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+};
+
+const getRequestDevice = (req) => ({
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+});
+
+/**
+ * Abre uma sessão para o usuário, configura os cookies e retorna os tokens gerados.
+ */
+const startSession = async (userId, req, res) => {
+    const tokens = await createSession(userId, getRequestDevice(req));
+    setAuthCookies(res, tokens);
+    return tokens;
+};
+
+// Campos obrigatórios, formato do e-mail e papel são checados por validate() nas rotas (src/validators/auth.validators.js)
+
 export const register = async (req, res) => {
-    try {
-        const { name, email, password } = req.body;
-        
-        if (!name || !email || !password) {
-            return res.status(400).json({ message: "Please fill all fields." });
-        }
+    const { name, email, password, role = 'student' } = req.body;
 
-        const user = await prisma.user.findUnique({ where: { email } });
-        if (user) {
-            return res.status(400).json({ message: "Email already in use." });
-        }
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (user) {
+        throw new ConflictError("Email already in use.", { code: 'EMAIL_IN_USE' });
+    }
 
-        const salt = await bcrypt.genSalt(10);
-        const hashedPassword = await bcrypt.hash(password, salt);
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
 
-        const newUser = await prisma.user.create({
-            data: {
-                name,
-                email,
-                password: hashedPassword,
-            },
-        });
+    const newUser = await prisma.user.create({
+        data: {
+            name,
+            email,
+            password: hashedPassword,
+            role,
+        },
+    });
 
-        if (newUser) {
-            const token = generateTokenAndSetCookie(newUser.id, res); 
-            
-            // ✅ RESPOSTA CORRIGIDA: Retorna { token, user }
-            res.status(201).json({
-                token: token,
-                user: {
-                    id: newUser.id,
-                    name: newUser.name,
-                    email: newUser.email,
-                    profilePic: newUser.profilePic,
-                }
-            });
-        } else {
-            res.status(400).json({ message: "Invalid user data." });
+    // Falha no envio não impede o cadastro: o link pode ser reenviado depois
+    await sendVerificationEmail(newUser).catch(error => {
+        logger.error('Error sending verification email', { error: error.message });
+    });
+
+    const tokens = await startSession(newUser.id, req, res); 
+    
+    // ✅ RESPOSTA CORRIGIDA: Retorna { token, refreshToken, user }
+    res.status(201).json({
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        user: {
+            id: newUser.id,
+            name: newUser.name,
+            email: newUser.email,
+            profilePic: newUser.profilePic,
+            role: newUser.role,
+            emailVerified: false,
         }
-    } catch (error) {
-        console.error("Error in register controller:", error.message);
-        res.status(500).json({ message: "Internal Server Error" });
-    }
+    });
 };
 
 export const login = async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        
-        // ✅ CORREÇÃO PRISMA: Garante que a senha é buscada para comparação
-        const user = await prisma.user.findUnique({ 
-            where: { email },
-            select: { 
-                id: true,
-                name: true,
-                email: true,
-                password: true, // ESSENCIAL: Permite a comparação
-                profilePic: true,
-            }
-        }); 
-
-        if (!user) {
-            return res.status(400).json({ message: "Invalid credentials." });
+    const { email, password } = req.body;
+    
+    // ✅ CORREÇÃO PRISMA: Garante que a senha é buscada para comparação
+    const user = await prisma.user.findUnique({ 
+        where: { email },
+        select: { 
+            id: true,
+            name: true,
+            email: true,
+            password: true, // ESSENCIAL: Permite a comparação
+            profilePic: true,
+            role: true,
+            emailVerifiedAt: true,
         }
-        
-        const isPasswordCorrect = await bcrypt.compare(password, user.password); 
-        if (!isPasswordCorrect) {
-            return res.status(400).json({ message: "Invalid credentials." });
+    }); 
+
+    // Mesmo erro para e-mail inexistente e senha errada
+    const isPasswordCorrect = user ? await bcrypt.compare(password, user.password) : false;
+    if (!isPasswordCorrect) {
+        throw new AppError("Invalid credentials.", { status: 400, code: 'INVALID_CREDENTIALS' });
+    }
+
+    const tokens = await startSession(user.id, req, res); 
+    
+    // ✅ RESPOSTA CORRIGIDA: Retorna { token, refreshToken, user }
+    res.status(200).json({
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        user: {
+            id: user.id,
+            name: user.name,
+            email: user.email,
+            profilePic: user.profilePic,
+            role: user.role,
+            emailVerified: Boolean(user.emailVerifiedAt),
         }
+    });
+};
+
+export const updateProfilePic = async (req, res) => {
+    if (!req.file) {
+        throw new ValidationError("Nenhum arquivo enviado. Por favor, selecione uma imagem.", { code: 'FILE_REQUIRED' });
+    }
+
+    let user = req.user;
+    
+    // 🚨 CORREÇÃO CRÍTICA: Sintaxe da Data URI
+    // 1. Converte o Buffer em uma string Base64 limpa
+    const base64Image = req.file.buffer.toString('base64');
+    
+    // 2. Monta a Data URI com o tipo MIME e a codificação corretas.
+    const dataURI = `data:${req.file.mimetype};base64,${base64Image}`;
+
+    // A lógica de upload de imagem para o Cloudinary
+    const result = await cloudinary.uploader.upload(dataURI, {
+        folder: PROFILE_PIC_FOLDER, // Boa prática de organização
+        public_id: user.id, // Usa o ID do usuário para facilitar o gerenciamento
+        overwrite: true, // Garante que a foto antiga seja substituída
+    }).catch(error => {
+        logger.error('Erro ao atualizar a foto de perfil', { error: error.message });
+        return null;
+    });
+    
+    if (!result || !result.secure_url) {
+        throw new ExternalServiceError("Falha ao enviar a imagem para o Cloudinary. Tente novamente.", { code: 'UPLOAD_FAILED' });
+    }
+
+    user = await prisma.user.update({
+        where: { id: user.id },
+        data: { profilePic: result.secure_url },
+        select: { id: true, name: true, email: true, profilePic: true, role: true },
+    });
+
+    res.status(200).json({
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        profilePic: user.profilePic,
+        role: user.role,
+    });
+};
+
+/**
+ * Troca o refresh token (cookie ou corpo) por um novo par de tokens.
+ */
+export const refresh = async (req, res) => {
+    const refreshToken = req.cookies[REFRESH_COOKIE] || req.body?.refreshToken;
+    if (!refreshToken) {
+        throw new UnauthorizedError("No refresh token provided.", { code: 'NO_REFRESH_TOKEN' });
+    }
+
+    try {
+        const tokens = await rotateRefreshToken(refreshToken, getRequestDevice(req));
+        setAuthCookies(res, tokens);
 
-        const token = generateTokenAndSetCookie(user.id, res); 
-        
-        // ✅ RESPOSTA CORRIGIDA: Retorna { token, user }
         res.status(200).json({
-            token: token,
-            user: {
-                id: user.id,
-                name: user.name,
-                email: user.email,
-                profilePic: user.profilePic,
-            }
+            token: tokens.accessToken,
+            refreshToken: tokens.refreshToken,
         });
     } catch (error) {
-        console.error("Error in login controller:", error.message);
-        res.status(500).json({ message: "Internal Server Error" });
+        // Refresh token recusado: os cookies da sessão não valem mais
+        if (error instanceof UnauthorizedError) {
+            clearAuthCookies(res);
+        }
+        throw error;
     }
 };
 
-export const updateProfilePic = async (req, res) => {
-    try {
-        if (!req.file) {
-            return res.status(400).json({ message: "Nenhum arquivo enviado. Por favor, selecione uma imagem." });
-        }
+/**
+ * Encerra a sessão atual. Aceita o refresh token ou, na falta dele, o access token (mesmo expirado).
+ */
+export const logout = async (req, res) => {
+    const revoked = await revokeSessionByRefreshToken(req.cookies[REFRESH_COOKIE] || req.body?.refreshToken);
 
-        let user = req.user;
-        
-        // 🚨 CORREÇÃO CRÍTICA: Sintaxe da Data URI
-        // 1. Converte o Buffer em uma string Base64 limpa
-        const base64Image = req.file.buffer.toString('base64');
-        
-        // 2. Monta a Data URI com o tipo MIME e a codificação corretas.
-        const dataURI = `data:${req.file.mimetype};base64,${base64Image}`;
-
-        // A lógica de upload de imagem para o Cloudinary
-        const result = await cloudinary.uploader.upload(dataURI, {
-            folder: "essay_corrector_profile_pics", // Boa prática de organização
-            public_id: user.id, // Usa o ID do usuário para facilitar o gerenciamento
-            overwrite: true, // Garante que a foto antiga seja substituída
-        });
-        
-        // ... (restante da lógica de verificação e atualização do Prisma)
-        
-        if (!result || !result.secure_url) {
-            return res.status(500).json({ message: "Falha ao enviar a imagem para o Cloudinary. Tente novamente." });
+    const accessToken = getAccessToken(req);
+    if (!revoked && accessToken) {
+        try {
+            const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+            if (decoded.sid) {
+                await revokeSession(decoded.sid, decoded.id);
+            }
+        } catch {
+            // Token inválido ou sessão já encerrada: basta limpar os cookies
         }
+    }
 
-        user = await prisma.user.update({
-            where: { id: user.id },
-            data: { profilePic: result.secure_url },
-            select: { id: true, name: true, email: true, profilePic: true },
-        });
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logged out successfully." });
+};
 
-        res.status(200).json({
-            id: user.id,
-            name: user.name,
-            email: user.email,
-            profilePic: user.profilePic,
-        });
+export const logoutAll = async (req, res) => {
+    const revokedSessions = await revokeAllSessions(req.user.id);
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Logged out from all devices.", revokedSessions });
+};
 
-    } catch (error) {
-        console.error("Erro ao atualizar a foto de perfil:", error.message);
-        // 🚨 CORREÇÃO: Adicionar 'return' para estabilidade
-        return res.status(500).json({ message: "Erro interno ao atualizar a foto de perfil." });
+export const getSessions = async (req, res) => {
+    const sessions = await listSessions(req.user.id, req.sessionId);
+    res.status(200).json(sessions);
+};
+
+export const deleteSession = async (req, res) => {
+    await revokeSession(req.params.sessionId, req.user.id, 'revoked');
+
+    // Revogar a própria sessão equivale a logout
+    if (req.params.sessionId === req.sessionId) {
+        clearAuthCookies(res);
+    }
+    res.status(200).json({ message: "Session revoked." });
+};
+
+export const forgotPassword = async (req, res) => {
+    await requestPasswordReset(req.body.email);
+    // Mesma resposta para e-mails cadastrados ou não
+    res.status(200).json({ message: "If this email is registered, a reset link has been sent." });
+};
+
+export const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+    await resetPasswordWithToken(token, password);
+    clearAuthCookies(res);
+    res.status(200).json({ message: "Password reset successfully. Please log in again." });
+};
+
+export const verifyEmail = async (req, res) => {
+    const user = await verifyEmailToken(req.body.token);
+    res.status(200).json({ message: "Email verified successfully.", emailVerifiedAt: user.emailVerifiedAt });
+};
+
+export const resendVerification = async (req, res) => {
+    await resendVerificationEmail(req.user.id);
+    res.status(200).json({ message: "Verification email sent." });
+};
+
+/**
+ * Exclui a conta do usuário autenticado (LGPD) depois de conferir a senha.
+ * Contas com dados de outros usuários (turmas, revisões) são anonimizadas no lugar.
+ */
+export const deleteMe = async (req, res) => {
+    const user = await prisma.user.findUnique({ where: { id: req.user.id }, select: { password: true } });
+
+    const isPasswordCorrect = await bcrypt.compare(req.body.password, user.password);
+    if (!isPasswordCorrect) {
+        throw new AppError("Invalid credentials.", { status: 400, code: 'INVALID_CREDENTIALS' });
     }
-};
\ No newline at end of file
+
+    const { result, removed } = await deleteOwnAccount(req.user.id);
+    logger.info('Account removed by its owner', { result, removed });
+
+    clearAuthCookies(res);
+    res.status(200).json({
+        message: result === 'deleted'
+            ? "Account deleted."
+            : "Account anonymized: your classrooms and reviews stay with your students.",
+        result,
+        removed,
+    });
+};
+
+/**
+ * Relatório de acesso (LGPD): tudo o que guardamos sobre o usuário, como arquivo JSON.
+ */
+export const getMyData = async (req, res) => {
+    const data = await getPersonalData(req.user.id);
+    res.attachment(`meus-dados-${data.generatedAt.toISOString().slice(0, 10)}.json`);
+    res.status(200).json(data);
+};
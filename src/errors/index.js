@@ -0,0 +1,73 @@
+// src/errors/index.js
+
+/**
+ * Erro da aplicação com status HTTP e código estável. O errorHandler devolve
+ * { code, message, details } para qualquer AppError; o resto vira 500.
+ */
+export class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export class ValidationError extends AppError {
+    constructor(message, { code = 'VALIDATION_ERROR', details } = {}) {
+        super(message, { status: 400, code, details });
+    }
+}
+
+export class UnauthorizedError extends AppError {
+    constructor(message, { code = 'UNAUTHORIZED', details } = {}) {
+        super(message, { status: 401, code, details });
+    }
+}
+
+export class ForbiddenError extends AppError {
+    constructor(message, { code = 'FORBIDDEN', details } = {}) {
+        super(message, { status: 403, code, details });
+    }
+}
+
+export class NotFoundError extends AppError {
+    constructor(message, { code = 'NOT_FOUND', details } = {}) {
+        super(message, { status: 404, code, details });
+    }
+}
+
+export class ConflictError extends AppError {
+    constructor(message, { code = 'CONFLICT', details } = {}) {
+        super(message, { status: 409, code, details });
+    }
+}
+
+/**
+ * Pedido válido que não pôde ser processado (imagem ilegível, conteúdo bloqueado pelo modelo).
+ */
+export class UnprocessableError extends AppError {
+    constructor(message, { code = 'UNPROCESSABLE', details } = {}) {
+        super(message, { status: 422, code, details });
+    }
+}
+
+/**
+ * Cota do plano esgotada. 'details' traz { plan, limit, used, remaining, resetAt }.
+ */
+export class QuotaExceededError extends AppError {
+    constructor(message, quota) {
+        super(message, { status: 429, code: 'QUOTA_EXCEEDED', details: quota });
+        this.retryAfter = Math.max(Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000), 0);
+    }
+}
+
+/**
+ * Falha de um serviço externo (modelo de correção, Cloudinary). Costuma ser transitória.
+ */
+export class ExternalServiceError extends AppError {
+    constructor(message, { code = 'EXTERNAL_SERVICE_ERROR', details } = {}) {
+        super(message, { status: 502, code, details });
+    }
+}
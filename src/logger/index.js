@@ -0,0 +1,121 @@
+// src/logger/index.js
+
+import { AsyncLocalStorage, AsyncResource } from 'node:async_hooks';
+
+/**
+ * Logs estruturados: uma linha JSON por evento, com o contexto em que o código está rodando
+ * (id da requisição, job de correção, usuário). Segredos e o texto das redações são removidos
+ * antes de gravar.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const minLevel = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+const REDACTED = '[REDACTED]';
+// Chaves (sem caixa, '-' e '_') cujo valor nunca vai para o log
+const SENSITIVE_KEY_PARTS = ['password', 'secret', 'token', 'apikey', 'authorization', 'cookie', 'prompt', 'essaytext'];
+// Chaves exatas que carregam a redação ou a correção; as iniciadas por 'raw', a resposta completa do modelo
+const SENSITIVE_KEYS = ['text', 'content', 'notes'];
+// Credenciais que aparecem no meio de mensagens de erro
+const SECRET_PATTERNS = [
+    [/Bearer\s+[\w.~+/-]+=*/gi, `Bearer ${REDACTED}`],
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+    [/sk-[\w-]{10,}/g, REDACTED],
+    [/AIza[\w-]{20,}/g, REDACTED],
+];
+const MAX_STRING_LENGTH = 1000;
+const MAX_DEPTH = 5;
+const MAX_ARRAY_ITEMS = 50;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Executa 'fn' com os valores somados ao contexto de log atual.
+ */
+export const runWithContext = (values, fn) => storage.run({ ...storage.getStore(), ...values }, fn);
+
+/**
+ * Acrescenta valores ao contexto atual (ex.: o usuário, depois da autenticação).
+ */
+export const setLogContext = (values) => {
+    const store = storage.getStore();
+    if (store) Object.assign(store, values);
+};
+
+export const getLogContext = () => storage.getStore() ?? {};
+
+/**
+ * Prende o callback ao contexto atual. Necessário em callbacks chamados por eventos de
+ * stream (como o fim de um upload), que perdem o contexto da requisição.
+ */
+export const bindToContext = (fn) => AsyncResource.bind(fn);
+
+const isSensitiveKey = (key) => {
+    const normalized = key.toLowerCase().replace(/[-_]/g, '');
+    return SENSITIVE_KEYS.includes(normalized)
+        || normalized.startsWith('raw')
+        || SENSITIVE_KEY_PARTS.some(part => normalized.includes(part));
+};
+
+const redactString = (value) => {
+    const redacted = SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+    return redacted.length > MAX_STRING_LENGTH
+        ? `${redacted.slice(0, MAX_STRING_LENGTH)}…(+${redacted.length - MAX_STRING_LENGTH} caracteres)`
+        : redacted;
+};
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    stack: error.stack,
+});
+
+/**
+ * Cópia do valor pronta para o log: sem campos sensíveis, com strings e listas limitadas.
+ */
+export const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof Error) return redact(serializeError(value), depth);
+    if (depth >= MAX_DEPTH) return '[...]';
+
+    if (Array.isArray(value)) {
+        const items = value.slice(0, MAX_ARRAY_ITEMS).map(item => redact(item, depth + 1));
+        return value.length > MAX_ARRAY_ITEMS ? [...items, `…(+${value.length - MAX_ARRAY_ITEMS} itens)`] : items;
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isSensitiveKey(key) ? REDACTED : redact(item, depth + 1),
+    ]));
+};
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < minLevel) return;
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactString(String(message)),
+        ...getLogContext(),
+        ...redact(fields),
+    };
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * logger.info(mensagem, campos). Um erro vai no campo 'error' e é gravado com nome, código e stack.
+ */
+export const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+};
+
+export default logger;
@@ -0,0 +1,20 @@
+// src/mailer/console.transport.js
+
+import { randomUUID } from 'crypto';
+import { logger } from '../logger/index.js';
+
+/**
+ * Apenas registra o envio no log (destinatário, assunto e id), sem o corpo: os links de
+ * confirmação e de redefinição de senha não vão para o log. Transporte padrão em desenvolvimento;
+ * para ler os e-mails, use o transporte 'file'.
+ */
+const send = async ({ to, subject }) => {
+    const messageId = randomUUID();
+    logger.info('E-mail enviado pelo transporte console', { to, subject, messageId });
+    return { messageId };
+};
+
+export default {
+    name: 'console',
+    send,
+};
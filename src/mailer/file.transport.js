@@ -0,0 +1,26 @@
+// src/mailer/file.transport.js
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+/**
+ * Grava cada e-mail como JSON em MAIL_FILE_DIR, para testes locais sem servidor SMTP.
+ */
+const send = async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.resolve('tmp', 'mail');
+    const messageId = randomUUID();
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(
+        path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${messageId}.json`),
+        JSON.stringify({ messageId, ...message, date: new Date() }, null, 2),
+    );
+
+    return { messageId };
+};
+
+export default {
+    name: 'file',
+    send,
+};
@@ -0,0 +1,39 @@
+// src/mailer/index.js
+
+import smtpTransport from './smtp.transport.js';
+import fileTransport from './file.transport.js';
+import consoleTransport from './console.transport.js';
+import { AppError } from '../errors/index.js';
+
+/**
+ * Transportes de e-mail disponíveis. Todos expõem a mesma interface:
+ * send({ from, to, subject, text, html }) => { messageId }.
+ */
+const transports = {
+    [smtpTransport.name]: smtpTransport,
+    [fileTransport.name]: fileTransport,
+    [consoleTransport.name]: consoleTransport,
+};
+
+// Em produção o transporte precisa ser escolhido: o 'console' só registra o envio e o e-mail não chega
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new AppError(`MAIL_TRANSPORT não definido com NODE_ENV=production. Use um de: ${Object.keys(transports).join(', ')}.`, { code: 'MAIL_TRANSPORT_NOT_CONFIGURED' });
+}
+
+const transportName = process.env.MAIL_TRANSPORT || consoleTransport.name;
+const defaultFrom = process.env.MAIL_FROM || 'Corretor de Redações <no-reply@localhost>';
+
+const getTransport = () => {
+    const transport = transports[transportName];
+    if (!transport) {
+        throw new AppError(`Transporte de e-mail desconhecido: '${transportName}'. Use um de: ${Object.keys(transports).join(', ')}.`, { code: 'MAIL_TRANSPORT_NOT_CONFIGURED' });
+    }
+    return transport;
+};
+
+/**
+ * Envia um e-mail pelo transporte configurado em MAIL_TRANSPORT (padrão 'console', exceto em produção).
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    return getTransport().send({ from: defaultFrom, to, subject, text, html });
+};
@@ -0,0 +1,33 @@
+// src/mailer/smtp.transport.js
+
+let transporter;
+
+/**
+ * O nodemailer é importado sob demanda, só quando o transporte SMTP é usado.
+ */
+const getTransporter = async () => {
+    if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT || 587),
+            // 465 usa TLS direto; as demais portas sobem para TLS com STARTTLS
+            secure: Number(process.env.SMTP_PORT) === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined,
+        });
+    }
+    return transporter;
+};
+
+const send = async (message) => {
+    const client = await getTransporter();
+    const info = await client.sendMail(message);
+    return { messageId: info.messageId };
+};
+
+export default {
+    name: 'smtp',
+    send,
+};
@@ -0,0 +1,128 @@
+// src/metrics/index.js
+
+/**
+ * Métricas do processo no formato de texto do Prometheus (GET /metrics). Os valores são
+ * do processo atual: com o worker de correções em outro processo (CORRECTION_WORKER_ENABLED=false),
+ * as métricas de correção ficam no /metrics dele.
+ */
+
+// Motivos de falha do modelo em correction_model_failures_total
+export const MODEL_FAILURE_REASONS = {
+    BLOCK: 'block',
+    EMPTY_RESPONSE: 'empty_response',
+    PARSE_ERROR: 'parse_error',
+    INVALID_SCHEMA: 'invalid_schema',
+    API_ERROR: 'api_error',
+};
+
+const HTTP_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const GRADING_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const RATE_WINDOW_MS = 60 * 1000;
+
+const registry = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+const register = (name, help, type, collect) => {
+    registry.push(() => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...collect()]);
+};
+
+const createCounter = (name, help) => {
+    const series = new Map();
+    register(name, help, 'counter', () => [...series.entries()].map(([labels, value]) => `${name}${labels} ${value}`));
+
+    return (labels = {}, amount = 1) => {
+        const key = formatLabels(labels);
+        series.set(key, (series.get(key) ?? 0) + amount);
+    };
+};
+
+const createHistogram = (name, help, buckets) => {
+    const series = new Map();
+    register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bucket, index) => `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[index]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+    ]));
+
+    return (labels, value) => {
+        const key = formatLabels(labels);
+        if (!series.has(key)) {
+            series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const entry = series.get(key);
+        buckets.forEach((bucket, index) => {
+            if (value <= bucket) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+    };
+};
+
+const observeHttp = createHistogram(
+    'http_request_duration_seconds',
+    'Duração das requisições HTTP por método, rota e status.',
+    HTTP_BUCKETS,
+);
+const observeGradingDuration = createHistogram(
+    'correction_grading_duration_seconds',
+    'Duração da correção pelo modelo (com novas tentativas e consenso), por provedor e resultado.',
+    GRADING_BUCKETS,
+);
+const countModelFailure = createCounter(
+    'correction_model_failures_total',
+    'Respostas do modelo com falha, por provedor e motivo.',
+);
+const countCorrection = createCounter(
+    'corrections_total',
+    'Correções salvas, por provedor e origem (cache ou não).',
+);
+
+// Instantes das correções do último minuto, para o gauge corrections_per_minute
+let recentCorrections = [];
+const pruneRecentCorrections = () => {
+    const since = Date.now() - RATE_WINDOW_MS;
+    recentCorrections = recentCorrections.filter(time => time > since);
+};
+
+register('corrections_per_minute', 'Correções salvas nos últimos 60 segundos.', 'gauge', () => {
+    pruneRecentCorrections();
+    return [`corrections_per_minute ${recentCorrections.length}`];
+});
+
+register('process_uptime_seconds', 'Tempo desde o início do processo.', 'gauge', () => [
+    `process_uptime_seconds ${Math.round(process.uptime())}`,
+]);
+
+/**
+ * 'route' é o padrão da rota (ex.: /api/essays/:essayId), para não abrir uma série por id.
+ */
+export const observeHttpRequest = ({ method, route, status }, seconds) => {
+    observeHttp({ method, route, status }, seconds);
+};
+
+export const observeGrading = (provider, outcome, seconds) => {
+    observeGradingDuration({ provider, outcome }, seconds);
+};
+
+export const recordModelFailure = (provider, reason) => {
+    countModelFailure({ provider, reason });
+};
+
+export const recordCorrection = (provider, cached) => {
+    countCorrection({ provider, cached: Boolean(cached) });
+    pruneRecentCorrections();
+    recentCorrections.push(Date.now());
+};
+
+/**
+ * Todas as métricas no formato de exposição do Prometheus.
+ */
+export const renderMetrics = () => `${registry.flatMap(collect => collect()).join('\n')}\n`;
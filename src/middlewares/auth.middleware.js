@@ -1,45 +1,82 @@
 import jwt from 'jsonwebtoken';
-import { PrismaClient } from '@prisma/client';
-const prisma = new PrismaClient();
+import { prisma } from '../config/db.js';
+import { findActiveSession } from '../services/session.service.js';
+import { UnauthorizedError, ForbiddenError } from '../errors/index.js';
+import { setLogContext } from '../logger/index.js';
+
+/**
+ * Access token do cookie 'jwt' ou do cabeçalho Authorization: Bearer.
+ */
+export const getAccessToken = (req) => {
+    let token = req.cookies?.jwt;
+
+    if (!token && req.headers.authorization) {
+        token = req.headers.authorization.split(' ')[1];
+    }
+
+    return token;
+};
 
 export const protectRoute = async (req, res, next) => {
+    const token = getAccessToken(req);
+
+    if (!token) {
+        throw new UnauthorizedError("No token, authorization denied.", { code: 'NO_TOKEN' });
+    }
+
+    let decoded;
     try {
-        let token = req.cookies.jwt;
-
-        if (!token && req.headers.authorization) {
-            token = req.headers.authorization.split(' ')[1];
-        }
-
-        if (!token) {
-            return res.status(401).json({ message: "No token, authorization denied." });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        if (!decoded) {
-            return res.status(401).json({ message: "Token is not valid." });
-        }
-
-        const user = await prisma.user.findUnique({
-            where: { id: decoded.id },
-            select: {
-                id: true,
-                name: true,
-                email: true,
-                profilePic: true,
-            },
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new UnauthorizedError("Token is invalid or expired.", {
+            code: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN',
         });
+    }
 
-        if (!user) {
-            return res.status(404).json({ message: "User not found." });
-        }
+    // Tokens sem sessão (emitidos antes dos refresh tokens) ou de sessão revogada não valem mais
+    const session = await findActiveSession(decoded.sid, decoded.id);
+    if (!session) {
+        throw new UnauthorizedError("Session expired or revoked. Please log in again.", { code: 'SESSION_REVOKED' });
+    }
 
-        req.user = user;
-        next();
-    } catch (error) {
-        // CORREÇÃO CRÍTICA: Se o token for inválido, expirado ou houver qualquer erro de auth,
-        // retornamos 401 e o 'return' força o middleware a PARAR IMEDIATAMENTE.
-        console.error("Error in protectRoute middleware:", error.message);
-        return res.status(401).json({ message: "Token is invalid, expired, or authorization failed." });
+    const user = await prisma.user.findUnique({
+        where: { id: decoded.id },
+        select: {
+            id: true,
+            name: true,
+            email: true,
+            profilePic: true,
+            role: true,
+            emailVerifiedAt: true,
+        },
+    });
+
+    if (!user) {
+        throw new UnauthorizedError("User not found.", { code: 'USER_NOT_FOUND' });
+    }
+
+    req.user = user;
+    req.sessionId = session.id;
+    setLogContext({ userId: user.id });
+    next();
+};
+
+/**
+ * Restringe a rota aos papéis informados. Deve vir depois de protectRoute.
+ */
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        throw new ForbiddenError("You do not have permission to access this resource.");
+    }
+    next();
+};
+
+/**
+ * Com REQUIRE_VERIFIED_EMAIL=true, exige e-mail confirmado. Deve vir depois de protectRoute.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+    if (process.env.REQUIRE_VERIFIED_EMAIL === 'true' && !req.user?.emailVerifiedAt) {
+        throw new ForbiddenError("Please verify your email before submitting essays.", { code: 'EMAIL_NOT_VERIFIED' });
     }
-};
\ No newline at end of file
+    next();
+};
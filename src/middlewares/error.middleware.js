@@ -1,10 +1,69 @@
+import { AppError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+/**
+ * Converte erros conhecidos de bibliotecas (corpo JSON inválido, Prisma) em AppError.
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // express.json() com corpo malformado
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Corpo da requisição não é um JSON válido.', { status: 400, code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return new AppError('Corpo da requisição muito grande.', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+  }
+
+  // P2023: id em formato inválido; P2025: registro não encontrado; P2002: violação de unicidade
+  if (err.code === 'P2023') {
+    return new AppError('Identificador em formato inválido.', { status: 400, code: 'INVALID_ID' });
+  }
+  if (err.code === 'P2025') {
+    return new AppError('Registro não encontrado.', { status: 404, code: 'NOT_FOUND' });
+  }
+  if (err.code === 'P2002') {
+    return new AppError('Registro duplicado.', { status: 409, code: 'CONFLICT', details: { fields: err.meta?.target } });
+  }
+
+  return null;
+};
+
+/**
+ * Handler de erros da aplicação. Toda resposta de erro tem o formato { code, message, details }.
+ * Erros não previstos são logados e viram 500 sem expor a mensagem interna.
+ */
 export const errorHandler = (err, req, res, next) => {
-  console.error(err);
-  res.status(500).json({ message: 'Internal Server Error' });
-  next();
-}
-export default errorHandler;
+  if (res.headersSent) {
+    return next(err);
+  }
 
+  const appError = toAppError(err);
 
-//Middleware de tratamento de erros//Registra o erro no console e retorna 500 Internal Server Error
-//Chama o próximo middleware (se houver)// (útil se houver mais middlewares de erro)
\ No newline at end of file
+  if (!appError || appError.status >= 500) {
+    logger.error('Erro não tratado na requisição', { requestId: req.id, method: req.method, path: `${req.baseUrl}${req.path}`, error: err });
+  }
+
+  if (!appError) {
+    return res.status(500).json({ code: 'INTERNAL_ERROR', message: 'Internal Server Error', details: null });
+  }
+
+  if (appError.retryAfter !== undefined) {
+    res.set('Retry-After', String(appError.retryAfter));
+  }
+
+  res.status(appError.status).json({
+    code: appError.code,
+    message: appError.message,
+    details: appError.details ?? null,
+  });
+};
+
+/**
+ * Rotas inexistentes seguem o mesmo formato de erro.
+ */
+export const notFoundHandler = (req, res, next) => {
+  next(new AppError(`Rota não encontrada: ${req.method} ${req.originalUrl}`, { status: 404, code: 'ROUTE_NOT_FOUND' }));
+};
+
+export default errorHandler;
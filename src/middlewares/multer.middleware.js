@@ -1,6 +1,64 @@
 import multer from 'multer';
+import { ValidationError } from '../errors/index.js';
+import { bindToContext } from '../logger/index.js';
 
 const storage = multer.memoryStorage(); // Armazena a imagem na memória como um buffer
 const upload = multer({ storage: storage });
 
-export { upload };
\ No newline at end of file
+// Folha de redação: foto (JPEG/PNG/WebP) ou página de PDF digitalizada
+const ESSAY_IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const ESSAY_IMAGE_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const essayImageUpload = multer({
+    storage: storage,
+    limits: { fileSize: ESSAY_IMAGE_MAX_SIZE },
+    fileFilter: (req, file, cb) => {
+        if (!ESSAY_IMAGE_MIME_TYPES.includes(file.mimetype)) {
+            return cb(new ValidationError("Formato de arquivo não suportado. Envie uma imagem JPEG, PNG, WebP ou um PDF.", { code: 'UNSUPPORTED_FILE_TYPE' }));
+        }
+        cb(null, true);
+    },
+});
+
+/**
+ * Recebe o arquivo da folha de redação no campo 'essayImage'.
+ * Erros de upload (tamanho, formato) viram ValidationError (400).
+ */
+const uploadEssayImage = (req, res, next) => {
+    // O callback roda no fim do stream do upload: preso ao contexto para manter o id da requisição nos logs
+    essayImageUpload.single('essayImage')(req, res, bindToContext((err) => {
+        if (err instanceof ValidationError) {
+            return next(err);
+        }
+        if (err) {
+            return next(err.code === 'LIMIT_FILE_SIZE'
+                ? new ValidationError("Arquivo muito grande. O limite é de 10 MB.", { code: 'FILE_TOO_LARGE' })
+                : new ValidationError(err.message, { code: 'UPLOAD_ERROR' }));
+        }
+        next();
+    }));
+};
+
+// Arquivo de importação de redações: JSON exportado ou planilha CSV
+const IMPORT_FILE_MAX_SIZE = 5 * 1024 * 1024; // 5 MB
+
+const importFileUpload = multer({
+    storage: storage,
+    limits: { fileSize: IMPORT_FILE_MAX_SIZE },
+});
+
+/**
+ * Recebe o arquivo de importação no campo 'file'.
+ */
+const uploadImportFile = (req, res, next) => {
+    importFileUpload.single('file')(req, res, bindToContext((err) => {
+        if (err) {
+            return next(err.code === 'LIMIT_FILE_SIZE'
+                ? new ValidationError("Arquivo muito grande. O limite é de 5 MB.", { code: 'FILE_TOO_LARGE' })
+                : new ValidationError(err.message, { code: 'UPLOAD_ERROR' }));
+        }
+        next();
+    }));
+};
+
+export { upload, uploadEssayImage, uploadImportFile };
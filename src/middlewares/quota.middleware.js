@@ -0,0 +1,11 @@
+import { assertWithinQuota } from '../services/plan.service.js';
+
+/**
+ * Barra envios de correção de quem já esgotou a cota do plano. Deve vir depois de protectRoute.
+ * enqueueCorrection confere a cota de novo; esta checagem evita gravar uma versão que não será corrigida.
+ * O QuotaExceededError segue para o errorHandler (429 com Retry-After).
+ */
+export const enforceQuota = async (req, res, next) => {
+    await assertWithinQuota(req.user.id);
+    next();
+};
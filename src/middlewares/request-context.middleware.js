@@ -0,0 +1,38 @@
+import { randomUUID } from 'node:crypto';
+import { logger, runWithContext } from '../logger/index.js';
+import { observeHttpRequest } from '../metrics/index.js';
+
+// Id recebido de um proxy (X-Request-Id) só é aproveitado se for curto e sem caracteres especiais
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+/**
+ * Dá um id a cada requisição (devolvido em X-Request-Id), executa o restante da cadeia com
+ * esse id no contexto dos logs e registra a duração da requisição no log e no /metrics.
+ */
+export const requestContext = (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    const requestId = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : randomUUID();
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        // Padrão da rota, não a URL: ids e query string (que pode ter tokens) ficam de fora
+        const route = req.route ? `${req.baseUrl}${req.route.path ?? ''}`.replace(/(.)\/$/, '$1') : 'unmatched';
+
+        observeHttpRequest({ method: req.method, route, status: res.statusCode }, seconds);
+        logger.info('Requisição concluída', {
+            requestId,
+            userId: req.user?.id,
+            method: req.method,
+            route,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+        });
+    });
+
+    runWithContext({ requestId }, next);
+};
+
+export default requestContext;
@@ -0,0 +1,27 @@
+import { checkSchema, validationResult } from 'express-validator';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Valida params, query e body contra um schema do express-validator (src/validators).
+ * Os erros seguem para o errorHandler como 400 VALIDATION_ERROR, com um item por campo em 'details'.
+ */
+export const validate = (schema) => {
+    const chains = checkSchema(schema);
+
+    return async (req, res, next) => {
+        await chains.run(req);
+
+        const result = validationResult(req);
+        if (!result.isEmpty()) {
+            throw new ValidationError("Dados da requisição inválidos.", {
+                details: result.array({ onlyFirstError: true }).map(error => ({
+                    field: error.path,
+                    location: error.location,
+                    message: error.msg,
+                })),
+            });
+        }
+
+        next();
+    };
+};
@@ -0,0 +1,85 @@
+// src/providers/fake.provider.js
+
+/**
+ * Provedor local e determinístico, sem acesso à rede. Serve para CI e
+ * desenvolvimento: o mesmo texto sempre recebe a mesma correção.
+ */
+
+const COMPETENCIES = ['c1', 'c2', 'c3', 'c4', 'c5'];
+
+/**
+ * Converte um valor entre 0 e 1 na nota válida do ENEM mais próxima (múltiplo de 40).
+ */
+const toEnemScore = (ratio) => Math.round(Math.min(Math.max(ratio, 0), 1) * 5) * 40;
+
+/**
+ * Hash simples (djb2) para variar as notas de forma estável entre textos diferentes.
+ */
+const hashText = (text) => {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+    }
+    return hash;
+};
+
+const generateCorrection = async (prompt, { essayText = '', essayTopic = '' } = {}) => {
+    const words = essayText.trim().split(/\s+/).filter(Boolean);
+    const paragraphs = essayText.split(/\n\s*\n|\n/).filter(p => p.trim().length > 0);
+    const hash = hashText(`${essayTopic}\n${essayText}`);
+
+    // Uma redação típica do ENEM tem entre 300 e 400 palavras em 4 ou 5 parágrafos
+    const lengthRatio = Math.min(words.length / 350, 1);
+    const structureRatio = Math.min(paragraphs.length / 4, 1);
+
+    const competencias = {};
+    COMPETENCIES.forEach((key, index) => {
+        // Pequena variação (-1, 0 ou +1 nível) derivada do hash do texto
+        const jitter = (((hash >>> (index * 3)) % 3) - 1) * 0.2;
+        const ratio = index % 2 === 0 ? lengthRatio : structureRatio;
+        const nota = toEnemScore(ratio * 0.8 + jitter);
+        competencias[key] = {
+            nota,
+            analise: `Análise simulada da ${key.toUpperCase()}: ${words.length} palavras em ${paragraphs.length} parágrafo(s).`,
+        };
+    });
+
+    const total = COMPETENCIES.reduce((sum, key) => sum + competencias[key].nota, 0);
+
+    // Uma anotação fixa sobre a primeira frase, com offsets corretos
+    const firstSentence = essayText.match(/[^.!?\n]*[^.!?\n\s]/)?.[0].trim();
+    const anotacoes = firstSentence ? [{
+        trecho: firstSentence,
+        inicio: essayText.indexOf(firstSentence),
+        fim: essayText.indexOf(firstSentence) + firstSentence.length,
+        competencia: 'c3',
+        severidade: 'baixa',
+        comentario: 'Anotação simulada: revise a clareza da frase de abertura.',
+        sugestao: null,
+    }] : [];
+
+    const text = JSON.stringify({
+        competencias,
+        total,
+        feedbackGeral: `Correção simulada gerada localmente pelo provedor 'fake' para o tema "${essayTopic}".`,
+        anotacoes,
+    });
+
+    // Estimativa de ~4 caracteres por token, só para exercitar a contabilidade de uso
+    const promptTokens = Math.ceil(prompt.length / 4);
+    const completionTokens = Math.ceil(text.length / 4);
+
+    return {
+        text,
+        blockReason: undefined,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+        raw: null,
+    };
+};
+
+export default {
+    name: 'fake',
+    model: 'fake-deterministic',
+    isConfigured: () => true,
+    generateCorrection,
+};
@@ -0,0 +1,112 @@
+// src/providers/gemini.provider.js
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { ExternalServiceError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+// Usamos gemini-2.5-flash como o modelo mais rápido e econômico
+const modelName = process.env.GEMINI_MODEL_NAME || 'gemini-2.5-flash';
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+/**
+ * Tenta extrair o conteúdo de texto da resposta da API Gemini, verificando 
+ * múltiplos caminhos para garantir robustez.
+ */
+const extractRawTextFromResponse = (response) => {
+    // Tenta extrair se a resposta estiver aninhada sob uma chave 'response' (comum em logs de erro)
+    if (response && response.response) {
+        const nestedText = extractRawTextFromResponse(response.response);
+        if (nestedText) return nestedText;
+    }
+    
+    // Caminho mais comum para conteúdo estruturado
+    let text = response.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (text) return text;
+
+    // Caminho simples de 'response.text'. No SDK ele é um método (que lança erro em respostas
+    // bloqueadas), então só vale quando já vier como string
+    text = response.text;
+    if (typeof text === 'string' && text) return text;
+    
+    // Último recurso: itera sobre todas as partes
+    const candidate = response.candidates?.[0];
+    if (candidate && candidate.content && candidate.content.parts) {
+        for (const part of candidate.content.parts) {
+            if (part.text) {
+                return part.text;
+            }
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Motivo do bloqueio da resposta: o prompt recusado (promptFeedback.blockReason) ou a geração
+ * interrompida pelo filtro de segurança (finishReason 'SAFETY').
+ */
+const extractBlockReason = (response) => {
+    const content = response?.response || response;
+    const blockReason = content?.promptFeedback?.blockReason;
+    if (blockReason) return blockReason;
+
+    return content?.candidates?.[0]?.finishReason === 'SAFETY' ? 'SAFETY' : undefined;
+};
+
+/**
+ * Lê o consumo de tokens de usageMetadata. Os tokens de raciocínio são cobrados como saída.
+ */
+const extractUsage = (response) => {
+    const metadata = response?.response?.usageMetadata || response?.usageMetadata;
+    if (!metadata) return null;
+
+    return {
+        promptTokens: metadata.promptTokenCount || 0,
+        completionTokens: (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0),
+        totalTokens: metadata.totalTokenCount || 0,
+    };
+};
+
+/**
+ * Envia o prompt para o Gemini e devolve o texto bruto da correção.
+ */
+const generateCorrection = async (prompt) => {
+    // Só a ausência da chave é registrada: nenhuma parte dela vai para o log
+    if (!process.env.GEMINI_API_KEY) {
+        logger.error('GEMINI_API_KEY ausente no ambiente.', { provider: 'gemini' });
+    }
+
+    try {
+        const model = genAI.getGenerativeModel({
+            model: modelName,
+        });
+
+        const response = await model.generateContent({
+            contents: [{ parts: [{ text: prompt }] }],
+        });
+
+        // Resposta bloqueada não tem texto aproveitável: o que vier é descartado
+        const blockReason = extractBlockReason(response);
+
+        return {
+            text: blockReason ? null : extractRawTextFromResponse(response),
+            blockReason,
+            usage: extractUsage(response),
+            raw: response,
+        };
+    } catch (error) {
+        if (error.message.includes("GoogleGenerativeAI Error")) {
+            logger.error('Erro na chamada da API Gemini', { provider: 'gemini', model: modelName, error: error.message });
+            throw new ExternalServiceError(`Falha na API de Correção. Por favor, verifique a chave de API e a conexão de rede.`, { code: 'CORRECTION_API_ERROR' });
+        }
+        throw error;
+    }
+};
+
+export default {
+    name: 'gemini',
+    model: modelName,
+    isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+    generateCorrection,
+};
@@ -0,0 +1,47 @@
+// src/providers/index.js
+
+import geminiProvider from './gemini.provider.js';
+import openaiProvider from './openai.provider.js';
+import fakeProvider from './fake.provider.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Provedores de correção disponíveis. Todos expõem a mesma interface:
+ * generateCorrection(prompt, { essayText, essayTopic }) => { text, blockReason, usage, raw },
+ * onde 'text' é a correção em JSON no formato esperado por parseJsonSafely e 'usage'
+ * traz { promptTokens, completionTokens, totalTokens } (null se o provedor não informar),
+ * e isConfigured() => boolean, que diz se as credenciais do provedor estão no ambiente.
+ */
+const providers = {
+    [geminiProvider.name]: geminiProvider,
+    [openaiProvider.name]: openaiProvider,
+    [fakeProvider.name]: fakeProvider,
+};
+
+export const DEFAULT_PROVIDER = process.env.CORRECTION_PROVIDER || geminiProvider.name;
+
+/**
+ * Retorna o provedor pelo nome (ou o padrão definido em CORRECTION_PROVIDER).
+ */
+export const getCorrectionProvider = (name) => {
+    const providerName = (name || DEFAULT_PROVIDER).toLowerCase();
+    const provider = providers[providerName];
+
+    if (!provider) {
+        throw new ValidationError(`Provedor de correção desconhecido: "${providerName}". Use um de: ${Object.keys(providers).join(', ')}.`, { code: 'UNKNOWN_PROVIDER' });
+    }
+
+    return provider;
+};
+
+export const listCorrectionProviders = () => Object.keys(providers);
+
+/**
+ * Configuração de cada provedor (sem expor credenciais), usada pela checagem de prontidão.
+ */
+export const getProviderStatus = () => Object.values(providers).map(provider => ({
+    name: provider.name,
+    model: provider.model,
+    configured: provider.isConfigured(),
+    default: provider.name === DEFAULT_PROVIDER.toLowerCase(),
+}));
@@ -0,0 +1,53 @@
+// src/providers/openai.provider.js
+
+import { ExternalServiceError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+const modelName = process.env.OPENAI_MODEL_NAME || 'gpt-4o-mini';
+
+/**
+ * O cliente de src/config/openai.js é importado sob demanda: o construtor da
+ * OpenAI lança erro sem OPENAI_API_KEY e não deve derrubar quem usa outro provedor.
+ */
+const getClient = async () => {
+    const { openai } = await import('../config/openai.js');
+    return openai;
+};
+
+/**
+ * Envia o prompt para a OpenAI e devolve o texto bruto da correção.
+ */
+const generateCorrection = async (prompt) => {
+    try {
+        const client = await getClient();
+
+        const response = await client.chat.completions.create({
+            model: modelName,
+            messages: [{ role: 'user', content: prompt }],
+            response_format: { type: 'json_object' },
+        });
+
+        const choice = response.choices?.[0];
+
+        return {
+            text: choice?.message?.content || null,
+            blockReason: choice?.finish_reason === 'content_filter' ? 'CONTENT_FILTER' : undefined,
+            usage: response.usage ? {
+                promptTokens: response.usage.prompt_tokens || 0,
+                completionTokens: response.usage.completion_tokens || 0,
+                totalTokens: response.usage.total_tokens || 0,
+            } : null,
+            raw: response,
+        };
+    } catch (error) {
+        logger.error('Erro na chamada da API OpenAI', { provider: 'openai', model: modelName, error: error.message });
+        throw new ExternalServiceError(`Falha na API de Correção. Por favor, verifique a chave de API e a conexão de rede.`, { code: 'CORRECTION_API_ERROR' });
+    }
+};
+
+export default {
+    name: 'openai',
+    model: modelName,
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    generateCorrection,
+};
@@ -0,0 +1,98 @@
+import { Router } from 'express';
+import {
+    searchUsers,
+    getUserDetails,
+    listUserEssays,
+    getEssayDetails,
+    regradeCorrection,
+    getUserQuota,
+    changeUserPlan,
+    anonymizeUser,
+    deleteUser,
+    listBlockedSubmissions,
+    listAuditLog
+} from "../services/admin.service.js";
+import { protectRoute, requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    userIdSchema,
+    setPlanSchema,
+    searchUsersSchema,
+    userEssaysSchema,
+    essayIdSchema,
+    regradeSchema,
+    blockedSubmissionsSchema,
+    auditLogSchema
+} from "../validators/admin.validators.js";
+
+
+const router = Router();
+
+// Rota para buscar usuários por nome ou e-mail
+router.get("/users", protectRoute, requireRole('admin'), validate(searchUsersSchema), async (req, res) => {
+    const result = await searchUsers(req.user, req.query);
+    res.status(200).json(result);
+});
+
+// Rota com os dados, totais e cota de um usuário
+router.get("/users/:userId", protectRoute, requireRole('admin'), validate(userIdSchema), async (req, res) => {
+    const user = await getUserDetails(req.user, req.params.userId);
+    res.status(200).json(user);
+});
+
+// Rota com as redações de um usuário e a última correção de cada uma
+router.get("/users/:userId/essays", protectRoute, requireRole('admin'), validate(userEssaysSchema), async (req, res) => {
+    const result = await listUserEssays(req.user, req.params.userId, req.query);
+    res.status(200).json(result);
+});
+
+// Rota para consultar a cota de um usuário
+router.get("/users/:userId/quota", protectRoute, requireRole('admin'), validate(userIdSchema), async (req, res) => {
+    const quota = await getUserQuota(req.user, req.params.userId);
+    res.status(200).json(quota);
+});
+
+// Rota para trocar o plano de um usuário
+router.put("/users/:userId/plan", protectRoute, requireRole('admin'), validate(setPlanSchema), async (req, res) => {
+    const user = await changeUserPlan(req.user, req.params.userId, req.body.plan);
+    res.status(200).json(user);
+});
+
+// Rota para anonimizar uma conta (mantém redações e correções sem os dados pessoais)
+router.post("/users/:userId/anonymize", protectRoute, requireRole('admin'), validate(userIdSchema), async (req, res) => {
+    const result = await anonymizeUser(req.user, req.params.userId);
+    res.status(200).json(result);
+});
+
+// Rota para excluir uma conta e todos os dados dela
+router.delete("/users/:userId", protectRoute, requireRole('admin'), validate(userIdSchema), async (req, res) => {
+    const result = await deleteUser(req.user, req.params.userId);
+    res.status(200).json(result);
+});
+
+// Rota com uma redação completa (versões, correções, revisões e similaridade)
+router.get("/essays/:essayId", protectRoute, requireRole('admin'), validate(essayIdSchema), async (req, res) => {
+    const essay = await getEssayDetails(req.user, req.params.essayId);
+    res.status(200).json(essay);
+});
+
+// Rota para corrigir de novo a versão de uma correção (entra na fila, fora da cota do aluno)
+router.post("/corrections/:correctionId/regrade", protectRoute, requireRole('admin'), validate(regradeSchema), async (req, res) => {
+    const { provider, consensus } = req.body ?? {};
+    const job = await regradeCorrection(req.user, req.params.correctionId, { provider, consensus });
+    res.status(202).json({ jobId: job.id, status: job.status });
+});
+
+// Rota com as submissões bloqueadas pelo filtro de segurança do modelo
+router.get("/blocked-submissions", protectRoute, requireRole('admin'), validate(blockedSubmissionsSchema), async (req, res) => {
+    const result = await listBlockedSubmissions(req.user, req.query);
+    res.status(200).json(result);
+});
+
+// Rota com o registro de auditoria das ações de administração
+router.get("/audit-log", protectRoute, requireRole('admin'), validate(auditLogSchema), async (req, res) => {
+    const result = await listAuditLog(req.user, req.query);
+    res.status(200).json(result);
+});
+
+export default router;
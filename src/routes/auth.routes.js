@@ -1,12 +1,49 @@
 import { Router } from 'express';
-import { register, login, updateProfilePic } from '../controllers/auth.controller.js';
+import {
+    register,
+    login,
+    updateProfilePic,
+    refresh,
+    logout,
+    logoutAll,
+    getSessions,
+    deleteSession,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
+    deleteMe,
+    getMyData
+} from '../controllers/auth.controller.js';
 import { protectRoute } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    registerSchema,
+    loginSchema,
+    refreshTokenSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    sessionIdSchema,
+    deleteAccountSchema
+} from "../validators/auth.validators.js";
 
 const router = Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', validate(registerSchema), register);
+router.post('/login', validate(loginSchema), login);
+router.post('/refresh', validate(refreshTokenSchema), refresh);
+router.post('/logout', validate(refreshTokenSchema), logout);
+router.post('/logout-all', protectRoute, logoutAll);
+router.get('/sessions', protectRoute, getSessions);
+router.delete('/sessions/:sessionId', protectRoute, validate(sessionIdSchema), deleteSession);
+router.post('/forgot-password', validate(forgotPasswordSchema), forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), resetPassword);
+router.post('/verify-email', validate(verifyEmailSchema), verifyEmail);
+router.post('/verify-email/resend', protectRoute, resendVerification);
 router.put("/profile/update-pic", protectRoute, upload.single("profilePic"), updateProfilePic);
+router.get('/me/data', protectRoute, getMyData);
+router.delete('/me', protectRoute, validate(deleteAccountSchema), deleteMe);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,168 @@
+import { Router } from 'express';
+import {
+    createClassroom,
+    listClassrooms,
+    getClassroom,
+    joinClassroom,
+    createAssignment,
+    listAssignments,
+    prepareAssignmentSubmission,
+    listAssignmentSubmissions,
+    getStudentEssay,
+    getClassroomAnalytics,
+    listFlaggedEssays,
+    getStudentSimilarityReport
+} from "../services/classroom.service.js";
+import { enqueueCorrection } from "../services/correction-queue.service.js";
+import { buildEssayReport, renderReportPdf, renderReportHtml } from "../services/report.service.js";
+import { exportClassroomEssays, archiveToCsv } from "../services/export.service.js";
+import { submitCorrectionReview, listPendingThirdReviews } from "../services/correction-review.service.js";
+import { protectRoute, requireRole, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    classroomIdSchema,
+    createClassroomSchema,
+    joinClassroomSchema,
+    createAssignmentSchema,
+    assignmentIdSchema,
+    submitAssignmentSchema,
+    classroomEssaySchema,
+    classroomAnalyticsSchema,
+    flaggedEssaysSchema,
+    correctionReviewSchema,
+    classroomExportSchema
+} from "../validators/classroom.validators.js";
+
+
+const router = Router();
+
+// Rota para criar uma turma (professor)
+router.post("/", protectRoute, requireRole('teacher'), validate(createClassroomSchema), async (req, res) => {
+    const classroom = await createClassroom(req.user.id, req.body);
+    res.status(201).json(classroom);
+});
+
+// Rota para listar as turmas do usuário
+router.get("/", protectRoute, async (req, res) => {
+    const classrooms = await listClassrooms(req.user);
+    res.status(200).json(classrooms);
+});
+
+// Rota para o aluno entrar numa turma com o código de convite
+router.post("/join", protectRoute, requireRole('student'), validate(joinClassroomSchema), async (req, res) => {
+    const classroom = await joinClassroom(req.user.id, req.body);
+    res.status(200).json(classroom);
+});
+
+// Rota para os detalhes de uma turma
+router.get("/:classroomId", protectRoute, validate(classroomIdSchema), async (req, res) => {
+    const classroom = await getClassroom(req.params.classroomId, req.user);
+    res.status(200).json(classroom);
+});
+
+// Rota para criar uma atividade (professor)
+router.post("/:classroomId/assignments", protectRoute, requireRole('teacher'), validate(createAssignmentSchema), async (req, res) => {
+    const assignment = await createAssignment(req.params.classroomId, req.user.id, req.body);
+    res.status(201).json(assignment);
+});
+
+// Rota para listar as atividades da turma
+router.get("/:classroomId/assignments", protectRoute, validate(classroomIdSchema), async (req, res) => {
+    const assignments = await listAssignments(req.params.classroomId, req.user);
+    res.status(200).json(assignments);
+});
+
+// Rota para o aluno entregar uma redação na atividade (entra na fila de correção)
+router.post("/:classroomId/assignments/:assignmentId/submissions", protectRoute, requireRole('student'), validate(submitAssignmentSchema), requireVerifiedEmail, async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+    const essayData = await prepareAssignmentSubmission(classroomId, assignmentId, req.user.id, req.body);
+    const job = await enqueueCorrection(req.user.id, essayData);
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/essays/jobs/${job.id}`,
+        eventsUrl: `/api/essays/jobs/${job.id}/events`,
+        quota: job.quota,
+    });
+});
+
+// Rota para o professor listar as entregas de uma atividade
+router.get("/:classroomId/assignments/:assignmentId/submissions", protectRoute, requireRole('teacher'), validate(assignmentIdSchema), async (req, res) => {
+    const { classroomId, assignmentId } = req.params;
+    const submissions = await listAssignmentSubmissions(classroomId, assignmentId, req.user.id);
+    res.status(200).json(submissions);
+});
+
+// Rota para o professor abrir a redação e a correção de um aluno da turma
+router.get("/:classroomId/essays/:essayId", protectRoute, requireRole('teacher'), validate(classroomEssaySchema), async (req, res) => {
+    const { classroomId, essayId } = req.params;
+    const essay = await getStudentEssay(classroomId, essayId, req.user.id);
+    res.status(200).json(essay);
+});
+
+// Rota para o relatório de correção de um aluno da turma, em PDF
+router.get("/:classroomId/essays/:essayId/report.pdf", protectRoute, requireRole('teacher'), validate(classroomEssaySchema), async (req, res) => {
+    const { classroomId, essayId } = req.params;
+    const report = await buildEssayReport(await getStudentEssay(classroomId, essayId, req.user.id));
+    const pdf = await renderReportPdf(report);
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="correcao-${report.essayId}.pdf"`);
+    res.send(pdf);
+});
+
+// Rota para o relatório de correção de um aluno da turma, em HTML
+router.get("/:classroomId/essays/:essayId/report.html", protectRoute, requireRole('teacher'), validate(classroomEssaySchema), async (req, res) => {
+    const { classroomId, essayId } = req.params;
+    const report = await buildEssayReport(await getStudentEssay(classroomId, essayId, req.user.id));
+    res.type('html').send(renderReportHtml(report));
+});
+
+// Rota para o relatório de similaridade da redação de um aluno (cópia de outras redações e modelos prontos)
+router.get("/:classroomId/essays/:essayId/similarity", protectRoute, requireRole('teacher'), validate(classroomEssaySchema), async (req, res) => {
+    const { classroomId, essayId } = req.params;
+    const report = await getStudentSimilarityReport(classroomId, essayId, req.user.id);
+    res.status(200).json(report);
+});
+
+// Rota para as redações da turma sinalizadas pela verificação de similaridade (?assignmentId= para uma atividade)
+router.get("/:classroomId/similarity/flagged", protectRoute, requireRole('teacher'), validate(flaggedEssaysSchema), async (req, res) => {
+    const essays = await listFlaggedEssays(req.params.classroomId, req.user.id, req.query.assignmentId);
+    res.status(200).json(essays);
+});
+
+// Rota para as médias da turma por competência (opcionalmente de uma atividade: ?assignmentId=)
+router.get("/:classroomId/analytics", protectRoute, requireRole('teacher'), validate(classroomAnalyticsSchema), async (req, res) => {
+    const analytics = await getClassroomAnalytics(req.params.classroomId, req.user.id, req.query.assignmentId);
+    res.status(200).json(analytics);
+});
+
+// Rota para exportar as entregas e correções da turma (?format=json | csv)
+router.get("/:classroomId/export", protectRoute, requireRole('teacher'), validate(classroomExportSchema), async (req, res) => {
+    const archive = await exportClassroomEssays(req.params.classroomId, req.user.id);
+    const date = archive.exportedAt.toISOString().slice(0, 10);
+
+    if (req.query.format === 'csv') {
+        res.attachment(`turma-${archive.classroom.id}-${date}.csv`);
+        return res.type('text/csv; charset=utf-8').send(archiveToCsv(archive));
+    }
+
+    res.attachment(`turma-${archive.classroom.id}-${date}.json`);
+    res.status(200).json(archive);
+});
+
+// Rota para o professor revisar (co-corrigir) a correção da IA de um aluno da turma
+router.put("/:classroomId/corrections/:correctionId/review", protectRoute, requireRole('teacher'), validate(correctionReviewSchema), async (req, res) => {
+    const { classroomId, correctionId } = req.params;
+    const correction = await submitCorrectionReview(classroomId, correctionId, req.user.id, req.body);
+    res.status(200).json(correction);
+});
+
+// Rota para as correções da turma aguardando terceira correção (notas discrepantes)
+router.get("/:classroomId/reviews/pending", protectRoute, requireRole('teacher'), validate(classroomIdSchema), async (req, res) => {
+    const corrections = await listPendingThirdReviews(req.params.classroomId, req.user.id);
+    res.status(200).json(corrections);
+});
+
+export default router;
@@ -1,89 +1,238 @@
 import { Router } from 'express';
 import { 
-    submitEssay, 
     getEssayHistory, 
     getEssayAnalytics, 
-    getUserAchievements,
-    getEssayById
+    getEssayById,
+    createRevision
 } from "../services/essay.service.js"; 
-import { protectRoute } from "../middlewares/auth.middleware.js";
+import { transcribeEssayImage } from "../services/ocr.service.js";
+import { getUsageReport } from "../services/usage.service.js";
+import { getProgressAnalytics } from "../services/progress.service.js";
+import { getUserAchievements, getLockedAchievementProgress } from "../services/achievement.service.js";
+import { getEssayReport, renderReportPdf, renderReportHtml } from "../services/report.service.js";
+import { exportUserEssays, archiveToCsv, importEssays, resolveImportFormat } from "../services/export.service.js";
+import { 
+    enqueueCorrection, 
+    getCorrectionJob, 
+    subscribeToJob, 
+    isTerminalStatus 
+} from "../services/correction-queue.service.js";
+import { getQuotaStatus } from "../services/plan.service.js";
+import { protectRoute, requireVerifiedEmail } from "../middlewares/auth.middleware.js";
+import { uploadEssayImage, uploadImportFile } from "../middlewares/multer.middleware.js";
+import { enforceQuota } from "../middlewares/quota.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { ValidationError } from "../errors/index.js";
+import {
+    submitEssaySchema,
+    createRevisionSchema,
+    essayIdSchema,
+    jobIdSchema,
+    usageQuerySchema,
+    exportQuerySchema,
+    progressQuerySchema
+} from "../validators/essay.validators.js";
 
 
 const router = Router();
 
-// Rota de correção de redação
-router.post("/", protectRoute, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const essayData = req.body;
-        const correction = await submitEssay(userId, essayData);
-        res.status(200).json(correction);
-    } catch (error) {
-        // 🚨 CORREÇÃO: Captura o erro de validação e retorna 400
-        if (error.message.includes("está faltando na submissão")) {
-            return res.status(400).json({ message: error.message });
-        }
-        // Se não for um erro 400 conhecido, mantém o 500
-        res.status(500).json({ message: error.message });
+// Erros das rotas seguem para o errorHandler (src/middlewares/error.middleware.js)
+
+// Rota de correção de redação.
+// A correção entra na fila e é processada pelo worker; a resposta traz o id do job para acompanhamento.
+router.post("/", protectRoute, validate(submitEssaySchema), requireVerifiedEmail, enforceQuota, async (req, res) => {
+    // Só os campos do aluno: ids de atividade/versão são definidos pelas rotas próprias
+    // 'regrade: true' ignora o cache e pede uma nova correção ao modelo
+    const { essayText, essayTopic, topicId, provider, uploadId, consensus, regrade } = req.body;
+    const job = await enqueueCorrection(req.user.id, {
+        essayText, essayTopic, topicId, provider, uploadId, consensus, regrade: regrade === true,
+    });
+
+    res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`,
+        quota: job.quota,
+    });
+});
+
+// Rota de status de um job de correção
+router.get("/jobs/:jobId", protectRoute, validate(jobIdSchema), async (req, res) => {
+    const job = await getCorrectionJob(req.params.jobId, req.user.id);
+    res.status(200).json(job);
+});
+
+// Rota de progresso do job via Server-Sent Events (queued → grading → validating → saved)
+router.get("/jobs/:jobId/events", protectRoute, validate(jobIdSchema), async (req, res) => {
+    const job = await getCorrectionJob(req.params.jobId, req.user.id);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Evita que o proxy segure os eventos
+    });
+    res.flushHeaders();
+
+    let lastState = null;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    const close = () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        res.end();
+    };
+
+    const sendProgress = (currentJob) => {
+        // Evita repetir o mesmo estado (eventos locais e consulta ao banco podem coincidir)
+        const state = `${currentJob.status}:${currentJob.attempts}`;
+        if (state === lastState) return;
+        lastState = state;
+
+        res.write(`event: progress\ndata: ${JSON.stringify(currentJob)}\n\n`);
+        if (isTerminalStatus(currentJob.status)) close();
+    };
+
+    req.on('close', close);
+    sendProgress(job);
+    if (!isTerminalStatus(job.status)) {
+        unsubscribe = subscribeToJob(job.id, sendProgress);
+    }
+});
+
+// Rota de transcrição (OCR) da folha de redação manuscrita.
+// Devolve o texto para o aluno revisar; a correção é pedida depois em POST / com o 'uploadId'.
+router.post("/image", protectRoute, uploadEssayImage, async (req, res) => {
+    if (!req.file) {
+        throw new ValidationError("Nenhum arquivo enviado. Envie a foto da folha de redação no campo 'essayImage'.", {
+            code: 'FILE_REQUIRED',
+        });
     }
+
+    const transcription = await transcribeEssayImage(req.user.id, req.file);
+    res.status(201).json(transcription);
 });
 
 // Rota para o histórico de redações
 router.get("/history", protectRoute, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const history = await getEssayHistory(userId);
-        res.status(200).json(history);
-    } catch (error) {
-        return res.status(500).json({ message: error.message }); 
-    }
+    const history = await getEssayHistory(req.user.id);
+    res.status(200).json(history);
 });
 
 // Rota para a análise de dados do dashboard
 router.get("/analytics", protectRoute, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const analytics = await getEssayAnalytics(userId);
-        res.status(200).json(analytics);
-    } catch (error) {
-        return res.status(500).json({ message: error.message }); 
-    }
+    const analytics = await getEssayAnalytics(req.user.id);
+    res.status(200).json(analytics);
+});
+
+// Rota para a evolução do aluno: séries semanais, tendências e percentis por tema (?from= e ?to=)
+router.get("/analytics/progress", protectRoute, validate(progressQuerySchema), async (req, res) => {
+    const { from, to } = req.query;
+    const progress = await getProgressAnalytics(req.user.id, { from, to });
+    res.status(200).json(progress);
+});
+
+// Rota para o consumo do usuário: chamadas ao modelo, tokens e custo estimado
+router.get("/usage", protectRoute, validate(usageQuerySchema), async (req, res) => {
+    const { period, from, to } = req.query;
+    const usage = await getUsageReport(req.user.id, { period, from, to });
+    res.status(200).json(usage);
+});
+
+// Rota para a cota de correções do plano do usuário
+router.get("/quota", protectRoute, async (req, res) => {
+    const quota = await getQuotaStatus(req.user.id);
+    res.status(200).json(quota);
 });
 
 // Rota para as conquistas do usuário
 router.get("/achievements", protectRoute, async (req, res) => {
-    try {
-        const userId = req.user.id;
-        const achievements = await getUserAchievements(userId);
-        res.status(200).json(achievements);
-    } catch (error) {
-        return res.status(500).json({ message: error.message }); 
+    const achievements = await getUserAchievements(req.user.id);
+    res.status(200).json(achievements);
+});
+
+// Rota para exportar todas as redações e correções do usuário (?format=json | csv)
+router.get("/export", protectRoute, validate(exportQuerySchema), async (req, res) => {
+    const archive = await exportUserEssays(req.user.id);
+    const date = archive.exportedAt.toISOString().slice(0, 10);
+
+    if (req.query.format === 'csv') {
+        res.attachment(`redacoes-${date}.csv`);
+        return res.type('text/csv; charset=utf-8').send(archiveToCsv(archive));
     }
+
+    res.attachment(`redacoes-${date}.json`);
+    res.status(200).json(archive);
 });
 
-// Rota para buscar uma única redação pelo ID
-router.get("/:essayId", protectRoute, async (req, res) => {
-    try {
-        const { essayId } = req.params;
-        const userId = req.user.id; // Pega o ID do usuário do token
-
-        // Passa os dois IDs para a consulta do serviço
-        const essay = await getEssayById(essayId, userId); 
-        
-        // Se a busca falhar (não existir OU não pertencer ao usuário), a função service lança um erro que é tratado abaixo.
-        
-        res.status(200).json(essay);
-     } catch (error) {
-        // Verifica se a mensagem de erro é a que lançamos no serviço para 404
-        if (error.message.includes("Redação não encontrada")) {
-            return res.status(404).json({ message: "Redação não encontrada ou acesso negado." });
-        }
-        
-        // Se for um erro do Prisma (ex: formato de ID inválido) ou outro erro, retorna 500
-        console.error("Erro no controle de busca por ID:", error);
-        res.status(500).json({ message: "Não foi possível buscar a redação." });
+// Rota para importar redações de um arquivo exportado (.json) ou de uma planilha (.csv) no campo 'file'.
+// Redações já existentes são ignoradas; as sem correção entram na fila.
+router.post("/import", protectRoute, requireVerifiedEmail, uploadImportFile, async (req, res) => {
+    if (!req.file) {
+        throw new ValidationError("Nenhum arquivo enviado. Envie o arquivo no campo 'file'.", { code: 'FILE_REQUIRED' });
     }
+
+    const format = resolveImportFormat(req.file.originalname, req.file.mimetype);
+    const result = await importEssays(req.user.id, { content: req.file.buffer.toString('utf8'), format });
+    res.status(200).json(result);
+});
+
+// Rota para o progresso das conquistas ainda bloqueadas
+router.get("/achievements/progress", protectRoute, async (req, res) => {
+    const progress = await getLockedAchievementProgress(req.user.id);
+    res.status(200).json(progress);
 });
 
+// Rota para buscar uma única redação pelo ID (só do próprio usuário)
+router.get("/:essayId", protectRoute, validate(essayIdSchema), async (req, res) => {
+    const essay = await getEssayById(req.params.essayId, req.user.id); 
+    res.status(200).json(essay);
+});
+
+// Rota para o relatório de correção em PDF (folha numerada, notas, comentário e histórico)
+router.get("/:essayId/report.pdf", protectRoute, validate(essayIdSchema), async (req, res) => {
+    const report = await getEssayReport(req.params.essayId, req.user.id);
+    const pdf = await renderReportPdf(report);
+
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="correcao-${report.essayId}.pdf"`);
+    res.send(pdf);
+});
+
+// Rota para o mesmo relatório em HTML (usado no corpo de e-mails)
+router.get("/:essayId/report.html", protectRoute, validate(essayIdSchema), async (req, res) => {
+    const report = await getEssayReport(req.params.essayId, req.user.id);
+    res.type('html').send(renderReportHtml(report));
+});
+
+// Rota para enviar uma nova versão (reescrita) de uma redação.
+// A versão é gravada na hora e corrigida pela fila; a variação de nota sai no resultado do job.
+router.post("/:essayId/revisions", protectRoute, validate(createRevisionSchema), requireVerifiedEmail, enforceQuota, async (req, res) => {
+    const userId = req.user.id;
+
+    const { essay, version, diff } = await createRevision(req.params.essayId, userId, req.body);
+    const job = await enqueueCorrection(userId, {
+        essayText: version.text,
+        essayTopic: essay.topic,
+        topicId: essay.topicId,
+        provider: req.body.provider,
+        consensus: req.body.consensus,
+        essayId: essay.id,
+        versionId: version.id,
+    });
+
+    res.status(202).json({
+        essayId: essay.id,
+        version: version.version,
+        diff,
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+        eventsUrl: `${req.baseUrl}/jobs/${job.id}/events`,
+        quota: job.quota,
+    });
+});
 
-export default router;
\ No newline at end of file
+export default router;
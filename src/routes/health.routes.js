@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { getReadiness } from '../services/health.service.js';
+
+const router = Router();
+
+// Rota de liveness: o processo está de pé (não consulta dependências)
+router.get("/healthz", (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Rota de readiness: banco e provedor de correção prontos; 503 também durante o encerramento
+router.get("/readyz", async (req, res) => {
+    const readiness = await getReadiness();
+    res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from 'express';
+import { renderMetrics } from '../metrics/index.js';
+import { UnauthorizedError } from '../errors/index.js';
+
+const router = Router();
+
+// Rota de métricas no formato do Prometheus. Com METRICS_TOKEN, exige Authorization: Bearer <token>
+router.get("/", (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        throw new UnauthorizedError("Token de métricas inválido.", { code: 'INVALID_METRICS_TOKEN' });
+    }
+
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+});
+
+export default router;
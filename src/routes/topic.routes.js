@@ -0,0 +1,52 @@
+import { Router } from 'express';
+import {
+    listTopics,
+    getTopicById,
+    createTopic,
+    updateTopic,
+    deleteTopic
+} from "../services/topic.service.js";
+import { protectRoute, requireRole } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+    topicIdSchema,
+    listTopicsSchema,
+    createTopicSchema,
+    updateTopicSchema
+} from "../validators/topic.validators.js";
+
+
+const router = Router();
+
+// Rota para listar os temas (?year= e ?search=)
+router.get("/", protectRoute, validate(listTopicsSchema), async (req, res) => {
+    const topics = await listTopics(req.query);
+    res.status(200).json(topics);
+});
+
+// Rota para um tema com os textos motivadores
+router.get("/:topicId", protectRoute, validate(topicIdSchema), async (req, res) => {
+    const topic = await getTopicById(req.params.topicId);
+    res.status(200).json(topic);
+});
+
+// Rota para cadastrar um tema (professor)
+router.post("/", protectRoute, requireRole('teacher'), validate(createTopicSchema), async (req, res) => {
+    const topic = await createTopic(req.user.id, req.body);
+    res.status(201).json(topic);
+});
+
+// Rota para editar um tema (professor que o cadastrou ou administrador)
+router.put("/:topicId", protectRoute, requireRole('teacher', 'admin'), validate(updateTopicSchema), async (req, res) => {
+    const topic = await updateTopic(req.user, req.params.topicId, req.body);
+    res.status(200).json(topic);
+});
+
+// Rota para remover um tema ainda não usado (professor que o cadastrou ou administrador)
+router.delete("/:topicId", protectRoute, requireRole('teacher', 'admin'), validate(topicIdSchema), async (req, res) => {
+    await deleteTopic(req.user, req.params.topicId);
+    res.status(204).send();
+});
+
+
+export default router;
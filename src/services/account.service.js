@@ -0,0 +1,277 @@
+// src/services/account.service.js
+
+import { createHash, randomBytes } from 'crypto';
+import bcrypt from 'bcryptjs';
+import { prisma } from '../config/db.js';
+import { sendMail } from '../mailer/index.js';
+import { revokeAllSessions } from './session.service.js';
+import { destroyImages, getProfilePicPublicId } from './media.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+export const AUTH_TOKEN_TYPE = {
+    EMAIL_VERIFICATION: 'email_verification',
+    PASSWORD_RESET: 'password_reset',
+};
+
+const TOKEN_TTL_MS = {
+    [AUTH_TOKEN_TYPE.EMAIL_VERIFICATION]: Number(process.env.EMAIL_VERIFICATION_TTL_HOURS || 24) * 60 * 60 * 1000,
+    [AUTH_TOKEN_TYPE.PASSWORD_RESET]: Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60) * 60 * 1000,
+};
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+const unusedTokenFilter = () => ({
+    expiresAt: { gt: new Date() },
+    OR: [{ usedAt: null }, { usedAt: { isSet: false } }],
+});
+
+/**
+ * Gera um token de uso único para o usuário. Tokens anteriores do mesmo tipo
+ * deixam de valer; só o hash fica salvo.
+ */
+const createAuthToken = async (userId, type) => {
+    await prisma.authToken.updateMany({
+        where: { userId, type, ...unusedTokenFilter() },
+        data: { usedAt: new Date() },
+    });
+
+    const token = randomBytes(32).toString('base64url');
+    await prisma.authToken.create({
+        data: {
+            userId,
+            type,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type]),
+        },
+    });
+
+    return token;
+};
+
+/**
+ * Marca o token como usado e devolve o id do usuário. O updateMany condicionado
+ * garante o uso único mesmo com duas requisições simultâneas.
+ */
+const consumeAuthToken = async (token, type) => {
+    if (!token || typeof token !== 'string') {
+        throw new ValidationError("Token inválido ou expirado.", { code: 'INVALID_TOKEN' });
+    }
+
+    const tokenHash = hashToken(token);
+    const authToken = await prisma.authToken.findFirst({
+        where: { tokenHash, type, ...unusedTokenFilter() },
+    });
+    if (!authToken) {
+        throw new ValidationError("Token inválido ou expirado.", { code: 'INVALID_TOKEN' });
+    }
+
+    const { count } = await prisma.authToken.updateMany({
+        where: { id: authToken.id, ...unusedTokenFilter() },
+        data: { usedAt: new Date() },
+    });
+    if (count === 0) {
+        throw new ValidationError("Token inválido ou expirado.", { code: 'INVALID_TOKEN' });
+    }
+
+    return authToken.userId;
+};
+
+/**
+ * Envia o link de confirmação de e-mail para o usuário.
+ */
+export const sendVerificationEmail = async (user) => {
+    const token = await createAuthToken(user.id, AUTH_TOKEN_TYPE.EMAIL_VERIFICATION);
+    const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirme seu e-mail',
+        text: `Olá, ${user.name}!\n\nConfirme seu e-mail acessando o link abaixo:\n${link}\n\nO link expira em ${TOKEN_TTL_MS[AUTH_TOKEN_TYPE.EMAIL_VERIFICATION] / 3600000} hora(s).`,
+        html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Confirme seu e-mail acessando o link abaixo:</p><p><a href="${link}">${link}</a></p>`,
+    });
+};
+
+/**
+ * Reenvia a confirmação de e-mail do usuário autenticado.
+ */
+export const resendVerificationEmail = async (userId) => {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", { code: 'USER_NOT_FOUND' });
+    }
+    if (user.emailVerifiedAt) {
+        throw new ConflictError("E-mail já confirmado.", { code: 'EMAIL_ALREADY_VERIFIED' });
+    }
+
+    await sendVerificationEmail(user);
+};
+
+export const verifyEmail = async (token) => {
+    const userId = await consumeAuthToken(token, AUTH_TOKEN_TYPE.EMAIL_VERIFICATION);
+
+    return prisma.user.update({
+        where: { id: userId },
+        data: { emailVerifiedAt: new Date() },
+        select: { id: true, email: true, emailVerifiedAt: true },
+    });
+};
+
+/**
+ * Envia o link de redefinição de senha. Não revela se o e-mail está cadastrado.
+ */
+export const requestPasswordReset = async (email) => {
+    if (!email) {
+        throw new ValidationError("O e-mail é obrigatório.");
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+    if (!user) return;
+
+    const token = await createAuthToken(user.id, AUTH_TOKEN_TYPE.PASSWORD_RESET);
+    const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+    // Erro no envio só vai para o log: a resposta não pode revelar que o e-mail existe
+    await sendMail({
+        to: user.email,
+        subject: 'Redefinição de senha',
+        text: `Olá, ${user.name}!\n\nPara criar uma nova senha, acesse o link abaixo:\n${link}\n\nO link expira em ${TOKEN_TTL_MS[AUTH_TOKEN_TYPE.PASSWORD_RESET] / 60000} minutos. Se você não pediu a redefinição, ignore este e-mail.`,
+        html: `<p>Olá, ${escapeHtml(user.name)}!</p><p>Para criar uma nova senha, acesse o link abaixo:</p><p><a href="${link}">${link}</a></p><p>Se você não pediu a redefinição, ignore este e-mail.</p>`,
+    }).catch(error => {
+        logger.error('Falha ao enviar e-mail de redefinição de senha', { userId: user.id, error: error.message });
+    });
+};
+
+/**
+ * Troca a senha com um token de redefinição e encerra todas as sessões do usuário.
+ */
+export const resetPassword = async (token, password) => {
+    if (!password) {
+        throw new ValidationError("A nova senha é obrigatória.");
+    }
+
+    const userId = await consumeAuthToken(token, AUTH_TOKEN_TYPE.PASSWORD_RESET);
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    await prisma.user.update({
+        where: { id: userId },
+        // Quem recebeu o link no e-mail provou ser dono dele
+        data: { password: hashedPassword, emailVerifiedAt: new Date() },
+    });
+
+    await revokeAllSessions(userId, 'password_reset');
+};
+
+const ANONYMIZED_NAME = 'Usuário anonimizado';
+
+const findAccount = async (userId) => {
+    const user = await prisma.user.findUnique({ where: { id: userId } });
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", { code: 'USER_NOT_FOUND' });
+    }
+    return user;
+};
+
+// Arquivos da conta no Cloudinary: a foto de perfil e as fotos/PDFs das folhas de redação
+const listAccountImages = async (user) => {
+    const uploads = await prisma.essayUpload.findMany({ where: { userId: user.id }, select: { imagePublicId: true } });
+    return [
+        ...(user.profilePic ? [getProfilePicPublicId(user.id)] : []),
+        ...uploads.map(upload => upload.imagePublicId),
+    ];
+};
+
+/**
+ * Apaga os dados de identificação da conta (com as imagens no Cloudinary) e encerra as sessões.
+ * As redações e correções continuam (estatísticas da turma, revisões de professores), sem
+ * ligação com a pessoa.
+ */
+export const anonymizeAccount = async (userId) => {
+    const user = await findAccount(userId);
+    if (user.anonymizedAt) {
+        throw new ConflictError("A conta já foi anonimizada.", { code: 'ACCOUNT_ALREADY_ANONYMIZED' });
+    }
+
+    // Senha aleatória que ninguém conhece: a conta deixa de aceitar login
+    const salt = await bcrypt.genSalt(10);
+    const unusablePassword = await bcrypt.hash(randomBytes(32).toString('base64url'), salt);
+
+    // Fotos da folha de redação podem trazer o nome do aluno
+    const images = await listAccountImages(user);
+    const { count: uploads } = await prisma.essayUpload.deleteMany({ where: { userId } });
+    await prisma.essay.updateMany({ where: { userId }, data: { imageUrl: null } });
+    await prisma.authToken.deleteMany({ where: { userId } });
+
+    const anonymized = await prisma.user.update({
+        where: { id: userId },
+        data: {
+            name: ANONYMIZED_NAME,
+            // E-mail único e impossível de receber mensagens (.invalid é reservado)
+            email: `anonymized-${userId}@anonymized.invalid`,
+            password: unusablePassword,
+            profilePic: null,
+            emailVerifiedAt: null,
+            anonymizedAt: new Date(),
+        },
+        select: { id: true, name: true, email: true, role: true, anonymizedAt: true },
+    });
+    const sessions = await revokeAllSessions(userId, 'anonymized');
+
+    return { user: anonymized, removed: { uploads, sessions, images: await destroyImages(images) } };
+};
+
+/**
+ * Exclui a conta e tudo o que pertence a ela: redações, versões, correções (com as revisões
+ * de professores), fotos (também no Cloudinary), jobs, sessões, tokens, conquistas,
+ * participação em turmas, submissões bloqueadas e o registro de chamadas ao modelo. Contas com dados de outras pessoas (turmas
+ * criadas, revisões de redações de alunos) não são excluídas: para elas vale a anonimização.
+ */
+export const deleteAccount = async (userId) => {
+    const user = await findAccount(userId);
+
+    const [classrooms, reviews] = await Promise.all([
+        prisma.classroom.count({ where: { teacherId: userId } }),
+        prisma.correctionReview.count({ where: { graderId: userId, correction: { essay: { userId: { not: userId } } } } }),
+    ]);
+    if (classrooms > 0 || reviews > 0) {
+        throw new ConflictError("A conta tem turmas ou revisões ligadas a outros usuários. Anonimize a conta em vez de excluí-la.", {
+            code: 'ACCOUNT_HAS_SHARED_DATA',
+            details: { classrooms, reviews },
+        });
+    }
+
+    const images = await listAccountImages(user);
+    const essayIds = (await prisma.essay.findMany({ where: { userId }, select: { id: true } })).map(essay => essay.id);
+    const essayFilter = { essayId: { in: essayIds } };
+
+    const results = await prisma.$transaction([
+        prisma.correctionReview.deleteMany({ where: { correction: essayFilter } }),
+        prisma.correction.deleteMany({ where: essayFilter }),
+        prisma.essayUpload.deleteMany({ where: { userId } }),
+        prisma.essayVersion.deleteMany({ where: essayFilter }),
+        prisma.essay.deleteMany({ where: { userId } }),
+        prisma.correctionJob.deleteMany({ where: { userId } }),
+        prisma.classroomMember.deleteMany({ where: { userId } }),
+        prisma.achievementUnlock.deleteMany({ where: { userId } }),
+        prisma.blockedSubmission.deleteMany({ where: { userId } }),
+        prisma.session.deleteMany({ where: { userId } }),
+        prisma.authToken.deleteMany({ where: { userId } }),
+        prisma.modelCall.deleteMany({ where: { userId } }),
+        prisma.user.delete({ where: { id: userId } }),
+    ]);
+
+    const [reviewsOnEssays, corrections, uploads, versions, essays, jobs] = results.map(result => result.count);
+    return {
+        removed: { essays, versions, corrections, reviews: reviewsOnEssays, uploads, jobs, images: await destroyImages(images) },
+    };
+};
@@ -0,0 +1,195 @@
+// src/services/achievement.service.js
+
+import { prisma } from '../config/db.js';
+import { ACHIEVEMENTS } from '../config/achievements.js';
+import { getFinalScores } from './essay.service.js';
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+
+/**
+ * Índice da semana (segunda a domingo, UTC) de uma data, contado a partir de 1970.
+ */
+const weekIndex = (date) => {
+    const day = Math.floor(date.getTime() / (24 * 60 * 60 * 1000));
+    // 01/01/1970 foi uma quinta-feira: desloca para as semanas começarem na segunda
+    return Math.floor((day + 3) / 7);
+};
+
+const longestWeeklyStreak = (dates) => {
+    const weeks = [...new Set(dates.map(weekIndex))].sort((a, b) => a - b);
+    let longest = 0;
+    let current = 0;
+    weeks.forEach((week, index) => {
+        current = index > 0 && week === weeks[index - 1] + 1 ? current + 1 : 1;
+        longest = Math.max(longest, current);
+    });
+    return longest;
+};
+
+/**
+ * Maior subida de uma sequência de notas: nota posterior menos a menor nota anterior.
+ */
+const largestRise = (scores) => {
+    let lowest = Infinity;
+    let rise = 0;
+    scores.forEach(score => {
+        rise = Math.max(rise, score - lowest);
+        lowest = Math.min(lowest, score);
+    });
+    return rise;
+};
+
+/**
+ * Cada avaliador devolve o progresso { current, target }; a conquista é liberada quando current >= target.
+ */
+const RULE_EVALUATORS = {
+    graded_essays: (stats, rule) => ({ current: stats.essays.length, target: rule.count }),
+
+    grade_at_least: (stats, rule) => ({
+        current: stats.essays.filter(essay => essay.scores.total >= rule.score).length,
+        target: rule.count,
+    }),
+
+    competency_score: (stats, rule) => ({
+        current: stats.essays.filter(essay => essay.scores.competencias?.[rule.competency]?.nota >= rule.score).length,
+        target: rule.count,
+    }),
+
+    competency_improvement: (stats, rule) => {
+        const keys = rule.competency ? [rule.competency] : COMPETENCY_KEYS;
+        const rises = keys.map(key => largestRise(stats.corrections
+            .map(correction => correction.scores.competencias?.[key]?.nota)
+            .filter(score => score != null)));
+        return { current: Math.max(0, ...rises), target: rule.points };
+    },
+
+    weekly_streak: (stats, rule) => ({
+        current: longestWeeklyStreak(stats.corrections.map(correction => correction.date)),
+        target: rule.weeks,
+    }),
+};
+
+/**
+ * Correções do usuário em ordem cronológica (com a nota final) e a última correção de cada redação.
+ */
+const loadStats = async (userId) => {
+    const corrections = await prisma.correction.findMany({
+        where: {
+            essay: { userId },
+            // Notas importadas de um arquivo não foram corrigidas aqui e não desbloqueiam conquistas
+            OR: [{ importedAt: null }, { importedAt: { isSet: false } }],
+        },
+        select: { id: true, essayId: true, notes: true, resolvedScores: true, createdAt: true },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    const graded = corrections
+        .map(correction => ({
+            id: correction.id,
+            essayId: correction.essayId,
+            date: correction.createdAt,
+            scores: getFinalScores(correction),
+        }))
+        .filter(correction => correction.scores?.total != null);
+
+    const latestByEssay = new Map();
+    graded.forEach(correction => latestByEssay.set(correction.essayId, correction));
+
+    return { corrections: graded, essays: [...latestByEssay.values()] };
+};
+
+const evaluateRule = (stats, rule) => {
+    const evaluator = RULE_EVALUATORS[rule.type];
+    if (!evaluator) {
+        throw new Error(`Tipo de regra de conquista desconhecido: ${rule.type}`);
+    }
+
+    const { current, target } = evaluator(stats, rule);
+    return { current: Math.min(current, target), target };
+};
+
+/**
+ * Grava o desbloqueio das conquistas alcançadas que ainda não têm registro. Retorna os registros criados.
+ */
+const unlockReached = async (userId, stats, unlocks) => {
+    const unlockedIds = new Set(unlocks.map(unlock => unlock.achievementId));
+    const lastCorrection = stats.corrections.at(-1);
+
+    const created = [];
+    for (const achievement of ACHIEVEMENTS) {
+        if (unlockedIds.has(achievement.id)) continue;
+
+        const { current, target } = evaluateRule(stats, achievement.rule);
+        if (current < target) continue;
+
+        try {
+            created.push(await prisma.achievementUnlock.create({
+                data: { userId, achievementId: achievement.id, correctionId: lastCorrection?.id },
+            }));
+        } catch (error) {
+            // P2002: outra avaliação simultânea já registrou o desbloqueio
+            if (error.code !== 'P2002') throw error;
+        }
+    }
+
+    return created;
+};
+
+const loadUnlocks = (userId) => prisma.achievementUnlock.findMany({ where: { userId } });
+
+/**
+ * Avalia as regras e registra as conquistas recém-alcançadas. Chamado quando uma correção
+ * é salva ou a nota final muda. Retorna as conquistas desbloqueadas agora.
+ */
+export const evaluateAchievements = async (userId) => {
+    const [stats, unlocks] = await Promise.all([loadStats(userId), loadUnlocks(userId)]);
+    const created = await unlockReached(userId, stats, unlocks);
+
+    return created.map(unlock => ({
+        id: unlock.achievementId,
+        title: ACHIEVEMENTS.find(achievement => achievement.id === unlock.achievementId).title,
+        unlockedAt: unlock.unlockedAt,
+    }));
+};
+
+/**
+ * Todas as conquistas com o status de desbloqueio, a data e o progresso.
+ */
+export const getUserAchievements = async (userId) => {
+    const [stats, unlocks] = await Promise.all([loadStats(userId), loadUnlocks(userId)]);
+    // Cobre correções salvas antes das conquistas serem persistidas
+    const created = await unlockReached(userId, stats, unlocks);
+    const unlocksById = new Map([...unlocks, ...created].map(unlock => [unlock.achievementId, unlock]));
+
+    return ACHIEVEMENTS.map(({ id, title, description, rule }) => {
+        const unlock = unlocksById.get(id);
+        const progress = evaluateRule(stats, rule);
+
+        return {
+            id,
+            title,
+            description,
+            unlocked: Boolean(unlock),
+            unlockedAt: unlock?.unlockedAt ?? null,
+            // Conquista liberada continua liberada mesmo que a nota final mude depois
+            progress: unlock ? { current: progress.target, target: progress.target } : progress,
+        };
+    });
+};
+
+/**
+ * Progresso das conquistas ainda bloqueadas, das mais próximas para as mais distantes.
+ */
+export const getLockedAchievementProgress = async (userId) => {
+    const achievements = await getUserAchievements(userId);
+
+    return achievements
+        .filter(achievement => !achievement.unlocked)
+        .map(({ id, title, description, progress }) => ({
+            id,
+            title,
+            description,
+            ...progress,
+            percent: Math.round((progress.current / progress.target) * 100),
+        }))
+        .sort((a, b) => b.percent - a.percent);
+};
@@ -0,0 +1,345 @@
+// src/services/admin.service.js
+
+import { prisma } from '../config/db.js';
+import { listCorrectionProviders } from '../providers/index.js';
+import { getQuotaStatus, setUserPlan } from './plan.service.js';
+import { enqueueCorrection } from './correction-queue.service.js';
+import { anonymizeAccount, deleteAccount } from './account.service.js';
+import { countActiveSessions } from './session.service.js';
+import { getFinalScores } from './essay.service.js';
+import { recordAudit, AUDIT_ACTIONS } from './audit.service.js';
+import { NotFoundError, ForbiddenError, ConflictError } from '../errors/index.js';
+
+/**
+ * Operações das rotas /api/admin. Cada função recebe o administrador autenticado (req.user)
+ * e grava a ação no AuditLog depois de concluída.
+ */
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const USER_FIELDS = {
+    id: true,
+    name: true,
+    email: true,
+    role: true,
+    plan: true,
+    profilePic: true,
+    emailVerifiedAt: true,
+    anonymizedAt: true,
+    createdAt: true,
+};
+
+const toPagination = ({ page, pageSize } = {}) => {
+    const currentPage = Math.max(Number(page) || 1, 1);
+    const size = Math.min(Math.max(Number(pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return { page: currentPage, pageSize: size, skip: (currentPage - 1) * size, take: size };
+};
+
+const findUserOrFail = async (userId, select = USER_FIELDS) => {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select });
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", { code: 'USER_NOT_FOUND' });
+    }
+    return user;
+};
+
+// Exclusão e anonimização da própria conta ficariam sem ninguém para desfazer o engano
+const assertNotSelf = (admin, userId) => {
+    if (admin.id === userId) {
+        throw new ForbiddenError("Um administrador não pode excluir ou anonimizar a própria conta por estas rotas.", {
+            code: 'CANNOT_MODIFY_OWN_ACCOUNT',
+        });
+    }
+};
+
+/**
+ * Busca usuários por nome ou e-mail (sem diferenciar maiúsculas), com filtro opcional de papel.
+ */
+export const searchUsers = async (admin, { q, role, ...paging } = {}) => {
+    const { page, pageSize, skip, take } = toPagination(paging);
+    const where = {
+        ...(q && {
+            OR: [
+                { name: { contains: q, mode: 'insensitive' } },
+                { email: { contains: q, mode: 'insensitive' } },
+            ],
+        }),
+        ...(role && { role }),
+    };
+
+    const [users, total] = await Promise.all([
+        prisma.user.findMany({
+            where,
+            select: { ...USER_FIELDS, _count: { select: { essays: true } } },
+            orderBy: { createdAt: 'desc' },
+            skip,
+            take,
+        }),
+        prisma.user.count({ where }),
+    ]);
+
+    await recordAudit(admin, AUDIT_ACTIONS.USER_SEARCH, { details: { q, role, page, pageSize } });
+
+    return {
+        users: users.map(({ _count, ...user }) => ({ ...user, essays: _count.essays })),
+        page,
+        pageSize,
+        total,
+    };
+};
+
+/**
+ * Dados do usuário com totais de uso, cota atual e sessões ativas.
+ */
+export const getUserDetails = async (admin, userId) => {
+    const user = await findUserOrFail(userId, {
+        ...USER_FIELDS,
+        _count: {
+            select: {
+                essays: true,
+                correctionJobs: true,
+                classrooms: true,
+                classroomMemberships: true,
+                blockedSubmissions: true,
+            },
+        },
+    });
+
+    const [quota, activeSessions] = await Promise.all([
+        getQuotaStatus(userId),
+        countActiveSessions(userId),
+    ]);
+
+    await recordAudit(admin, AUDIT_ACTIONS.USER_VIEW, { targetType: 'user', targetId: userId });
+
+    const { _count, ...fields } = user;
+    return { ...fields, counts: _count, activeSessions, quota };
+};
+
+/**
+ * Redações do usuário, da mais recente para a mais antiga, com o resumo da última correção.
+ */
+export const listUserEssays = async (admin, userId, paging) => {
+    await findUserOrFail(userId, { id: true });
+    const { page, pageSize, skip, take } = toPagination(paging);
+
+    const [essays, total] = await Promise.all([
+        prisma.essay.findMany({
+            where: { userId },
+            select: {
+                id: true,
+                topic: true,
+                currentVersion: true,
+                assignmentId: true,
+                importedAt: true,
+                createdAt: true,
+                corrections: { orderBy: { createdAt: 'desc' }, take: 1 },
+                _count: { select: { corrections: true } },
+            },
+            orderBy: { createdAt: 'desc' },
+            skip,
+            take,
+        }),
+        prisma.essay.count({ where: { userId } }),
+    ]);
+
+    await recordAudit(admin, AUDIT_ACTIONS.USER_ESSAYS_VIEW, { targetType: 'user', targetId: userId, details: { page, pageSize } });
+
+    return {
+        essays: essays.map(({ corrections: [latest], _count, ...essay }) => ({
+            ...essay,
+            corrections: _count.corrections,
+            latestCorrection: latest ? {
+                id: latest.id,
+                total: latest.total,
+                finalTotal: getFinalScores(latest)?.total,
+                provider: latest.provider,
+                model: latest.model,
+                reviewStatus: latest.reviewStatus,
+                similarityFlagged: latest.similarityFlagged,
+                createdAt: latest.createdAt,
+            } : null,
+        })),
+        page,
+        pageSize,
+        total,
+    };
+};
+
+/**
+ * Redação completa com o autor, as versões e todas as correções (com revisões, consumo e
+ * o relatório de similaridade sem anonimização).
+ */
+export const getEssayDetails = async (admin, essayId) => {
+    const essay = await prisma.essay.findUnique({
+        where: { id: essayId },
+        // As faixas do índice de similaridade são internas
+        omit: { similarityBands: true },
+        include: {
+            user: { select: { id: true, name: true, email: true, role: true } },
+            versions: { orderBy: { version: 'asc' } },
+            corrections: {
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    reviews: {
+                        orderBy: { createdAt: 'asc' },
+                        include: { grader: { select: { id: true, name: true } } },
+                    },
+                },
+            },
+        },
+    });
+
+    if (!essay) {
+        throw new NotFoundError("Redação não encontrada.", { code: 'ESSAY_NOT_FOUND' });
+    }
+
+    await recordAudit(admin, AUDIT_ACTIONS.ESSAY_VIEW, { targetType: 'essay', targetId: essayId, details: { userId: essay.userId } });
+
+    return {
+        ...essay,
+        corrections: essay.corrections.map(correction => ({
+            ...correction,
+            finalTotal: getFinalScores(correction)?.total,
+        })),
+    };
+};
+
+/**
+ * Enfileira uma nova correção da versão corrigida em 'correctionId', ignorando o cache.
+ * Sem 'provider', usa o provedor da correção original (ou o padrão, se ele não existir mais).
+ * O job é do dono da redação, mas não conta na cota dele.
+ */
+export const regradeCorrection = async (admin, correctionId, { provider, consensus } = {}) => {
+    const correction = await prisma.correction.findUnique({
+        where: { id: correctionId },
+        include: { essay: true, essayVersion: true },
+    });
+
+    if (!correction) {
+        throw new NotFoundError("Correção não encontrada.", { code: 'CORRECTION_NOT_FOUND' });
+    }
+
+    const { essay, essayVersion } = correction;
+    if (essay.textRemovedAt) {
+        throw new ConflictError("O texto desta redação foi apagado pela política de retenção de dados.", { code: 'ESSAY_TEXT_REMOVED' });
+    }
+    const originalProvider = listCorrectionProviders().includes(correction.provider) ? correction.provider : undefined;
+
+    const job = await enqueueCorrection(essay.userId, {
+        essayText: essayVersion?.text ?? essay.text,
+        essayTopic: essay.topic,
+        topicId: essay.topicId ?? undefined,
+        assignmentId: essay.assignmentId ?? undefined,
+        // Correções anteriores ao histórico de versões caem na busca pelo texto em submitEssay
+        ...(essayVersion && { essayId: essay.id, versionId: essayVersion.id }),
+        provider: provider ?? originalProvider,
+        consensus,
+        regrade: true,
+    }, { requestedById: admin.id });
+
+    await recordAudit(admin, AUDIT_ACTIONS.CORRECTION_REGRADE, {
+        targetType: 'correction',
+        targetId: correctionId,
+        details: { essayId: essay.id, userId: essay.userId, jobId: job.id, provider: provider ?? originalProvider ?? null },
+    });
+
+    return job;
+};
+
+export const getUserQuota = async (admin, userId) => {
+    const quota = await getQuotaStatus(userId);
+    await recordAudit(admin, AUDIT_ACTIONS.USER_QUOTA_VIEW, { targetType: 'user', targetId: userId });
+    return quota;
+};
+
+export const changeUserPlan = async (admin, userId, plan) => {
+    const { plan: previousPlan } = await findUserOrFail(userId, { plan: true });
+    const user = await setUserPlan(userId, plan);
+
+    await recordAudit(admin, AUDIT_ACTIONS.USER_PLAN_UPDATE, {
+        targetType: 'user',
+        targetId: userId,
+        details: { from: previousPlan, to: plan },
+    });
+
+    return user;
+};
+
+export const anonymizeUser = async (admin, userId) => {
+    assertNotSelf(admin, userId);
+    const result = await anonymizeAccount(userId);
+
+    await recordAudit(admin, AUDIT_ACTIONS.USER_ANONYMIZE, { targetType: 'user', targetId: userId, details: result.removed });
+
+    return result;
+};
+
+export const deleteUser = async (admin, userId) => {
+    assertNotSelf(admin, userId);
+    const { email, role } = await findUserOrFail(userId, { email: true, role: true });
+    const result = await deleteAccount(userId);
+
+    // O e-mail fica só no registro de auditoria, para responder a quem pediu a exclusão
+    await recordAudit(admin, AUDIT_ACTIONS.USER_DELETE, {
+        targetType: 'user',
+        targetId: userId,
+        details: { email, role, ...result.removed },
+    });
+
+    return result;
+};
+
+/**
+ * Submissões que o filtro de segurança do modelo bloqueou, das mais recentes para as mais antigas.
+ */
+export const listBlockedSubmissions = async (admin, { userId, provider, ...paging } = {}) => {
+    const { page, pageSize, skip, take } = toPagination(paging);
+    const where = {
+        ...(userId && { userId }),
+        ...(provider && { provider }),
+    };
+
+    const [submissions, total] = await Promise.all([
+        prisma.blockedSubmission.findMany({
+            where,
+            include: { user: { select: { id: true, name: true, email: true } } },
+            orderBy: { createdAt: 'desc' },
+            skip,
+            take,
+        }),
+        prisma.blockedSubmission.count({ where }),
+    ]);
+
+    await recordAudit(admin, AUDIT_ACTIONS.BLOCKED_SUBMISSIONS_VIEW, { details: { userId, provider, page, pageSize } });
+
+    return { submissions, page, pageSize, total };
+};
+
+/**
+ * Registro de auditoria, do mais recente para o mais antigo.
+ */
+export const listAuditLog = async (admin, { actorId, action, targetId, from, to, ...paging } = {}) => {
+    const { page, pageSize, skip, take } = toPagination(paging);
+    const where = {
+        ...(actorId && { actorId }),
+        ...(action && { action }),
+        ...(targetId && { targetId }),
+        ...((from || to) && {
+            createdAt: {
+                ...(from && { gte: new Date(from) }),
+                ...(to && { lte: new Date(to) }),
+            },
+        }),
+    };
+
+    const [entries, total] = await Promise.all([
+        prisma.auditLog.findMany({ where, orderBy: { createdAt: 'desc' }, skip, take }),
+        prisma.auditLog.count({ where }),
+    ]);
+
+    await recordAudit(admin, AUDIT_ACTIONS.AUDIT_LOG_VIEW, { details: { actorId, action, targetId, from, to, page, pageSize } });
+
+    return { entries, page, pageSize, total };
+};
@@ -0,0 +1,134 @@
+// src/services/annotation.service.js
+
+/**
+ * Ancoragem das anotações do modelo no texto da redação. O modelo informa o trecho
+ * citado e os offsets, mas os offsets costumam vir errados: conferimos cada um e,
+ * se preciso, reencontramos o trecho no texto.
+ */
+
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+
+export const SEVERITIES = ['baixa', 'media', 'alta'];
+
+// Similaridade mínima (0 a 1) para aceitar um trecho encontrado por busca aproximada
+const FUZZY_THRESHOLD = 0.75;
+
+const normalizeWord = (word) => word
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Palavras do texto com suas posições de início e fim.
+ */
+const tokenizeWithOffsets = (text) => {
+    const tokens = [];
+    const pattern = /\S+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ word: normalizeWord(match[0]), start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+};
+
+/**
+ * Entre várias ocorrências, fica a mais próxima do offset sugerido pelo modelo.
+ */
+const findNearestOccurrence = (text, excerpt, hint) => {
+    let best = -1;
+    let index = text.indexOf(excerpt);
+    while (index !== -1) {
+        if (best === -1 || Math.abs(index - hint) < Math.abs(best - hint)) best = index;
+        index = text.indexOf(excerpt, index + 1);
+    }
+    return best;
+};
+
+/**
+ * Busca aproximada por palavras: desliza uma janela do tamanho do trecho sobre o
+ * texto e fica com a posição de maior proporção de palavras coincidentes.
+ * Tolera diferenças de pontuação, acentuação, caixa e espaços e pequenos erros de cópia.
+ */
+const fuzzyFind = (tokens, excerpt) => {
+    const excerptWords = excerpt.split(/\s+/).map(normalizeWord).filter(Boolean);
+    const size = excerptWords.length;
+    if (size === 0 || tokens.length < size) return null;
+
+    let best = null;
+    for (let i = 0; i + size <= tokens.length; i++) {
+        let matches = 0;
+        for (let j = 0; j < size; j++) {
+            if (tokens[i + j].word === excerptWords[j]) matches++;
+        }
+        const score = matches / size;
+        if (!best || score > best.score) {
+            best = { score, start: tokens[i].start, end: tokens[i + size - 1].end };
+        }
+    }
+
+    return best && best.score >= FUZZY_THRESHOLD ? best : null;
+};
+
+/**
+ * Localiza a anotação no texto. Retorna { start, end, anchoring } ou null.
+ */
+const locate = (text, tokens, annotation) => {
+    const excerpt = annotation.trecho.trim();
+    const start = Number(annotation.inicio);
+    const end = Number(annotation.fim);
+
+    // 1. Offsets do modelo conferem com o trecho citado
+    if (Number.isInteger(start) && Number.isInteger(end) && text.slice(start, end) === excerpt) {
+        return { start, end, anchoring: 'exact' };
+    }
+
+    // 2. O trecho existe literalmente no texto, em outra posição
+    const index = findNearestOccurrence(text, excerpt, Number.isInteger(start) ? start : 0);
+    if (index !== -1) {
+        return { start: index, end: index + excerpt.length, anchoring: 'reanchored' };
+    }
+
+    // 3. Busca aproximada
+    const match = fuzzyFind(tokens, excerpt);
+    if (match) {
+        return { start: match.start, end: match.end, anchoring: 'fuzzy' };
+    }
+
+    return null;
+};
+
+/**
+ * Confere e reancora as anotações do modelo contra o texto da redação.
+ * Anotações que não puderem ser localizadas são descartadas (e contadas em 'discarded').
+ */
+export const anchorAnnotations = (annotations, text) => {
+    if (!Array.isArray(annotations) || annotations.length === 0) {
+        return { annotations: [], discarded: 0 };
+    }
+
+    const tokens = tokenizeWithOffsets(text);
+    const anchored = [];
+
+    annotations.forEach(annotation => {
+        if (!annotation || typeof annotation.trecho !== 'string' || annotation.trecho.trim().length === 0) return;
+
+        const position = locate(text, tokens, annotation);
+        if (!position) return;
+
+        anchored.push({
+            start: position.start,
+            end: position.end,
+            excerpt: text.slice(position.start, position.end),
+            competency: COMPETENCY_KEYS.includes(annotation.competencia) ? annotation.competencia : null,
+            severity: SEVERITIES.includes(annotation.severidade) ? annotation.severidade : 'media',
+            comment: typeof annotation.comentario === 'string' ? annotation.comentario : '',
+            suggestion: typeof annotation.sugestao === 'string' ? annotation.sugestao : null,
+            anchoring: position.anchoring,
+        });
+    });
+
+    anchored.sort((a, b) => a.start - b.start || a.end - b.end);
+
+    return { annotations: anchored, discarded: annotations.length - anchored.length };
+};
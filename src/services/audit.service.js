@@ -0,0 +1,35 @@
+// src/services/audit.service.js
+
+import { prisma } from '../config/db.js';
+import { getLogContext } from '../logger/index.js';
+
+// Ações gravadas em AuditLog.action
+export const AUDIT_ACTIONS = {
+    USER_SEARCH: 'user.search',
+    USER_VIEW: 'user.view',
+    USER_ESSAYS_VIEW: 'user.essays.view',
+    USER_QUOTA_VIEW: 'user.quota.view',
+    USER_PLAN_UPDATE: 'user.plan.update',
+    USER_ANONYMIZE: 'user.anonymize',
+    USER_DELETE: 'user.delete',
+    ESSAY_VIEW: 'essay.view',
+    CORRECTION_REGRADE: 'correction.regrade',
+    BLOCKED_SUBMISSIONS_VIEW: 'blocked_submissions.view',
+    AUDIT_LOG_VIEW: 'audit_log.view',
+};
+
+/**
+ * Grava uma ação de administrador. 'actor' é o usuário autenticado (req.user); o e-mail
+ * é copiado para o registro continuar legível se a conta do administrador for excluída.
+ */
+export const recordAudit = (actor, action, { targetType, targetId, details } = {}) => prisma.auditLog.create({
+    data: {
+        actorId: actor.id,
+        actorEmail: actor.email,
+        action,
+        targetType,
+        targetId,
+        details,
+        requestId: getLogContext().requestId,
+    },
+});
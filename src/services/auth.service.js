@@ -1,20 +0,0 @@
-import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
-import User from '../models/user.model.js';
-
-export async function login(email, password) {
-    // Verifica se o usuário existe e se a senha é valida
-  const user = await User.findOne({ email });
-  if (!user) throw new Error('Usuário não encontrado');
-
-  const valid = await bcrypt.compare(password, user.password);
-  if (!valid) throw new Error('Senha inválida');
-// Gera um token JWT
-  const token = jwt.sign(
-    { id: user._id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: '1h' }
-  );
-
-  return { token };
-}
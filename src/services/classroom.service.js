@@ -0,0 +1,407 @@
+// src/services/classroom.service.js
+
+import crypto from 'node:crypto';
+import { prisma } from '../config/db.js';
+import { getEssayById, getGroupAnalytics, getFinalScores } from './essay.service.js';
+import { getTopicById } from './topic.service.js';
+import { ValidationError, ForbiddenError, NotFoundError } from '../errors/index.js';
+
+// Sem caracteres ambíguos (0/O, 1/I/L) para facilitar a digitação pelos alunos
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+const generateInviteCode = () => {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    return Array.from(bytes, byte => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Busca a turma garantindo que o professor é o responsável por ela.
+ */
+export const getOwnedClassroom = async (classroomId, teacherId) => {
+    const classroom = await prisma.classroom.findFirst({
+        where: { id: classroomId, teacherId },
+    });
+
+    if (!classroom) {
+        throw new NotFoundError("Turma não encontrada ou acesso negado.", { code: 'CLASSROOM_NOT_FOUND' });
+    }
+
+    return classroom;
+};
+
+/**
+ * Busca a turma se o usuário for o professor responsável ou um aluno matriculado.
+ */
+const getAccessibleClassroom = async (classroomId, user) => {
+    const classroom = await prisma.classroom.findFirst({
+        where: {
+            id: classroomId,
+            OR: [
+                { teacherId: user.id },
+                { members: { some: { userId: user.id } } },
+            ],
+        },
+    });
+
+    if (!classroom) {
+        throw new NotFoundError("Turma não encontrada ou acesso negado.", { code: 'CLASSROOM_NOT_FOUND' });
+    }
+
+    return classroom;
+};
+
+const getMemberIds = async (classroomId) => {
+    const members = await prisma.classroomMember.findMany({
+        where: { classroomId },
+        select: { userId: true },
+    });
+    return members.map(member => member.userId);
+};
+
+/**
+ * Cria uma turma com um código de convite único.
+ */
+export const createClassroom = async (teacherId, { name }) => {
+    if (!name || name.trim().length === 0) {
+        throw new ValidationError("O nome da turma é obrigatório.");
+    }
+
+    // Colisões são improváveis (31^8 combinações), mas o índice único é a garantia final
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const inviteCode = generateInviteCode();
+        const existing = await prisma.classroom.findUnique({ where: { inviteCode } });
+        if (!existing) {
+            return prisma.classroom.create({
+                data: { name: name.trim(), teacherId, inviteCode },
+            });
+        }
+    }
+
+    throw new Error("Não foi possível gerar um código de convite. Tente novamente.");
+};
+
+/**
+ * Lista as turmas do usuário: as que leciona (professor) ou em que está matriculado (aluno).
+ */
+export const listClassrooms = async (user) => {
+    if (user.role === 'teacher') {
+        return prisma.classroom.findMany({
+            where: { teacherId: user.id },
+            include: { _count: { select: { members: true, assignments: true } } },
+            orderBy: { createdAt: 'desc' },
+        });
+    }
+
+    return prisma.classroom.findMany({
+        where: { members: { some: { userId: user.id } } },
+        select: {
+            id: true,
+            name: true,
+            createdAt: true,
+            teacher: { select: { id: true, name: true } },
+        },
+        orderBy: { createdAt: 'desc' },
+    });
+};
+
+/**
+ * Detalhes da turma. O professor também recebe a lista de alunos.
+ */
+export const getClassroom = async (classroomId, user) => {
+    const classroom = await getAccessibleClassroom(classroomId, user);
+    const isTeacher = classroom.teacherId === user.id;
+
+    const members = isTeacher
+        ? await prisma.classroomMember.findMany({
+            where: { classroomId },
+            include: { user: { select: { id: true, name: true, email: true, profilePic: true } } },
+            orderBy: { joinedAt: 'asc' },
+        })
+        : [];
+
+    return {
+        ...classroom,
+        // O código de convite só é exibido para o professor
+        inviteCode: isTeacher ? classroom.inviteCode : undefined,
+        students: members.map(member => ({ ...member.user, joinedAt: member.joinedAt })),
+    };
+};
+
+/**
+ * Matricula o aluno na turma pelo código de convite.
+ */
+export const joinClassroom = async (studentId, { inviteCode }) => {
+    if (!inviteCode) {
+        throw new ValidationError("O código de convite é obrigatório.");
+    }
+
+    const classroom = await prisma.classroom.findUnique({
+        where: { inviteCode: inviteCode.trim().toUpperCase() },
+    });
+
+    if (!classroom) {
+        throw new NotFoundError("Código de convite inválido.", { code: 'INVALID_INVITE_CODE' });
+    }
+
+    const existing = await prisma.classroomMember.findFirst({
+        where: { classroomId: classroom.id, userId: studentId },
+    });
+
+    if (!existing) {
+        await prisma.classroomMember.create({
+            data: { classroomId: classroom.id, userId: studentId },
+        });
+    }
+
+    return { id: classroom.id, name: classroom.name };
+};
+
+/**
+ * Cria uma atividade com tema fixo e prazo de entrega. O tema pode vir do banco de temas ('topicId').
+ */
+export const createAssignment = async (classroomId, teacherId, { title, topic, topicId, instructions, dueAt }) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const bankTopic = topicId ? await getTopicById(topicId) : null;
+    if (bankTopic) topic = bankTopic.title;
+
+    if (!title || !topic || !dueAt) {
+        throw new ValidationError("Título, tema e prazo da atividade são obrigatórios.");
+    }
+
+    const deadline = new Date(dueAt);
+    if (Number.isNaN(deadline.getTime())) {
+        throw new ValidationError("O prazo da atividade é uma data inválida.");
+    }
+
+    return prisma.assignment.create({
+        data: {
+            classroomId,
+            title: title.trim(),
+            topic: topic.trim(),
+            topicId: bankTopic?.id,
+            instructions,
+            dueAt: deadline,
+        },
+    });
+};
+
+/**
+ * Lista as atividades da turma.
+ */
+export const listAssignments = async (classroomId, user) => {
+    await getAccessibleClassroom(classroomId, user);
+
+    return prisma.assignment.findMany({
+        where: { classroomId },
+        orderBy: { dueAt: 'asc' },
+    });
+};
+
+/**
+ * Valida a entrega de um aluno (matrícula e prazo) e devolve os dados da
+ * submissão a enfileirar, com o tema fixado pela atividade.
+ */
+export const prepareAssignmentSubmission = async (classroomId, assignmentId, studentId, { essayText, provider, uploadId, consensus }) => {
+    const assignment = await prisma.assignment.findFirst({
+        where: {
+            id: assignmentId,
+            classroomId,
+            classroom: { members: { some: { userId: studentId } } },
+        },
+    });
+
+    if (!assignment) {
+        throw new NotFoundError("Atividade não encontrada ou acesso negado.", { code: 'ASSIGNMENT_NOT_FOUND' });
+    }
+
+    if (new Date() > assignment.dueAt) {
+        throw new ForbiddenError("O prazo de entrega desta atividade já terminou.", { code: 'ASSIGNMENT_CLOSED' });
+    }
+
+    return {
+        essayText,
+        essayTopic: assignment.topic,
+        topicId: assignment.topicId,
+        provider,
+        uploadId,
+        consensus,
+        assignmentId: assignment.id,
+    };
+};
+
+/**
+ * Entregas de uma atividade (última correção de cada redação) e alunos que ainda não entregaram.
+ */
+export const listAssignmentSubmissions = async (classroomId, assignmentId, teacherId) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const assignment = await prisma.assignment.findFirst({
+        where: { id: assignmentId, classroomId },
+    });
+
+    if (!assignment) {
+        throw new NotFoundError("Atividade não encontrada ou acesso negado.", { code: 'ASSIGNMENT_NOT_FOUND' });
+    }
+
+    const essays = await prisma.essay.findMany({
+        where: { assignmentId },
+        // As faixas do índice de similaridade são internas
+        omit: { similarityBands: true },
+        include: {
+            user: { select: { id: true, name: true, email: true } },
+            corrections: { orderBy: { createdAt: 'desc' }, take: 1 },
+        },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    const members = await prisma.classroomMember.findMany({
+        where: { classroomId },
+        include: { user: { select: { id: true, name: true, email: true } } },
+    });
+    const submittedIds = new Set(essays.map(essay => essay.userId));
+
+    return {
+        assignment,
+        submissions: essays.map(({ corrections, ...essay }) => ({
+            ...essay,
+            correction: corrections[0]
+                ? {
+                    id: corrections[0].id,
+                    total: getFinalScores(corrections[0])?.total,
+                    reviewStatus: corrections[0].reviewStatus,
+                    similarityFlagged: corrections[0].similarityFlagged,
+                    createdAt: corrections[0].createdAt,
+                }
+                : null,
+        })),
+        missing: members
+            .filter(member => !submittedIds.has(member.userId))
+            .map(member => member.user),
+    };
+};
+
+/**
+ * Abre a redação (com correções) de um aluno da turma.
+ */
+export const getStudentEssay = async (classroomId, essayId, teacherId) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const essay = await prisma.essay.findFirst({
+        where: {
+            id: essayId,
+            user: { classroomMemberships: { some: { classroomId } } },
+        },
+        select: { id: true, userId: true },
+    });
+
+    if (!essay) {
+        throw new NotFoundError("Redação não encontrada ou acesso negado.", { code: 'ESSAY_NOT_FOUND' });
+    }
+
+    return getEssayById(essay.id, essay.userId);
+};
+
+/**
+ * Médias da turma (ou de uma atividade), reaproveitando a agregação do dashboard do aluno.
+ */
+export const getClassroomAnalytics = async (classroomId, teacherId, assignmentId) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const memberIds = await getMemberIds(classroomId);
+    return getGroupAnalytics(memberIds, assignmentId);
+};
+
+/**
+ * Redações dos alunos da turma (ou de uma atividade) cuja correção mais recente foi sinalizada
+ * pela verificação de similaridade, das mais para as menos parecidas com outra redação.
+ */
+export const listFlaggedEssays = async (classroomId, teacherId, assignmentId) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const memberIds = await getMemberIds(classroomId);
+    const essays = await prisma.essay.findMany({
+        where: {
+            userId: { in: memberIds },
+            ...(assignmentId ? { assignmentId } : {}),
+            corrections: { some: { similarityFlagged: true } },
+        },
+        select: {
+            id: true,
+            topic: true,
+            assignmentId: true,
+            createdAt: true,
+            user: { select: { id: true, name: true, email: true } },
+            corrections: {
+                orderBy: { createdAt: 'desc' },
+                take: 1,
+                select: { id: true, similarity: true, similarityFlagged: true },
+            },
+        },
+    });
+
+    return essays
+        // Vale a correção mais recente: uma reescrita pode ter deixado de ser sinalizada
+        .filter(essay => essay.corrections[0]?.similarityFlagged)
+        .map(({ corrections: [correction], ...essay }) => ({
+            ...essay,
+            correctionId: correction.id,
+            checkedAt: correction.similarity.checkedAt,
+            reasons: correction.similarity.reasons,
+            maxOverlap: correction.similarity.maxOverlap,
+            templateCoverage: correction.similarity.templateCoverage,
+            matches: correction.similarity.matches.length,
+        }))
+        .sort((a, b) => b.maxOverlap - a.maxOverlap);
+};
+
+/**
+ * Relatório de similaridade da última correção da redação de um aluno da turma. Redações de
+ * alunos da turma aparecem com o autor; as de fora da turma, sem identificação.
+ */
+export const getStudentSimilarityReport = async (classroomId, essayId, teacherId) => {
+    await getOwnedClassroom(classroomId, teacherId);
+
+    const memberIds = await getMemberIds(classroomId);
+    const essay = await prisma.essay.findFirst({
+        where: { id: essayId, userId: { in: memberIds } },
+        select: {
+            id: true,
+            userId: true,
+            corrections: {
+                orderBy: { createdAt: 'desc' },
+                take: 1,
+                select: { id: true, similarity: true },
+            },
+        },
+    });
+
+    if (!essay) {
+        throw new NotFoundError("Redação não encontrada ou acesso negado.", { code: 'ESSAY_NOT_FOUND' });
+    }
+
+    const correction = essay.corrections[0];
+    if (!correction?.similarity) {
+        throw new NotFoundError("A redação ainda não passou pela verificação de similaridade.", { code: 'SIMILARITY_REPORT_NOT_FOUND' });
+    }
+
+    const students = await prisma.user.findMany({
+        where: { id: { in: memberIds } },
+        select: { id: true, name: true },
+    });
+    const studentsById = new Map(students.map(student => [student.id, student]));
+
+    return {
+        essayId: essay.id,
+        studentId: essay.userId,
+        correctionId: correction.id,
+        ...correction.similarity,
+        matches: correction.similarity.matches.map(({ essayId: matchedEssayId, userId, topic, submittedAt, ...match }) => {
+            const student = studentsById.get(userId);
+            return student
+                ? { ...match, inClassroom: true, student, essayId: matchedEssayId, topic, submittedAt }
+                : { ...match, inClassroom: false };
+        }),
+    };
+};
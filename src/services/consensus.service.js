@@ -0,0 +1,106 @@
+// src/services/consensus.service.js
+
+/**
+ * Consenso entre várias correções da mesma redação (amostras de um ou mais modelos).
+ */
+
+import { COMPETENCY_KEYS, snapScore } from './correction-schema.service.js';
+
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const standardDeviation = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+};
+
+/**
+ * Nota de consenso de uma competência: a maioria absoluta, quando existe;
+ * senão a mediana (ajustada para a nota válida mais próxima).
+ */
+const pickScore = (scores) => {
+    const counts = new Map();
+    scores.forEach(score => counts.set(score, (counts.get(score) || 0) + 1));
+
+    for (const [score, count] of counts) {
+        if (count > scores.length / 2) {
+            return { nota: score, method: 'majority' };
+        }
+    }
+
+    return { nota: snapScore(median(scores)), method: 'median' };
+};
+
+/**
+ * Confiança a partir da dispersão: amostras concordantes indicam uma nota estável.
+ */
+const rateConfidence = (totalSpread, maxCompetencySpread, totalStdDev) => {
+    let level = 'baixa';
+    if (totalSpread <= 80 && maxCompetencySpread <= 40) level = 'alta';
+    else if (totalSpread <= 160 && maxCompetencySpread <= 80) level = 'media';
+
+    // 0 a 1: desvio padrão do total em relação a 200 pontos (uma faixa inteira de competência)
+    const score = Math.round(Math.max(0, 1 - totalStdDev / 200) * 100) / 100;
+
+    return { level, score };
+};
+
+/**
+ * Monta a correção de consenso a partir das amostras válidas
+ * ({ provider, model, correction, repairMethod }).
+ */
+export const buildConsensus = (samples) => {
+    const competencias = {};
+    const methods = {};
+    const competencySpread = {};
+
+    COMPETENCY_KEYS.forEach(key => {
+        const scores = samples.map(sample => sample.correction.competencias[key].nota);
+        const { nota, method } = pickScore(scores);
+        // A análise vem da primeira amostra que deu a nota escolhida (ou a mais próxima dela)
+        const source = samples.reduce((best, sample) =>
+            Math.abs(sample.correction.competencias[key].nota - nota) < Math.abs(best.correction.competencias[key].nota - nota) ? sample : best
+        );
+
+        competencias[key] = { nota, analise: source.correction.competencias[key].analise };
+        methods[key] = method;
+        competencySpread[key] = Math.max(...scores) - Math.min(...scores);
+    });
+
+    const total = COMPETENCY_KEYS.reduce((sum, key) => sum + competencias[key].nota, 0);
+    const totals = samples.map(sample => sample.correction.total);
+    // Feedback geral e anotações vêm da amostra com total mais próximo do consenso
+    const closest = samples.reduce((best, sample) =>
+        Math.abs(sample.correction.total - total) < Math.abs(best.correction.total - total) ? sample : best
+    );
+
+    const totalSpread = Math.max(...totals) - Math.min(...totals);
+    const totalStdDev = standardDeviation(totals);
+
+    return {
+        correction: {
+            ...closest.correction,
+            competencias,
+            total,
+        },
+        consensus: {
+            samples: samples.map(sample => ({
+                provider: sample.provider,
+                model: sample.model,
+                total: sample.correction.total,
+                competencias: Object.fromEntries(COMPETENCY_KEYS.map(key => [key, sample.correction.competencias[key].nota])),
+                repairMethod: sample.repairMethod,
+            })),
+            methods,
+            spread: {
+                total: totalSpread,
+                totalStdDev: Math.round(totalStdDev * 10) / 10,
+                competencias: competencySpread,
+            },
+            confidence: rateConfidence(totalSpread, Math.max(...Object.values(competencySpread)), totalStdDev),
+        },
+    };
+};
@@ -0,0 +1,228 @@
+// src/services/correction-queue.service.js
+
+import { EventEmitter } from 'node:events';
+import { prisma } from '../config/db.js';
+import { prepareSubmission, submitEssay } from './essay.service.js';
+import { assertWithinQuota, confirmWithinQuota } from './plan.service.js';
+import { evaluateAchievements } from './achievement.service.js';
+import { AppError, NotFoundError } from '../errors/index.js';
+import { logger, getLogContext, runWithContext } from '../logger/index.js';
+
+// Etapas de um job: queued → grading → validating → saved (ou failed)
+export const JOB_STATUS = {
+    QUEUED: 'queued',
+    GRADING: 'grading',
+    VALIDATING: 'validating',
+    SAVED: 'saved',
+    FAILED: 'failed',
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.SAVED, JOB_STATUS.FAILED];
+const RUNNING_STATUSES = [JOB_STATUS.GRADING, JOB_STATUS.VALIDATING];
+
+const maxAttempts = Number(process.env.CORRECTION_JOB_MAX_ATTEMPTS || 3);
+const backoffBaseMs = Number(process.env.CORRECTION_JOB_BACKOFF_MS || 5000);
+const backoffMaxMs = Number(process.env.CORRECTION_JOB_BACKOFF_MAX_MS || 5 * 60 * 1000);
+// Jobs "em andamento" há mais tempo que isso são considerados abandonados (ex.: processo reiniciado)
+const lockTimeoutMs = Number(process.env.CORRECTION_JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+
+/**
+ * Notifica, dentro do processo, as mudanças de status dos jobs (consumido pelo stream SSE).
+ */
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+export const isTerminalStatus = (status) => TERMINAL_STATUSES.includes(status);
+
+/**
+ * Formata o job para a resposta da API.
+ */
+const formatJob = (job) => ({
+    id: job.id,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    error: job.error,
+    errorCode: job.errorCode,
+    result: job.result,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+});
+
+const updateJobStatus = async (jobId, data) => {
+    const job = await prisma.correctionJob.update({ where: { id: jobId }, data });
+    jobEvents.emit(jobId, formatJob(job));
+    return job;
+};
+
+/**
+ * Valida a submissão e a coloca na fila de correção. Retorna o job criado.
+ * Com 'requestedById' (administrador que pediu a nova correção), o job não passa pela cota do usuário.
+ */
+export const enqueueCorrection = async (userId, essayData, { requestedById } = {}) => {
+    await prepareSubmission(userId, essayData);
+    if (!requestedById) await assertWithinQuota(userId);
+
+    const job = await prisma.correctionJob.create({
+        data: {
+            userId,
+            payload: essayData,
+            status: JOB_STATUS.QUEUED,
+            maxAttempts,
+            // Liga os logs do worker à requisição que enfileirou a correção
+            requestId: getLogContext().requestId,
+            requestedById,
+            // Fora do alcance do worker até a cota ser confirmada (se o processo cair antes, roda após o prazo)
+            ...(!requestedById && { runAt: new Date(Date.now() + lockTimeoutMs) }),
+        },
+    });
+
+    if (requestedById) return { ...formatJob(job), quota: null };
+
+    const quota = await confirmWithinQuota(userId, job, () => prisma.correctionJob.delete({ where: { id: job.id } }));
+    const queuedJob = await prisma.correctionJob.update({ where: { id: job.id }, data: { runAt: new Date() } });
+
+    return { ...formatJob(queuedJob), quota };
+};
+
+/**
+ * Busca um job do usuário.
+ */
+export const getCorrectionJob = async (jobId, userId) => {
+    const job = await prisma.correctionJob.findFirst({
+        where: { id: jobId, userId },
+    });
+
+    if (!job) {
+        throw new NotFoundError("Job de correção não encontrado.", { code: 'JOB_NOT_FOUND' });
+    }
+
+    return formatJob(job);
+};
+
+/**
+ * Reserva o próximo job pronto para execução. A reserva é feita com um
+ * updateMany condicionado ao status lido, para que dois workers nunca peguem o mesmo job.
+ */
+export const claimNextJob = async () => {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - lockTimeoutMs);
+
+    const candidate = await prisma.correctionJob.findFirst({
+        where: {
+            OR: [
+                { status: JOB_STATUS.QUEUED, runAt: { lte: now } },
+                { status: { in: RUNNING_STATUSES }, lockedAt: { lt: staleBefore } },
+            ],
+        },
+        orderBy: { runAt: 'asc' },
+    });
+
+    if (!candidate) return null;
+
+    const { count } = await prisma.correctionJob.updateMany({
+        where: { id: candidate.id, status: candidate.status, updatedAt: candidate.updatedAt },
+        data: {
+            status: JOB_STATUS.GRADING,
+            lockedAt: now,
+            attempts: { increment: 1 },
+        },
+    });
+
+    if (count === 0) return null;
+
+    const job = await prisma.correctionJob.findUnique({ where: { id: candidate.id } });
+    jobEvents.emit(job.id, formatJob(job));
+    return job;
+};
+
+/**
+ * Erros do pedido (conteúdo bloqueado, dados inválidos) não mudam numa nova tentativa;
+ * falhas de serviço externo e erros inesperados sim.
+ */
+const isRetryable = (error) => !(error instanceof AppError) || error.status >= 500;
+
+/**
+ * Executa um job já reservado: corrige a redação e registra o resultado,
+ * reagendando com backoff exponencial em caso de falha.
+ */
+export const processJob = (job) => runWithContext(
+    { requestId: job.requestId ?? undefined, jobId: job.id, userId: job.userId },
+    () => runJob(job),
+);
+
+const runJob = async (job) => {
+    try {
+        const correction = await submitEssay(job.userId, job.payload, {
+            onProgress: (status) => updateJobStatus(job.id, { status }),
+        });
+
+        // Conquistas não podem derrubar uma correção já salva
+        const achievements = await evaluateAchievements(job.userId).catch(error => {
+            logger.error('Erro ao avaliar conquistas', { error: error.message });
+            return [];
+        });
+
+        await updateJobStatus(job.id, {
+            status: JOB_STATUS.SAVED,
+            lockedAt: null,
+            error: null,
+            errorCode: null,
+            result: {
+                correctionId: correction.id,
+                essayId: correction.essayId,
+                total: correction.total,
+                version: correction.version,
+                scoreDelta: correction.scoreDelta,
+                cached: correction.cached,
+                // Conquistas desbloqueadas por esta correção, para o aviso ao aluno
+                achievements,
+            },
+        });
+    } catch (error) {
+        logger.error('Erro no job de correção', { attempt: job.attempts, errorCode: error.code, error: error.message });
+
+        if (job.attempts < job.maxAttempts && isRetryable(error)) {
+            const delay = Math.min(backoffBaseMs * 2 ** (job.attempts - 1), backoffMaxMs);
+            await updateJobStatus(job.id, {
+                status: JOB_STATUS.QUEUED,
+                lockedAt: null,
+                error: error.message,
+                errorCode: error.code ?? 'INTERNAL_ERROR',
+                runAt: new Date(Date.now() + delay),
+            });
+            return;
+        }
+
+        await updateJobStatus(job.id, {
+            status: JOB_STATUS.FAILED,
+            lockedAt: null,
+            error: error.message,
+            errorCode: error.code ?? 'INTERNAL_ERROR',
+        });
+    }
+};
+
+/**
+ * Acompanha as mudanças de um job. Além dos eventos locais, consulta o banco
+ * periodicamente, pois o job pode estar sendo processado por um worker em outro processo.
+ * Retorna a função que encerra o acompanhamento.
+ */
+export const subscribeToJob = (jobId, listener, pollIntervalMs = 5000) => {
+    jobEvents.on(jobId, listener);
+
+    const poller = setInterval(async () => {
+        try {
+            const job = await prisma.correctionJob.findUnique({ where: { id: jobId } });
+            if (job) listener(formatJob(job));
+        } catch (error) {
+            logger.error('Erro ao consultar o job', { jobId, error: error.message });
+        }
+    }, pollIntervalMs);
+
+    return () => {
+        jobEvents.off(jobId, listener);
+        clearInterval(poller);
+    };
+};
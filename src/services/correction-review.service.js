@@ -0,0 +1,166 @@
+// src/services/correction-review.service.js
+
+import { prisma } from '../config/db.js';
+import { COMPETENCY_KEYS, VALID_SCORES } from './correction-schema.service.js';
+import { resolveGrades, REVIEW_STATUS } from './grade-resolution.service.js';
+import { evaluateAchievements } from './achievement.service.js';
+import { ValidationError, NotFoundError, ConflictError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+/**
+ * Notas de um corretor no formato usado pela resolução ({ competencias, total }).
+ */
+const toGraderScores = (competencias) => ({
+    competencias,
+    total: COMPETENCY_KEYS.reduce((sum, key) => sum + competencias[key].nota, 0),
+});
+
+/**
+ * Monta as competências da revisão: o professor informa só o que quer ajustar;
+ * o restante parte da correção da IA.
+ */
+const buildReviewCompetencies = (aiNotes, adjustments = {}) => {
+    const competencias = {};
+
+    COMPETENCY_KEYS.forEach(key => {
+        const adjustment = adjustments[key] || {};
+        const aiCompetency = aiNotes?.competencias?.[key] || {};
+
+        const nota = adjustment.nota ?? aiCompetency.nota;
+        if (!VALID_SCORES.includes(nota)) {
+            throw new ValidationError(`Nota inválida para ${key}: use um de ${VALID_SCORES.join(', ')}.`, { code: 'INVALID_SCORE' });
+        }
+
+        competencias[key] = {
+            nota,
+            analise: adjustment.analise ?? aiCompetency.analise ?? '',
+        };
+    });
+
+    return competencias;
+};
+
+/**
+ * Recalcula a nota final da correção a partir da IA e das revisões humanas.
+ */
+const updateResolvedGrade = async (correction) => {
+    const reviews = await prisma.correctionReview.findMany({
+        where: { correctionId: correction.id },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    const graderScores = [
+        toGraderScores(correction.notes.competencias),
+        ...reviews.map(review => toGraderScores(review.competencias)),
+    ];
+    const { scores, status, discrepancy } = resolveGrades(graderScores);
+
+    return prisma.correction.update({
+        where: { id: correction.id },
+        data: {
+            resolvedScores: scores,
+            reviewStatus: status,
+            discrepancy,
+        },
+        include: {
+            reviews: {
+                orderBy: { createdAt: 'asc' },
+                include: { grader: { select: { id: true, name: true } } },
+            },
+        },
+    });
+};
+
+/**
+ * Registra (ou atualiza) a revisão do professor sobre a correção da IA de um aluno da turma.
+ * A IA é o primeiro corretor e o professor o segundo; um terceiro corretor só é aceito
+ * quando as duas primeiras notas são discrepantes.
+ */
+export const submitCorrectionReview = async (classroomId, correctionId, teacherId, { competencias, comment }) => {
+    const correction = await prisma.correction.findFirst({
+        where: {
+            id: correctionId,
+            essay: {
+                user: {
+                    classroomMemberships: {
+                        some: { classroomId, classroom: { teacherId } },
+                    },
+                },
+            },
+        },
+        include: { reviews: true, essay: { select: { userId: true } } },
+    });
+
+    if (!correction) {
+        throw new NotFoundError("Correção não encontrada ou acesso negado.", { code: 'CORRECTION_NOT_FOUND' });
+    }
+
+    const reviewCompetencies = buildReviewCompetencies(correction.notes, competencias);
+    const total = COMPETENCY_KEYS.reduce((sum, key) => sum + reviewCompetencies[key].nota, 0);
+    const ownReview = correction.reviews.find(review => review.graderId === teacherId);
+
+    if (ownReview) {
+        await prisma.correctionReview.update({
+            where: { id: ownReview.id },
+            data: { competencias: reviewCompetencies, total, comment },
+        });
+    } else {
+        const canReview = correction.reviews.length === 0 ||
+            (correction.reviews.length === 1 && correction.reviewStatus === REVIEW_STATUS.NEEDS_THIRD_REVIEW);
+
+        if (!canReview) {
+            throw new ConflictError("Esta correção já tem o número máximo de corretores.", { code: 'MAX_GRADERS_REACHED' });
+        }
+
+        await prisma.correctionReview.create({
+            data: {
+                correctionId: correction.id,
+                graderId: teacherId,
+                competencias: reviewCompetencies,
+                total,
+                comment,
+            },
+        });
+    }
+
+    const updated = await updateResolvedGrade(correction);
+
+    // A nota final do aluno pode ter mudado
+    await evaluateAchievements(correction.essay.userId).catch(error => {
+        logger.error('Erro ao avaliar conquistas', { userId: correction.essay.userId, error: error.message });
+    });
+
+    return updated;
+};
+
+/**
+ * Correções de alunos da turma aguardando terceira correção.
+ */
+export const listPendingThirdReviews = async (classroomId, teacherId) => {
+    const classroom = await prisma.classroom.findFirst({ where: { id: classroomId, teacherId } });
+    if (!classroom) {
+        throw new NotFoundError("Turma não encontrada ou acesso negado.", { code: 'CLASSROOM_NOT_FOUND' });
+    }
+
+    return prisma.correction.findMany({
+        where: {
+            reviewStatus: REVIEW_STATUS.NEEDS_THIRD_REVIEW,
+            essay: { user: { classroomMemberships: { some: { classroomId } } } },
+        },
+        select: {
+            id: true,
+            total: true,
+            resolvedScores: true,
+            discrepancy: true,
+            createdAt: true,
+            essay: {
+                select: {
+                    id: true,
+                    topic: true,
+                    user: { select: { id: true, name: true } },
+                },
+            },
+        },
+        orderBy: { createdAt: 'asc' },
+    });
+};
@@ -0,0 +1,97 @@
+// src/services/correction-schema.service.js
+
+/**
+ * Validação e reparo do JSON de correção devolvido pelos provedores de IA.
+ */
+
+export const COMPETENCY_KEYS = ['c1', 'c2', 'c3', 'c4', 'c5'];
+export const VALID_SCORES = [0, 40, 80, 120, 160, 200];
+
+/**
+ * Valida a correção contra o formato pedido em generatePrompt.
+ * Retorna a lista de erros encontrados (vazia quando a correção é válida).
+ */
+export const validateCorrection = (correction) => {
+    const errors = [];
+
+    if (!correction || typeof correction !== 'object' || Array.isArray(correction)) {
+        return ['A correção não é um objeto JSON.'];
+    }
+
+    const competencias = correction.competencias;
+    if (!competencias || typeof competencias !== 'object') {
+        errors.push('O campo "competencias" está ausente.');
+    } else {
+        COMPETENCY_KEYS.forEach(key => {
+            const competency = competencias[key];
+            if (!competency) {
+                errors.push(`A competência "${key}" está ausente.`);
+                return;
+            }
+            if (!VALID_SCORES.includes(competency.nota)) {
+                errors.push(`A nota de "${key}" (${competency.nota}) não está em {${VALID_SCORES.join(', ')}}.`);
+            }
+            if (typeof competency.analise !== 'string' || competency.analise.trim().length === 0) {
+                errors.push(`A análise de "${key}" está ausente.`);
+            }
+        });
+    }
+
+    if (!Number.isInteger(correction.total)) {
+        errors.push('O campo "total" está ausente ou não é um número inteiro.');
+    } else if (competencias && typeof competencias === 'object') {
+        const sum = COMPETENCY_KEYS.reduce((acc, key) => acc + (Number(competencias[key]?.nota) || 0), 0);
+        if (correction.total !== sum) {
+            errors.push(`O total (${correction.total}) não é igual à soma das competências (${sum}).`);
+        }
+    }
+
+    if (typeof correction.feedbackGeral !== 'string') {
+        errors.push('O campo "feedbackGeral" está ausente.');
+    }
+
+    // As anotações são opcionais; itens inválidos são descartados na ancoragem (annotation.service)
+    if (correction.anotacoes !== undefined && !Array.isArray(correction.anotacoes)) {
+        errors.push('O campo "anotacoes" deve ser uma lista.');
+    }
+
+    return errors;
+};
+
+/**
+ * Aproxima uma nota qualquer da nota válida mais próxima (múltiplo de 40 entre 0 e 200).
+ */
+export const snapScore = (value) => {
+    const score = Number(value);
+    if (!Number.isFinite(score)) return 0;
+    const clamped = Math.min(Math.max(score, 0), 200);
+    return Math.round(clamped / 40) * 40;
+};
+
+/**
+ * Repara a correção de forma determinística: ajusta cada nota para o valor
+ * válido mais próximo, preenche competências ausentes com zero e recalcula o total.
+ */
+export const repairCorrection = (correction) => {
+    const source = correction && typeof correction === 'object' ? correction : {};
+    const competencias = {};
+
+    COMPETENCY_KEYS.forEach(key => {
+        const competency = source.competencias?.[key];
+        competencias[key] = {
+            ...(competency && typeof competency === 'object' ? competency : {}),
+            nota: snapScore(competency?.nota),
+            analise: typeof competency?.analise === 'string' && competency.analise.trim().length > 0
+                ? competency.analise
+                : 'Análise não fornecida pelo modelo para esta competência.',
+        };
+    });
+
+    return {
+        ...source,
+        competencias,
+        total: COMPETENCY_KEYS.reduce((sum, key) => sum + competencias[key].nota, 0),
+        feedbackGeral: typeof source.feedbackGeral === 'string' ? source.feedbackGeral : '',
+        anotacoes: Array.isArray(source.anotacoes) ? source.anotacoes : [],
+    };
+};
@@ -0,0 +1,90 @@
+// src/services/csv.service.js
+
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Leitura e escrita de CSV (RFC 4180) para exportação e importação de redações.
+ */
+
+// Células que começam com estes caracteres viram fórmula no Excel/Sheets
+const FORMULA_PREFIX = /^[=+@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+
+    let cell = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_PREFIX.test(cell)) cell = `'${cell}`;
+
+    return /[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Gera o CSV com cabeçalho a partir de uma lista de objetos. 'columns' define a ordem das colunas.
+ */
+export const toCsv = (rows, columns) => {
+    const lines = [columns.map(escapeCell).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escapeCell(row[column])).join(',')));
+    return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Lê um CSV com cabeçalho e devolve uma lista de objetos (chaves em minúsculas).
+ * Aceita vírgula ou ponto e vírgula como separador (padrão do Excel em português).
+ */
+export const parseCsv = (content) => {
+    const text = String(content).replace(/^\uFEFF/, '');
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === separator) {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new ValidationError("CSV inválido: aspas não fechadas.", { code: 'INVALID_CSV' });
+    }
+    if (cell || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const header = nonEmpty[0].map(column => column.trim().toLowerCase());
+    // Desfaz o escape de fórmulas feito por toCsv
+    const unescape = (value) => (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+
+    return nonEmpty.slice(1).map(row => Object.fromEntries(
+        header.map((column, index) => [column, unescape(row[index] ?? '')])
+    ));
+};
@@ -0,0 +1,76 @@
+// src/services/diff.service.js
+
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Diff por palavras entre duas versões de uma redação (maior subsequência comum).
+ */
+
+// Acima deste tamanho a tabela da LCS fica grande demais; redações do ENEM têm ~400 palavras
+const MAX_WORDS = 5000;
+
+/**
+ * Palavras com o espaço que as segue, para que o diff reconstrua o texto exatamente.
+ */
+const tokenize = (text) => text.match(/\S+\s*/g) || [];
+
+const appendPart = (parts, type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+        last.text += text;
+    } else {
+        parts.push({ type, text });
+    }
+};
+
+/**
+ * Retorna as partes do diff ({ type: 'equal' | 'insert' | 'delete', text }) e um resumo
+ * com a quantidade de palavras inseridas, removidas e mantidas.
+ */
+export const diffWords = (oldText, newText) => {
+    const oldTokens = tokenize(oldText || '');
+    const newTokens = tokenize(newText || '');
+
+    if (oldTokens.length > MAX_WORDS || newTokens.length > MAX_WORDS) {
+        throw new ValidationError(`Texto muito longo para comparar (máximo de ${MAX_WORDS} palavras).`, { code: 'TEXT_TOO_LONG' });
+    }
+
+    const oldWords = oldTokens.map(token => token.trim());
+    const newWords = newTokens.map(token => token.trim());
+    const rows = oldWords.length + 1;
+    const cols = newWords.length + 1;
+
+    // lcs[i][j] = tamanho da LCS entre oldWords[i..] e newWords[j..]
+    const lcs = new Uint16Array(rows * cols);
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+        for (let j = newWords.length - 1; j >= 0; j--) {
+            lcs[i * cols + j] = oldWords[i] === newWords[j]
+                ? lcs[(i + 1) * cols + j + 1] + 1
+                : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+        }
+    }
+
+    const parts = [];
+    const summary = { inserted: 0, deleted: 0, unchanged: 0 };
+    let i = 0;
+    let j = 0;
+
+    while (i < oldWords.length || j < newWords.length) {
+        if (i < oldWords.length && j < newWords.length && oldWords[i] === newWords[j]) {
+            appendPart(parts, 'equal', newTokens[j]);
+            summary.unchanged++;
+            i++;
+            j++;
+        } else if (i < oldWords.length && (j === newWords.length || lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1])) {
+            appendPart(parts, 'delete', oldTokens[i]);
+            summary.deleted++;
+            i++;
+        } else {
+            appendPart(parts, 'insert', newTokens[j]);
+            summary.inserted++;
+            j++;
+        }
+    }
+
+    return { parts, summary };
+};
@@ -0,0 +1,176 @@
+// src/services/essay-analysis.service.js
+
+/**
+ * Pré-análise local e determinística das regras formais do ENEM, feita antes da
+ * chamada ao modelo: contagem de linhas e palavras, parágrafos, cópia do tema,
+ * uso de primeira pessoa e elementos da proposta de intervenção (C5).
+ */
+
+// Média de caracteres manuscritos por linha da folha oficial (30 linhas)
+const CHARS_PER_LINE = 65;
+export const MIN_LINES = 7;
+export const MAX_LINES = 30;
+
+// Fração mínima de trigramas de uma linha encontrados na fonte para considerá-la copiada
+const COPY_OVERLAP_THRESHOLD = 0.6;
+
+/**
+ * Remove acentos e caixa para comparar palavras.
+ */
+const normalize = (text) => text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const tokenize = (text) => normalize(text).match(/[a-z0-9]+/g) || [];
+
+const toTrigrams = (tokens) => {
+    const grams = [];
+    for (let i = 0; i + 3 <= tokens.length; i++) {
+        grams.push(tokens.slice(i, i + 3).join(' '));
+    }
+    return grams;
+};
+
+/**
+ * Quebra o texto em linhas da folha de redação: cada linha do texto ocupa
+ * tantas linhas manuscritas quanto o seu comprimento exigir.
+ */
+const splitIntoSheetLines = (text) => {
+    const sheetLines = [];
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        for (let start = 0; start < line.length; start += CHARS_PER_LINE) {
+            sheetLines.push(line.slice(start, start + CHARS_PER_LINE));
+        }
+    });
+    return sheetLines;
+};
+
+/**
+ * Linhas (do texto original) cujo conteúdo aparece, em sua maior parte, nas fontes
+ * (frase do tema e, quando houver, textos motivadores).
+ */
+const findCopiedLines = (text, sources) => {
+    const sourceGrams = new Set(sources.flatMap(source => toTrigrams(tokenize(source || ''))));
+    if (sourceGrams.size === 0) return [];
+
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .map(line => {
+            const grams = toTrigrams(tokenize(line));
+            const copied = grams.filter(gram => sourceGrams.has(gram)).length;
+            return { line, overlap: grams.length > 0 ? copied / grams.length : 0 };
+        })
+        .filter(({ overlap }) => overlap >= COPY_OVERLAP_THRESHOLD)
+        .map(({ line, overlap }) => ({ text: line, overlap: Math.round(overlap * 100) / 100 }));
+};
+
+const FIRST_PERSON_SINGULAR = ['eu', 'meu', 'minha', 'meus', 'minhas', 'mim', 'comigo', 'acho', 'penso', 'acredito', 'creio', 'opino'];
+// 'nós' fica de fora: sem acento, colide com a contração 'nos' (em + os)
+const FIRST_PERSON_PLURAL = ['nosso', 'nossa', 'nossos', 'nossas', 'conosco'];
+
+/**
+ * Ocorrências de primeira pessoa. O singular é desaconselhado no texto dissertativo;
+ * o plural é aceito, mas registrado para o feedback.
+ */
+const findFirstPerson = (text) => {
+    const tokens = tokenize(text);
+    const count = (list) => tokens.filter(token => list.includes(token));
+    const singular = count(FIRST_PERSON_SINGULAR);
+    const plural = count(FIRST_PERSON_PLURAL);
+
+    return {
+        singular: [...new Set(singular)],
+        singularCount: singular.length,
+        plural: [...new Set(plural)],
+        pluralCount: plural.length,
+    };
+};
+
+// Marcadores (sem acento) de cada elemento da proposta de intervenção
+const PROPOSAL_MARKERS = {
+    agente: /\b(governo|estado|poder publico|ministerio|secretaria|prefeitura|congresso|legislativo|executivo|judiciario|escolas?|instituicoes|midia|imprensa|ongs?|sociedade( civil)?|familias?|empresas|universidades|populacao|cidadaos)\b/,
+    acao: /\b(deve(m|ria|riam)?|cabe( ao| a| as| aos)?|e (necessario|preciso|fundamental|imprescindivel)|faz-se necessario|precisa(m)?|promover|criar|implementar|ampliar|fiscalizar|investir|desenvolver|garantir|incentivar|realizar)\b/,
+    meio: /\b(por meio d[eoa]s?|mediante|atraves d[eoa]s?|por intermedio de|com o (auxilio|apoio) de|via|por via de)\b/,
+    finalidade: /\b(a fim de|para que|com o (objetivo|intuito|proposito) de|visando|com a finalidade de|de modo a|de forma a|para (\w+(ar|er|ir)))\b/,
+    detalhamento: /\b(ou seja|isto e|por exemplo|a exemplo d[eoa]|tal como|como ocorre|de forma|de maneira|sobretudo|principalmente)\b/,
+};
+
+/**
+ * Verificação heurística dos cinco elementos da C5 no parágrafo de conclusão.
+ */
+const checkProposal = (paragraphs) => {
+    const conclusion = normalize(paragraphs[paragraphs.length - 1] || '');
+    const elements = {};
+
+    Object.entries(PROPOSAL_MARKERS).forEach(([element, pattern]) => {
+        const match = conclusion.match(pattern);
+        elements[element] = match ? match[0] : null;
+    });
+
+    const found = Object.values(elements).filter(Boolean).length;
+
+    return { elements, found, total: Object.keys(PROPOSAL_MARKERS).length };
+};
+
+/**
+ * Analisa a redação e aponta as condições de nota zero automática.
+ * 'sources' são os textos que o aluno não pode copiar (tema e textos motivadores).
+ */
+export const analyzeEssay = (essayText, sources = []) => {
+    const text = (essayText || '').replace(/\r\n?/g, '\n');
+    const paragraphs = text.split('\n').map(p => p.trim()).filter(Boolean);
+    const words = tokenize(text);
+
+    const sheetLines = splitIntoSheetLines(text);
+    const copiedLines = findCopiedLines(text, sources);
+    // Linhas copiadas são desconsideradas na contagem, como na correção oficial
+    const copiedSheetLines = copiedLines.reduce((sum, { text: line }) => sum + Math.ceil(line.length / CHARS_PER_LINE), 0);
+    const effectiveLineCount = Math.max(sheetLines.length - copiedSheetLines, 0);
+
+    const warnings = [];
+    let autoZero = null;
+
+    if (effectiveLineCount < MIN_LINES) {
+        autoZero = {
+            reason: 'texto_insuficiente',
+            message: copiedSheetLines > 0
+                ? `Descontadas as linhas copiadas do tema, o texto tem ${effectiveLineCount} linha(s) — o mínimo é ${MIN_LINES}.`
+                : `O texto tem ${effectiveLineCount} linha(s) — o mínimo é ${MIN_LINES}.`,
+        };
+    }
+
+    if (sheetLines.length > MAX_LINES) {
+        warnings.push(`O texto ocupa cerca de ${sheetLines.length} linhas; a folha oficial tem ${MAX_LINES}.`);
+    }
+    if (paragraphs.length < 4) {
+        warnings.push(`O texto tem ${paragraphs.length} parágrafo(s); o esperado é introdução, desenvolvimento e conclusão (4 ou 5).`);
+    }
+    if (copiedLines.length > 0) {
+        warnings.push(`${copiedLines.length} linha(s) parecem copiadas do tema ou dos textos motivadores.`);
+    }
+
+    const firstPerson = findFirstPerson(text);
+    if (firstPerson.singularCount > 0) {
+        warnings.push(`Uso de primeira pessoa do singular: ${firstPerson.singular.join(', ')}.`);
+    }
+
+    const proposal = checkProposal(paragraphs);
+    if (proposal.found < proposal.total) {
+        const missing = Object.keys(proposal.elements).filter(element => !proposal.elements[element]);
+        warnings.push(`Elementos da proposta de intervenção não identificados: ${missing.join(', ')}.`);
+    }
+
+    return {
+        wordCount: words.length,
+        lineCount: sheetLines.length,
+        effectiveLineCount,
+        paragraphCount: paragraphs.length,
+        copiedLines,
+        firstPerson,
+        proposal,
+        warnings,
+        autoZero,
+    };
+};
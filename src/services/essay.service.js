@@ -1,53 +1,88 @@
 // src/services/essay.service.js
 
-import { PrismaClient } from '@prisma/client';
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-// Usamos gemini-2.5-flash como o modelo mais rápido e econômico
-const modelName = process.env.GEMINI_MODEL_NAME || 'gemini-2.5-flash';
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const prisma = new PrismaClient();
+import { createHash } from 'crypto';
+import { prisma } from '../config/db.js';
+import { getCorrectionProvider } from '../providers/index.js';
+import { validateCorrection, repairCorrection, COMPETENCY_KEYS } from './correction-schema.service.js';
+import { analyzeEssay } from './essay-analysis.service.js';
+import { anchorAnnotations } from './annotation.service.js';
+import { diffWords } from './diff.service.js';
+import { getTopicById } from './topic.service.js';
+import { buildConsensus } from './consensus.service.js';
+import { checkSimilarity, formatSimilarityForAuthor } from './plagiarism.service.js';
+import { recordBlockedSubmission } from './moderation.service.js';
+import { recordModelCall, CALL_OK } from './usage.service.js';
+import { estimateCost } from '../config/pricing.js';
+import { logger } from '../logger/index.js';
+import { MODEL_FAILURE_REASONS, observeGrading, recordModelFailure, recordCorrection } from '../metrics/index.js';
+import { ValidationError, NotFoundError, ConflictError, UnprocessableError, ExternalServiceError } from '../errors/index.js';
+
+// 'reprompt' devolve os erros de validação ao modelo; 'snap' repara localmente sem nova chamada
+const repairStrategy = process.env.CORRECTION_REPAIR_STRATEGY || 'reprompt';
+const maxReprompts = Number(process.env.CORRECTION_MAX_REPROMPTS || 1);
+
+// Modo consenso: a redação é corrigida várias vezes e a nota de cada competência sai da maioria/mediana
+const MAX_CONSENSUS_SAMPLES = 7;
+
+// Correções de mesmo texto, tema e provedor são reaproveitadas por esse período (0 desliga o cache)
+const cacheTtlHours = Number(process.env.CORRECTION_CACHE_TTL_HOURS ?? 24);
 
 // --- Funções Auxiliares ---
 
 /**
- * Tenta extrair o conteúdo de texto da resposta da API Gemini, verificando 
- * múltiplos caminhos para garantir robustez.
+ * Textos motivadores do tema, base para julgar tangenciamento e fuga ao tema (C2)
+ * e a cópia de trechos pelo aluno.
  */
-const extractRawTextFromResponse = (response) => {
-    // Tenta extrair se a resposta estiver aninhada sob uma chave 'response' (comum em logs de erro)
-    if (response && response.response) {
-        const nestedText = extractRawTextFromResponse(response.response);
-        if (nestedText) return nestedText;
-    }
-    
-    // Caminho mais comum para conteúdo estruturado
-    let text = response.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (text) return text;
+const formatMotivationalTextsForPrompt = (motivationalTexts) => {
+    const texts = motivationalTexts
+        .map((text, index) => `    TEXTO ${index + 1}${text.title ? ` - ${text.title}` : ''}:\n    ${text.content}${text.source ? `\n    (Fonte: ${text.source})` : ''}`)
+        .join('\n\n');
 
-    // Caminho simples de 'response.text'
-    text = response.text;
-    if (text) return text;
-    
-    // Último recurso: itera sobre todas as partes
-    const candidate = response.candidates?.[0];
-    if (candidate && candidate.content && candidate.content.parts) {
-        for (const part of candidate.content.parts) {
-            if (part.text) {
-                return part.text;
-            }
-        }
-    }
+    return `
+    TEXTOS MOTIVADORES do tema (o aluno não deve copiá-los; trechos copiados são desconsiderados):
+${texts}
+    `;
+};
 
-    return null;
+/**
+ * Resume a pré-análise local para o modelo usar como contexto na correção.
+ */
+const formatAnalysisForPrompt = (analysis) => {
+    const { elements } = analysis.proposal;
+    const proposalSummary = Object.keys(elements)
+        .map(element => `${element}: ${elements[element] ? `sim ("${elements[element]}")` : 'não identificado'}`)
+        .join('; ');
+
+    return `
+    PRÉ-ANÁLISE AUTOMÁTICA (regras formais verificadas localmente; use como contexto, não como nota):
+    - Linhas estimadas na folha: ${analysis.lineCount} (${analysis.effectiveLineCount} desconsiderando cópias); palavras: ${analysis.wordCount}; parágrafos: ${analysis.paragraphCount}.
+    - Linhas possivelmente copiadas do tema ou dos textos motivadores: ${analysis.copiedLines.length}.
+    - Primeira pessoa do singular: ${analysis.firstPerson.singularCount} ocorrência(s).
+    - Elementos da proposta de intervenção (heurística): ${proposalSummary}.
+    `;
 };
 
+/**
+ * Monta a correção de nota zero para as condições detectadas na pré-análise,
+ * sem chamar o modelo.
+ */
+const buildAutoZeroCorrection = (autoZero) => {
+    const competencias = {};
+    COMPETENCY_KEYS.forEach(key => {
+        competencias[key] = { nota: 0, analise: `Redação anulada: ${autoZero.message}` };
+    });
+
+    return {
+        competencias,
+        total: 0,
+        feedbackGeral: `Sua redação recebeu nota zero automaticamente. ${autoZero.message}`,
+    };
+};
 
 /**
- * Gera o prompt detalhado para o modelo Gemini.
+ * Gera o prompt detalhado para o modelo de correção.
  */
-const generatePrompt = (essayText, essayTopic) => {
+const generatePrompt = (essayText, essayTopic, analysis, motivationalTexts = []) => {
     return `
     Você é um corretor HUMANO de redações de alta performance, especializado na correção de redações do ENEM por anos.
     Sua tarefa é avaliar a redação de acordo com as cinco competências do ENEM (C1 a C5) e fornecer uma análise textual completa.
@@ -55,10 +90,12 @@ const generatePrompt = (essayText, essayTopic) => {
     A nota de cada competência deve ser um múltiplo de 40 (0, 40, 80, 120, 160, 200). A nota TOTAL deve ser a soma das 5 notas.
 
     O TEMA da redação é: "${essayTopic}".
+    ${motivationalTexts.length > 0 ? formatMotivationalTextsForPrompt(motivationalTexts) : ''}
     A REDAÇÃO submetida é:
     ---
     ${essayText}
     ---
+    ${analysis ? formatAnalysisForPrompt(analysis) : ''}
     
     Sua resposta DEVE ser estruturada EXCLUSIVAMENTE em JSON e seguir este formato:
     {
@@ -85,8 +122,40 @@ const generatePrompt = (essayText, essayTopic) => {
         }
       },
       "total": 0,
-      "feedbackGeral": "Análise completa da redação, como um corretor humano, destacando pontos fortes e fracos gerais."
+      "feedbackGeral": "Análise completa da redação, como um corretor humano, destacando pontos fortes e fracos gerais.",
+      "anotacoes": [
+        {
+          "trecho": "Trecho EXATO da redação, copiado caractere por caractere.",
+          "inicio": 0,
+          "fim": 0,
+          "competencia": "c1",
+          "severidade": "baixa | media | alta",
+          "comentario": "O problema encontrado neste trecho.",
+          "sugestao": "Reescrita sugerida para o trecho."
+        }
+      ]
     }
+
+    Em "anotacoes", aponte os problemas localizados no texto. "inicio" e "fim" são as posições (em caracteres,
+    começando em 0, com "fim" exclusivo) do trecho dentro da REDAÇÃO entre as linhas "---".
+    `;
+};
+
+/**
+ * Gera o prompt de nova tentativa, com os erros de validação da resposta anterior.
+ */
+const generateRepairPrompt = (basePrompt, previousResponse, validationErrors) => {
+    return `${basePrompt}
+
+    Sua resposta anterior foi REJEITADA pela validação automática:
+    ---
+    ${previousResponse}
+    ---
+
+    Problemas encontrados:
+    ${validationErrors.map(error => `- ${error}`).join('\n    ')}
+
+    Responda novamente, EXCLUSIVAMENTE em JSON, corrigindo todos os problemas acima.
     `;
 };
 
@@ -115,7 +184,7 @@ const parseJsonSafely = (data) => {
             }
             return JSON.parse(cleanedString.trim());
         } catch (e) {
-             console.error("Erro ao fazer o parse do JSON da correção (T2):", e.message);
+             logger.warn("Erro ao fazer o parse do JSON da correção (T2)", { error: e.message });
              return null;
         }
     }
@@ -125,74 +194,432 @@ const parseJsonSafely = (data) => {
 };
 
 /**
- * Loga o status da chave de API.
+ * Notas que valem para a correção: a nota resolvida após revisão humana, se houver,
+ * ou a nota da IA. Ambas no formato { competencias: { c1: { nota } ... }, total }.
  */
-const logApiKeyStatus = () => {
-    const key = process.env.GEMINI_API_KEY;
-    if (!key) {
-        console.error("DIAGNÓSTICO: GEMINI_API_KEY está AUSENTE no ambiente.");
-    } else {
-        console.log(`DIAGNÓSTICO: GEMINI_API_KEY está PRESENTE. (Início: ${key.substring(0, 4)}...)`);
+export const getFinalScores = (correction) => {
+    if (!correction) return null;
+    return parseJsonSafely(correction.resolvedScores) || parseJsonSafely(correction.notes);
+};
+
+const emptyUsage = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimatedCost: 0 });
+
+/**
+ * Soma o consumo de várias chamadas ao modelo.
+ */
+const sumUsage = (usages) => usages.reduce((sum, usage) => ({
+    calls: sum.calls + usage.calls,
+    promptTokens: sum.promptTokens + usage.promptTokens,
+    completionTokens: sum.completionTokens + usage.completionTokens,
+    totalTokens: sum.totalTokens + usage.totalTokens,
+    estimatedCost: sum.estimatedCost + usage.estimatedCost,
+}), emptyUsage());
+
+/**
+ * Chama o provedor e devolve a correção parseada (ou null) junto do texto bruto.
+ * Lança erro quando o modelo bloqueia o conteúdo ou não devolve texto algum. Toda chamada,
+ * inclusive as que falham, fica registrada no consumo do usuário em 'context.userId' (ModelCall).
+ */
+const requestCorrection = async (provider, prompt, context) => {
+    const recordCall = (outcome, usage = { ...emptyUsage(), calls: 1 }) => recordModelCall({
+        userId: context.userId,
+        provider: provider.name,
+        model: provider.model,
+        outcome,
+        usage,
+    });
+
+    let response;
+    try {
+        response = await provider.generateCorrection(prompt, context);
+    } catch (error) {
+        recordModelFailure(provider.name, MODEL_FAILURE_REASONS.API_ERROR);
+        await recordCall(MODEL_FAILURE_REASONS.API_ERROR);
+        throw error;
     }
+    const { text: rawJsonCorrection, blockReason } = response;
+    const usage = {
+        ...emptyUsage(),
+        ...response.usage,
+        calls: 1,
+        estimatedCost: estimateCost(provider.model, response.usage ?? {}),
+    };
+
+    if (!rawJsonCorrection) {
+        if (blockReason) {
+            recordModelFailure(provider.name, MODEL_FAILURE_REASONS.BLOCK);
+            await recordCall(MODEL_FAILURE_REASONS.BLOCK, usage);
+            logger.warn('O modelo bloqueou a resposta', { provider: provider.name, model: provider.model, blockReason });
+            throw new UnprocessableError(`Falha na correção: A API bloqueou o conteúdo. Por favor, revise o texto da sua redação.`, {
+                code: 'CONTENT_BLOCKED',
+                details: { provider: provider.name, model: provider.model, blockReason },
+            });
+        }
+
+        recordModelFailure(provider.name, MODEL_FAILURE_REASONS.EMPTY_RESPONSE);
+        await recordCall(MODEL_FAILURE_REASONS.EMPTY_RESPONSE, usage);
+        logger.error('O modelo não retornou o texto da correção', { provider: provider.name, model: provider.model });
+        throw new ExternalServiceError(`O modelo não retornou o texto de correção. Verifique o log do servidor para mais detalhes.`, { code: 'EMPTY_CORRECTION' });
+    }
+
+    // Faz o parse seguro da string JSON retornada
+    const parsedCorrection = parseJsonSafely(rawJsonCorrection);
+    if (!parsedCorrection) {
+        recordModelFailure(provider.name, MODEL_FAILURE_REASONS.PARSE_ERROR);
+    }
+    await recordCall(parsedCorrection ? CALL_OK : MODEL_FAILURE_REASONS.PARSE_ERROR, usage);
+
+    return { rawJsonCorrection, parsedCorrection, usage };
 };
 
-// --- Funções Principais do Serviço ---
+/**
+ * Obtém uma correção que passe na validação de schema. Conforme a estratégia,
+ * pede ao modelo para refazer a resposta e, se ainda assim falhar, repara as notas localmente.
+ * Retorna a correção final, o método de reparo usado ('none', 'reprompt' ou 'snap'),
+ * os erros da primeira validação e o consumo somado de todas as chamadas.
+ */
+const gradeWithValidation = async (provider, prompt, context, onProgress) => {
+    let { rawJsonCorrection, parsedCorrection, usage } = await requestCorrection(provider, prompt, context);
+    const usages = [usage];
+    await onProgress('validating');
+    let errors = validateCorrection(parsedCorrection);
+
+    if (errors.length === 0) {
+        return { correction: parsedCorrection, repairMethod: 'none', validationErrors: [], usage };
+    }
+
+    const initialErrors = errors;
+    if (parsedCorrection) recordModelFailure(provider.name, MODEL_FAILURE_REASONS.INVALID_SCHEMA);
+    logger.warn('Correção inválida do provedor', { provider: provider.name, model: provider.model, validationErrors: errors });
+
+    if (repairStrategy === 'reprompt') {
+        for (let attempt = 0; attempt < maxReprompts && errors.length > 0; attempt++) {
+            const repairPrompt = generateRepairPrompt(prompt, rawJsonCorrection, errors);
+            ({ rawJsonCorrection, parsedCorrection, usage } = await requestCorrection(provider, repairPrompt, context));
+            usages.push(usage);
+            errors = validateCorrection(parsedCorrection);
+            if (parsedCorrection && errors.length > 0) recordModelFailure(provider.name, MODEL_FAILURE_REASONS.INVALID_SCHEMA);
+        }
+
+        if (errors.length === 0) {
+            return { correction: parsedCorrection, repairMethod: 'reprompt', validationErrors: initialErrors, usage: sumUsage(usages) };
+        }
+    }
+
+    // Sem competências não há o que reparar: a resposta não é uma correção
+    if (!parsedCorrection || !parsedCorrection.competencias) {
+        logger.error('Correção sem competências após as novas tentativas', {
+            provider: provider.name,
+            model: provider.model,
+            responseLength: rawJsonCorrection.length,
+        });
+        throw new ExternalServiceError(`O modelo retornou uma correção inválida ou incompleta. Detalhes no log do servidor.`, { code: 'INVALID_CORRECTION' });
+    }
+
+    return { correction: repairCorrection(parsedCorrection), repairMethod: 'snap', validationErrors: initialErrors, usage: sumUsage(usages) };
+};
+
+/**
+ * Garante o registro da versão atual da redação. Redações anteriores ao histórico
+ * de versões ganham aqui a versão 1, que herda as correções já existentes.
+ */
+const ensureCurrentVersion = async (essay) => {
+    const currentVersion = await prisma.essayVersion.findFirst({
+        where: { essayId: essay.id, version: essay.currentVersion },
+    });
+    if (currentVersion) return currentVersion;
+
+    const version = await prisma.essayVersion.create({
+        data: { essayId: essay.id, version: essay.currentVersion, text: essay.text },
+    });
+
+    await prisma.correction.updateMany({
+        where: { essayId: essay.id, OR: [{ versionId: null }, { versionId: { isSet: false } }] },
+        data: { versionId: version.id },
+    });
+
+    return version;
+};
+
+/**
+ * Diferença de nota (total e por competência) entre duas correções.
+ */
+const computeScoreDelta = (previousNotes, currentNotes) => {
+    if (!previousNotes || !currentNotes) return null;
+
+    const competencias = {};
+    COMPETENCY_KEYS.forEach(key => {
+        const previous = previousNotes.competencias?.[key]?.nota;
+        const current = currentNotes.competencias?.[key]?.nota;
+        competencias[key] = previous != null && current != null ? current - previous : null;
+    });
+
+    return {
+        total: currentNotes.total - previousNotes.total,
+        competencias,
+    };
+};
+
+/**
+ * Variação de nota da versão em relação à última correção da versão anterior.
+ */
+const getScoreDeltaFromPreviousVersion = async (version, currentNotes) => {
+    if (version.version <= 1) return null;
+
+    const previousVersion = await prisma.essayVersion.findFirst({
+        where: { essayId: version.essayId, version: version.version - 1 },
+    });
+    if (!previousVersion) return null;
+
+    const previousCorrection = await prisma.correction.findFirst({
+        where: { versionId: previousVersion.id },
+        orderBy: { createdAt: 'desc' },
+    });
+
+    return computeScoreDelta(getFinalScores(previousCorrection), currentNotes);
+};
 
 /**
- * Submete a redação para correção pelo Gemini e salva no banco de dados.
+ * Resolve as opções do modo consenso da submissão ('consensus': true ou { samples, providers })
+ * com os padrões de CORRECTION_CONSENSUS_ENABLED, _SAMPLES e _PROVIDERS. Retorna null se desligado.
  */
-export const submitEssay = async (userId, essayData) => {
-    const { essayText, essayTopic } = essayData;
+const resolveConsensusOptions = (consensus, defaultProvider) => {
+    const enabled = consensus === undefined
+        ? process.env.CORRECTION_CONSENSUS_ENABLED === 'true'
+        : Boolean(consensus);
+    if (!enabled) return null;
+
+    const samples = Number(consensus?.samples || process.env.CORRECTION_CONSENSUS_SAMPLES || 3);
+    if (!Number.isInteger(samples) || samples < 2 || samples > MAX_CONSENSUS_SAMPLES) {
+        throw new ValidationError(`O número de amostras do consenso deve estar entre 2 e ${MAX_CONSENSUS_SAMPLES}.`, { code: 'INVALID_CONSENSUS' });
+    }
+
+    const providerNames = consensus?.providers
+        || process.env.CORRECTION_CONSENSUS_PROVIDERS?.split(',').map(name => name.trim()).filter(Boolean)
+        || [defaultProvider.name];
+
+    return {
+        samples,
+        providers: providerNames.map(name => getCorrectionProvider(name)),
+    };
+};
 
-    if (!essayText || !essayTopic) {
-        throw new Error("O texto e o tema da redação são obrigatórios.");
+/**
+ * Corrige a redação N vezes (alternando entre os provedores) e combina as amostras válidas.
+ * Amostras que falharem são ignoradas, desde que ao menos uma seja válida.
+ */
+const gradeWithConsensus = async ({ samples, providers }, prompt, context, onProgress) => {
+    const results = await Promise.allSettled(
+        Array.from({ length: samples }, (_, index) => {
+            const provider = providers[index % providers.length];
+            return gradeWithValidation(provider, prompt, context, () => {})
+                .then(result => ({ ...result, provider: provider.name, model: provider.model }));
+        })
+    );
+    await onProgress('validating');
+
+    const validSamples = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (validSamples.length === 0) {
+        throw results[0].reason;
     }
-    
-    logApiKeyStatus(); 
 
+    const { correction, consensus } = buildConsensus(validSamples);
+    const repairMethods = validSamples.map(sample => sample.repairMethod);
+
+    return {
+        correction,
+        consensus: { ...consensus, failedSamples: samples - validSamples.length },
+        repairMethod: ['snap', 'reprompt'].find(method => repairMethods.includes(method)) || 'none',
+        validationErrors: validSamples.flatMap(sample => sample.validationErrors),
+        usage: sumUsage(validSamples.map(sample => sample.usage)),
+        models: [...new Set(validSamples.map(sample => sample.model))],
+    };
+};
+
+/**
+ * Executa a correção pelo modelo medindo a duração (correction_grading_duration_seconds).
+ */
+const timeGrading = async (providerName, grade) => {
+    const startedAt = performance.now();
+    let outcome = 'failure';
     try {
-        const prompt = generatePrompt(essayText, essayTopic);
+        const result = await grade();
+        outcome = 'success';
+        return result;
+    } finally {
+        observeGrading(providerName, outcome, (performance.now() - startedAt) / 1000);
+    }
+};
 
-        const model = genAI.getGenerativeModel({
-            model: modelName,
+/**
+ * Guarda a submissão bloqueada pelo filtro de segurança do modelo (para os administradores)
+ * e repassa o erro. Falha ao gravar não troca o erro devolvido ao aluno.
+ */
+const rethrowRecordingBlock = async (error, userId, essayData, essayTopic) => {
+    if (error.code === 'CONTENT_BLOCKED') {
+        await recordBlockedSubmission({
+            userId,
+            essayId: essayData.essayId,
+            essayTopic,
+            essayText: essayData.essayText,
+            ...error.details,
+        }).catch(recordError => {
+            logger.error('Erro ao registrar a submissão bloqueada', { error: recordError });
         });
+    }
+    throw error;
+};
 
-        // Chamada da API Gemini
-        const response = await model.generateContent({
-            contents: [{ parts: [{ text: prompt }] }],
-        });
-        
-        // Extrai o JSON bruto
-        const rawJsonCorrection = extractRawTextFromResponse(response);
-        
-        console.log(`DIAGNÓSTICO: rawJsonCorrection está ${rawJsonCorrection ? 'PREENCHIDA' : 'VAZIA'}.`);
-        
-        if (!rawJsonCorrection) {
-            const promptFeedback = response.promptFeedback;
-            if (promptFeedback?.blockReason) {
-                const safetyError = `O modelo bloqueou a resposta. Motivo: ${promptFeedback.blockReason}.`;
-                console.error("ERRO GRAVE: Bloqueio de Segurança Gemini:", safetyError);
-                throw new Error(`Falha na correção: A API bloqueou o conteúdo. Por favor, revise o texto da sua redação.`);
-            }
+/**
+ * Hash do conteúdo corrigido: texto, tema e quem corrige (provedor/modelo ou configuração do consenso).
+ */
+const buildContentHash = (essayText, essayTopic, provider, consensusOptions) => {
+    const grader = consensusOptions
+        ? `consensus:${consensusOptions.samples}:${consensusOptions.providers.map(p => `${p.name}/${p.model}`).join(',')}`
+        : `${provider.name}/${provider.model}`;
+
+    return createHash('sha256')
+        .update(JSON.stringify([essayTopic.trim(), essayText.trim(), grader]))
+        .digest('hex');
+};
+
+/**
+ * Correção original (não reaproveitada) mais recente do usuário com o mesmo hash dentro do TTL.
+ * O cache não atravessa contas: a correção de um aluno não vai para a redação de outro.
+ */
+const findCachedCorrection = async (userId, contentHash) => {
+    if (!(cacheTtlHours > 0)) return null;
+
+    return prisma.correction.findFirst({
+        where: {
+            contentHash,
+            essay: { userId },
+            createdAt: { gte: new Date(Date.now() - cacheTtlHours * 60 * 60 * 1000) },
+            OR: [{ cachedFromId: null }, { cachedFromId: { isSet: false } }],
+        },
+        orderBy: { createdAt: 'desc' },
+    });
+};
+
+// --- Funções Principais do Serviço ---
+
+/**
+ * Valida os dados da submissão e resolve o provedor e o envio por foto (OCR), se houver.
+ * Usada antes de enfileirar a correção, para que erros do aluno voltem na própria requisição.
+ */
+export const prepareSubmission = async (userId, essayData) => {
+    const { essayText, essayTopic, topicId } = essayData;
 
-            console.error("ERRO GRAVE: Resposta completa da API Gemini (JSON não extraído):", JSON.stringify(response, null, 2));
-            throw new Error(`O modelo Gemini não retornou o texto de correção. Verifique o log do servidor para mais detalhes.`);
+    if (!essayText || (!essayTopic && !topicId)) {
+        throw new ValidationError("O texto e o tema da redação são obrigatórios.");
+    }
+
+    // Tema do banco: o título e os textos motivadores vêm do cadastro
+    const topic = topicId ? await getTopicById(topicId) : null;
+    
+    // O provedor pode ser escolhido por requisição; senão vale CORRECTION_PROVIDER
+    const provider = getCorrectionProvider(essayData.provider);
+
+    // Redação enviada por foto: o texto já foi revisado pelo aluno a partir da transcrição
+    let essayUpload = null;
+    if (essayData.uploadId) {
+        essayUpload = await prisma.essayUpload.findFirst({
+            where: { id: essayData.uploadId, userId },
+        });
+        if (!essayUpload) {
+            throw new NotFoundError("Imagem da redação não encontrada para este usuário.", { code: 'UPLOAD_NOT_FOUND' });
         }
-        
-        // Faz o parse seguro da string JSON retornada
-        const parsedCorrection = parseJsonSafely(rawJsonCorrection);
+    }
+
+    const consensusOptions = resolveConsensusOptions(essayData.consensus, provider);
+
+    return { provider, essayUpload, topic, consensusOptions };
+};
 
-        if (!parsedCorrection || parsedCorrection.total === undefined || parsedCorrection.total === null) {
-            console.error("JSON não parseado ou incompleto. RAW JSON:", rawJsonCorrection);
-            throw new Error(`O modelo retornou uma correção inválida ou incompleta. Detalhes no log do servidor.`);
+/**
+ * Submete a redação para correção pelo provedor de IA e salva no banco de dados.
+ * 'onProgress' recebe as etapas 'grading' e 'validating' (usado pela fila de correções).
+ */
+export const submitEssay = async (userId, essayData, { onProgress = () => {} } = {}) => {
+    const { essayText } = essayData;
+    const { provider, essayUpload, topic, consensusOptions } = await prepareSubmission(userId, essayData);
+    const essayTopic = topic?.title ?? essayData.essayTopic;
+    const motivationalTexts = topic?.motivationalTexts || [];
+
+    // Regras formais verificadas localmente; condições de nota zero dispensam a chamada ao modelo
+    const analysis = analyzeEssay(essayText, [essayTopic, ...motivationalTexts.map(text => text.content)]);
+
+    // Reenvio de texto já corrigido reaproveita a correção, salvo pedido explícito de nova correção
+    const contentHash = buildContentHash(essayText, essayTopic, provider, consensusOptions);
+    const cached = analysis.autoZero || essayData.regrade ? null : await findCachedCorrection(userId, contentHash);
+
+    let parsedCorrection, repairMethod, validationErrors, annotations;
+    let consensus = null;
+    let usage = emptyUsage();
+    let gradedBy = { provider: provider.name, model: provider.model };
+    if (analysis.autoZero) {
+        parsedCorrection = buildAutoZeroCorrection(analysis.autoZero);
+        repairMethod = 'none';
+        validationErrors = [];
+        // Nota zero automática não passa por nenhum provedor
+        gradedBy = { provider: 'pre-analysis', model: null };
+    } else if (cached) {
+        parsedCorrection = cached.notes;
+        repairMethod = cached.repairMethod;
+        validationErrors = cached.validationErrors ?? [];
+        consensus = cached.consensus ?? null;
+        // Mesmo texto: as anotações já estão ancoradas
+        annotations = cached.annotations ?? [];
+        gradedBy = { provider: cached.provider, model: cached.model };
+    } else if (consensusOptions) {
+        await onProgress('grading');
+        const prompt = generatePrompt(essayText, essayTopic, analysis, motivationalTexts);
+
+        let models;
+        ({ correction: parsedCorrection, repairMethod, validationErrors, consensus, usage, models } =
+            await timeGrading('consensus', () => gradeWithConsensus(consensusOptions, prompt, { essayText, essayTopic, userId }, onProgress))
+                .catch(error => rethrowRecordingBlock(error, userId, essayData, essayTopic)));
+        gradedBy = { provider: 'consensus', model: models.join(',') };
+    } else {
+        await onProgress('grading');
+        const prompt = generatePrompt(essayText, essayTopic, analysis, motivationalTexts);
+
+        ({ correction: parsedCorrection, repairMethod, validationErrors, usage } =
+            await timeGrading(provider.name, () => gradeWithValidation(provider, prompt, { essayText, essayTopic, userId }, onProgress))
+                .catch(error => rethrowRecordingBlock(error, userId, essayData, essayTopic)));
+    }
+
+    if (!cached) {
+        // Confere os offsets das anotações contra o texto (ou reancora o trecho) antes de salvar
+        let discarded;
+        ({ annotations, discarded } = anchorAnnotations(parsedCorrection.anotacoes, essayText));
+        if (discarded > 0) {
+            logger.warn('Anotações descartadas: trecho não encontrado no texto', { discarded });
         }
+        delete parsedCorrection.anotacoes;
+    }
 
-        // 1. Encontra/Cria a redação (Essay)
-        let essay = await prisma.essay.findFirst({
+    // 1. Encontra/Cria a redação (Essay) e a versão corrigida
+    let essay, version;
+    if (essayData.versionId) {
+        // Nova versão criada por createRevision: a redação e a versão já existem
+        essay = await prisma.essay.findFirst({ where: { id: essayData.essayId, userId } });
+        version = essay && await prisma.essayVersion.findFirst({
+            where: { id: essayData.versionId, essayId: essay.id },
+        });
+        if (!essay || !version) {
+            throw new NotFoundError("Redação não encontrada ou acesso negado.", { code: 'ESSAY_NOT_FOUND' });
+        }
+    } else {
+        essay = await prisma.essay.findFirst({
             where: {
                 userId: userId,
                 topic: essayTopic,
                 text: essayText,
+                // Entregas de atividade não se misturam com redações avulsas de mesmo texto
+                ...(essayData.assignmentId
+                    ? { assignmentId: essayData.assignmentId }
+                    : { OR: [{ assignmentId: null }, { assignmentId: { isSet: false } }] }),
             },
             include: { corrections: { orderBy: { createdAt: 'desc' }, take: 1 } } 
         });
@@ -202,39 +629,128 @@ export const submitEssay = async (userId, essayData) => {
                 data: {
                     userId,
                     topic: essayTopic,
+                    topicId: topic?.id,
                     text: essayText,
+                    imageUrl: essayUpload?.imageUrl,
+                    assignmentId: essayData.assignmentId,
                 },
             });
+        } else if (essayUpload && essay.imageUrl !== essayUpload.imageUrl) {
+            essay = await prisma.essay.update({
+                where: { id: essay.id },
+                data: { imageUrl: essayUpload.imageUrl },
+                include: { corrections: { orderBy: { createdAt: 'desc' }, take: 1 } },
+            });
         }
-        
-        // 2. Salva a correção associada à redação (Correction)
-        const correctionRecord = await prisma.correction.create({
-            data: {
-                essayId: essay.id,
-                total: parsedCorrection.total, 
-                notes: parsedCorrection, // O objeto JSON completo é salvo no campo 'notes' (tipo Json)
-            },
+
+        version = await ensureCurrentVersion(essay);
+    }
+
+    if (essayUpload) {
+        await prisma.essayUpload.update({
+            where: { id: essayUpload.id },
+            data: { essayId: essay.id },
         });
+    }
 
-        // Retorna o objeto completo da correção para o frontend
-        // Adiciona a nota completa, competências, etc., ao objeto retornado para 
-        // a tela de sucesso ter todos os dados
-        return {
-            ...correctionRecord,
-            // 🚨 CRÍTICO: Garante que 'notes' no retorno seja o OBJETO já parseado
-            notes: parsedCorrection, 
-            essay,
-        };
+    // Similaridade com outras redações e com modelos prontos; a verificação não pode impedir a correção
+    const similarity = await checkSimilarity(essay, essayText).catch(error => {
+        logger.error('Erro na verificação de similaridade', { essayId: essay.id, error });
+        return null;
+    });
+    
+    // 2. Salva a correção associada à redação (Correction)
+    const correctionRecord = await prisma.correction.create({
+        data: {
+            essayId: essay.id,
+            versionId: version.id,
+            total: parsedCorrection.total, 
+            notes: parsedCorrection, // O objeto JSON completo é salvo no campo 'notes' (tipo Json)
+            provider: gradedBy.provider,
+            model: gradedBy.model,
+            repairMethod,
+            consensus,
+            analysis,
+            validationErrors,
+            annotations,
+            contentHash,
+            cachedFromId: cached?.id,
+            // As chamadas já estão em ModelCall; o relatório de consumo não soma este resumo de novo
+            usage: { ...usage, callsRecorded: true },
+            similarity: similarity ?? undefined,
+            similarityFlagged: Boolean(similarity?.flagged),
+        },
+    });
+    recordCorrection(gradedBy.provider, cached);
 
-    } catch (error) {
-        if (error.message.includes("GoogleGenerativeAI Error")) {
-            console.error("Erro na chamada da API Gemini:", error.message);
-            throw new Error(`Falha na API de Correção. Por favor, verifique a chave de API e a conexão de rede.`);
-        }
-        
-        // Em caso de erro de Prisma, lançamos o erro original
-        throw error;
+    // Retorna o objeto completo da correção para o frontend
+    // Adiciona a nota completa, competências, etc., ao objeto retornado para 
+    // a tela de sucesso ter todos os dados
+    return {
+        ...correctionRecord,
+        // 🚨 CRÍTICO: Garante que 'notes' no retorno seja o OBJETO já parseado
+        notes: parsedCorrection, 
+        similarity: formatSimilarityForAuthor(similarity),
+        essay,
+        version: version.version,
+        scoreDelta: await getScoreDeltaFromPreviousVersion(version, parsedCorrection),
+        cached: Boolean(cached),
+    };
+};
+
+/**
+ * Cria uma nova versão (reescrita) de uma redação existente. Retorna a versão criada,
+ * a redação e o diff por palavras contra a versão anterior; a correção é enfileirada por quem chama.
+ */
+export const createRevision = async (essayId, userId, revisionData) => {
+    const { essayText } = revisionData;
+
+    if (!essayText || essayText.trim().length === 0) {
+        throw new ValidationError("O texto da nova versão é obrigatório.");
     }
+
+    // Valida o provedor antes de gravar a versão
+    getCorrectionProvider(revisionData.provider);
+
+    const essay = await prisma.essay.findFirst({
+        where: { id: essayId, userId },
+    });
+
+    if (!essay) {
+        throw new NotFoundError("Redação não encontrada ou acesso negado.", { code: 'ESSAY_NOT_FOUND' });
+    }
+    if (essay.textRemovedAt) {
+        throw new ConflictError("O texto desta redação foi apagado pela política de retenção de dados.", { code: 'ESSAY_TEXT_REMOVED' });
+    }
+    if (essay.text === essayText) {
+        throw new ValidationError("A nova versão é idêntica à versão atual da redação.", { code: 'UNCHANGED_REVISION' });
+    }
+
+    const previousVersion = await ensureCurrentVersion(essay);
+    // O diff recusa textos longos demais (TEXT_TOO_LONG): calculado antes de gravar a versão
+    const diff = diffWords(previousVersion.text, essayText);
+    const nextVersion = previousVersion.version + 1;
+
+    // Essay.text sempre reflete a versão mais recente
+    const [version, updatedEssay] = await prisma.$transaction([
+        prisma.essayVersion.create({
+            data: {
+                essayId: essay.id,
+                version: nextVersion,
+                text: essayText,
+            },
+        }),
+        prisma.essay.update({
+            where: { id: essay.id },
+            data: { text: essayText, currentVersion: nextVersion },
+        }),
+    ]);
+
+    return {
+        essay: updatedEssay,
+        version,
+        diff,
+    };
 };
 
 /**
@@ -243,6 +759,8 @@ export const submitEssay = async (userId, essayData) => {
 export const getEssayHistory = async (userId) => {
     const history = await prisma.essay.findMany({
         where: { userId },
+        // As faixas do índice de similaridade são internas
+        omit: { similarityBands: true },
         include: { 
             corrections: { 
                 orderBy: { createdAt: 'desc' }, 
@@ -253,8 +771,7 @@ export const getEssayHistory = async (userId) => {
     });
 
     return history.filter(essay => essay.corrections.length > 0)
-                  .map(essay => {
-                      const latestCorrection = essay.corrections[0];
+                  .map(({ corrections: [latestCorrection], ...essay }) => {
                       // 🚨 CORREÇÃO: Lê os dados estruturados do campo 'notes'
                       const parsedNotes = parseJsonSafely(latestCorrection.notes);
 
@@ -265,10 +782,12 @@ export const getEssayHistory = async (userId) => {
                           correction: {
                               ...latestCorrection,
                               notes: parsedNotes, 
+                              similarity: formatSimilarityForAuthor(latestCorrection.similarity),
+                              // Nota final: considera a revisão do professor, quando houver
+                              finalTotal: getFinalScores(latestCorrection)?.total,
                           }
                       };
-                  })
-                  .map(({ corrections, ...rest }) => rest);
+                  });
 };
 
 /**
@@ -280,31 +799,147 @@ export const getEssayById = async (essayId, userId) => {
             id: essayId, 
             userId: userId
         },
+        // As faixas do índice de similaridade são internas
+        omit: { similarityBands: true },
         include: {
             corrections: {
-                orderBy: { createdAt: 'desc' }
+                orderBy: { createdAt: 'desc' },
+                include: {
+                    reviews: {
+                        orderBy: { createdAt: 'asc' },
+                        include: { grader: { select: { id: true, name: true } } },
+                    },
+                },
+            },
+            versions: {
+                orderBy: { version: 'asc' }
             }
         }
     });
 
     if (!essay) {
-        throw new Error("Redação não encontrada ou acesso negado.");
+        throw new NotFoundError("Redação não encontrada ou acesso negado.", { code: 'ESSAY_NOT_FOUND' });
     }
     
     const correctionsParsed = essay.corrections.map(correction => ({
         ...correction,
         // 🚨 CORREÇÃO: Garante que 'notes' seja o objeto JSON parseado
-        notes: parseJsonSafely(correction.notes)
+        notes: parseJsonSafely(correction.notes),
+        // Anotações já ancoradas no texto e ordenadas por posição, prontas para destacar
+        annotations: correction.annotations || [],
+        // Redações de outros usuários não são identificadas (o professor vê o relatório completo pela turma)
+        similarity: formatSimilarityForAuthor(correction.similarity),
+        finalTotal: getFinalScores(correction)?.total,
     }));
 
 
+    // Linha do tempo das versões, com a última correção de cada uma e a variação de nota
+    let previousNotes = null;
+    const versions = essay.versions.map(version => {
+        const latestCorrection = correctionsParsed.find(correction => correction.versionId === version.id) || null;
+        const finalScores = getFinalScores(latestCorrection);
+        const scoreDelta = computeScoreDelta(previousNotes, finalScores);
+        if (finalScores) previousNotes = finalScores;
+
+        return {
+            id: version.id,
+            version: version.version,
+            text: version.text,
+            createdAt: version.createdAt,
+            correction: latestCorrection && {
+                id: latestCorrection.id,
+                total: latestCorrection.finalTotal,
+                createdAt: latestCorrection.createdAt,
+            },
+            scoreDelta,
+        };
+    });
+
     return {
         ...essay,
-        corrections: correctionsParsed
+        corrections: correctionsParsed,
+        versions,
     };
 };
 
 
+/**
+ * Agrega as notas da última correção de cada redação (usado pelo dashboard do aluno e da turma).
+ */
+const buildAnalytics = (essays) => {
+    const gradedEssays = essays.filter(e => e.corrections.length > 0);
+    // Nota final: revisão humana resolvida, ou a nota da IA
+    const essayGrades = gradedEssays
+        .map(e => getFinalScores(e.corrections[0])?.total)
+        .filter(score => score != null);
+
+    const totalEssays = gradedEssays.length;
+    // Médias sobre as notas válidas: correções sem nota legível não entram no denominador
+    const averageGrade = essayGrades.length > 0 
+        ? Math.round(essayGrades.reduce((sum, score) => sum + score, 0) / essayGrades.length) 
+        : 0;
+    const highestGrade = essayGrades.length > 0 
+        ? Math.max(...essayGrades) 
+        : 0;
+
+    // As redações vêm da mais recente para a mais antiga
+    const recentGrades = essayGrades.slice(0, 5).reverse();
+    
+    const competenceScores = gradedEssays.map(e => 
+        getFinalScores(e.corrections[0])?.competencias
+    ).filter(c => c != null);
+    
+    const competenceAverages = {};
+    const sumScores = {};
+    const scoreCounts = {};
+    competenceScores.forEach(current => {
+        Object.keys(current).forEach(key => {
+            // Garantimos que a chave exista e tenha o campo 'nota'
+            const score = current[key]?.nota; 
+            if (score != null) {
+                sumScores[key] = (sumScores[key] || 0) + score;
+                scoreCounts[key] = (scoreCounts[key] || 0) + 1;
+            }
+        });
+    });
+
+    Object.keys(sumScores).forEach(key => {
+        competenceAverages[key] = Math.round(sumScores[key] / scoreCounts[key]);
+    });
+
+
+    return {
+        totalEssays,
+        averageGrade,
+        highestGrade,
+        recentGrades,
+        competenceAverages,
+    };
+};
+
+/**
+ * Agrupa a análise por tema: pelo tema do banco quando houver, senão pelo texto do tema.
+ */
+const groupAnalyticsByTopic = (essays) => {
+    const groups = new Map();
+
+    essays.forEach(essay => {
+        const key = essay.topicId || `texto:${essay.topic}`;
+        if (!groups.has(key)) {
+            groups.set(key, { topicId: essay.topicId || null, topic: essay.topic, essays: [] });
+        }
+        groups.get(key).essays.push(essay);
+    });
+
+    return [...groups.values()]
+        .map(({ topicId, topic, essays: topicEssays }) => {
+            const { totalEssays, averageGrade, highestGrade, competenceAverages } = buildAnalytics(topicEssays);
+            return { topicId, topic, totalEssays, averageGrade, highestGrade, competenceAverages };
+        })
+        .filter(group => group.totalEssays > 0)
+        .sort((a, b) => b.totalEssays - a.totalEssays);
+};
+
 /**
  * Calcula dados de análise para o dashboard.
  */
@@ -312,112 +947,50 @@ export const getEssayAnalytics = async (userId) => {
     try {
         const essays = await prisma.essay.findMany({
             where: { userId },
-            include: { corrections: { orderBy: { createdAt: 'desc' }, take: 1 } } 
+            include: { corrections: { orderBy: { createdAt: 'desc' }, take: 1 } },
+            orderBy: { createdAt: 'desc' },
         });
 
-        const gradedEssays = essays.filter(e => e.corrections.length > 0);
-        // 🚨 CORREÇÃO: Busca o total da nota do campo 'notes'
-        const essayGrades = gradedEssays
-            .map(e => parseJsonSafely(e.corrections[0].notes)?.total)
-            .filter(score => score != null);
-
-        const totalEssays = gradedEssays.length;
-        const averageGrade = totalEssays > 0 
-            ? Math.round(essayGrades.reduce((sum, score) => sum + score, 0) / totalEssays) 
-            : 0;
-        const highestGrade = totalEssays > 0 
-            ? Math.max(...essayGrades) 
-            : 0;
-
-        const recentGrades = essayGrades.slice(0, 5).reverse();
-        
-        // 🚨 CORREÇÃO: Busca as notas de competências em 'notes'
-        const competenceScores = gradedEssays.map(e => 
-            parseJsonSafely(e.corrections[0].notes)?.competencias
-        ).filter(c => c != null);
-        
-        const competenceAverages = {};
-        if (competenceScores.length > 0) {
-            const sumScores = competenceScores.reduce((acc, current) => {
-                Object.keys(current).forEach(key => {
-                    // Garantimos que a chave exista e tenha o campo 'nota'
-                    const score = current[key]?.nota; 
-                    if (score != null) {
-                        acc[key] = (acc[key] || 0) + score;
-                    }
-                });
-                return acc;
-            }, {});
-
-            Object.keys(sumScores).forEach(key => {
-                competenceAverages[key] = Math.round(sumScores[key] / competenceScores.length);
-            });
-        }
-
-
         return {
-            totalEssays,
-            averageGrade,
-            highestGrade,
-            recentGrades,
-            competenceAverages,
+            ...buildAnalytics(essays),
+            byTopic: groupAnalyticsByTopic(essays),
         };
 
     } catch (error) {
-        console.error("Erro ao calcular analytics:", error);
+        logger.error('Erro ao calcular analytics', { error });
         throw new Error("Não foi possível calcular a análise de dados.");
     }
 };
 
-
 /**
- * Retorna as conquistas do usuário.
+ * Calcula a análise agregada de um grupo de alunos (turma), opcionalmente
+ * restrita às redações de uma atividade.
  */
-export const getUserAchievements = async (userId) => {
+export const getGroupAnalytics = async (userIds, assignmentId) => {
     try {
         const essays = await prisma.essay.findMany({
-            where: { userId },
-            include: { corrections: { orderBy: { createdAt: 'desc' }, take: 1 } } 
+            where: {
+                userId: { in: userIds },
+                ...(assignmentId && { assignmentId }),
+            },
+            // Só as correções feitas aqui: notas importadas de um arquivo não entram na média da turma
+            include: {
+                corrections: {
+                    where: { OR: [{ importedAt: null }, { importedAt: { isSet: false } }] },
+                    orderBy: { createdAt: 'desc' },
+                    take: 1,
+                },
+            },
+            orderBy: { createdAt: 'desc' },
         });
 
-        const gradedEssays = essays.filter(e => e.corrections.length > 0);
-
-        // 🚨 CORREÇÃO: Busca a nota total em 'notes'
-        const essayGrades = gradedEssays
-            .map(e => parseJsonSafely(e.corrections[0].notes)?.total)
-            .filter(score => score != null);
-
-        const achievements = [
-            { id: 'first_essay', title: 'Primeiro Passo', description: 'Submeta sua primeira redação.', unlocked: essayGrades.length >= 1 },
-            { id: 'five_essays', title: 'Cinco na Conta', description: 'Submeta 5 redações.', unlocked: essayGrades.length >= 5 },
-            { id: 'road_to_1000', title: 'Quase Perfeito', description: 'Alcance uma nota de 900+.', unlocked: essayGrades.some(grade => grade >= 900) },
-        ];
-        
-        // 🚨 CORREÇÃO: Busca C5 em 'notes'
-        const c5Scores = gradedEssays
-            .map(e => parseJsonSafely(e.corrections[0].notes)?.competencias?.c5?.nota)
-            .filter(score => score != null);
-
-        if (c5Scores.some(score => score === 200)) {
-            const achievement = achievements.find(a => a.id === 'master_c5');
-            if (achievement) {
-                achievement.title = 'Mestre da Proposta';
-                achievement.description = 'Alcance 200 pontos na Competência 5.';
-                achievement.unlocked = true;
-            } else {
-                achievements.push({
-                    id: 'master_c5',
-                    title: 'Mestre da Proposta',
-                    description: 'Alcance 200 pontos na Competência 5.',
-                    unlocked: true
-                });
-            }
-        }
-        
-        return achievements;
+        return {
+            students: userIds.length,
+            ...buildAnalytics(essays),
+        };
 
     } catch (error) {
-        console.error("Erro ao buscar conquistas:", error);
-        throw new Error("Não foi possível buscar as conquistas do usuário.");
+        logger.error('Erro ao calcular analytics da turma', { error });
+        throw new Error("Não foi possível calcular a análise de dados.");
     }
 };
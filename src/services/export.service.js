@@ -0,0 +1,458 @@
+// src/services/export.service.js
+
+import { prisma } from '../config/db.js';
+import { getFinalScores } from './essay.service.js';
+import { enqueueCorrection } from './correction-queue.service.js';
+import { assertWithinQuota, getQuotaStatus } from './plan.service.js';
+import { evaluateAchievements } from './achievement.service.js';
+import { getOwnedClassroom } from './classroom.service.js';
+import { validateCorrection, COMPETENCY_KEYS } from './correction-schema.service.js';
+import { toCsv, parseCsv } from './csv.service.js';
+import { AppError, ValidationError, QuotaExceededError } from '../errors/index.js';
+
+/**
+ * Exportação e importação das redações do usuário em um arquivo portátil (JSON ou CSV).
+ */
+
+export const ARCHIVE_FORMAT = 'essay-corrector-archive';
+export const ARCHIVE_VERSION = 1;
+export const EXPORT_FORMATS = ['json', 'csv'];
+
+// Limite de redações por importação; o restante pode vir em outro arquivo
+const MAX_IMPORT_ESSAYS = Number(process.env.IMPORT_MAX_ESSAYS || 500);
+
+const CSV_COLUMNS = [
+    'essayId', 'student', 'assignment', 'topic', 'version', 'createdAt', 'text',
+    'correctionId', 'correctedAt', 'provider', 'model', ...COMPETENCY_KEYS, 'total', 'finalTotal', 'feedbackGeral',
+];
+
+const essayExportInclude = {
+    versions: { orderBy: { version: 'asc' } },
+    corrections: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+            reviews: {
+                orderBy: { createdAt: 'asc' },
+                include: { grader: { select: { name: true } } },
+            },
+        },
+    },
+    topicRef: { select: { id: true, title: true, year: true, description: true, isOfficial: true } },
+    assignment: { select: { id: true, title: true } },
+};
+
+const serializeEssay = (essay) => {
+    const versionNumbers = new Map(essay.versions.map(version => [version.id, version.version]));
+
+    return {
+        id: essay.id,
+        ...(essay.user && { student: { name: essay.user.name, email: essay.user.email } }),
+        topic: essay.topic,
+        topicId: essay.topicId ?? null,
+        assignment: essay.assignment ?? null,
+        text: essay.text,
+        currentVersion: essay.currentVersion,
+        imageUrl: essay.imageUrl ?? null,
+        createdAt: essay.createdAt,
+        versions: essay.versions.map(version => ({
+            version: version.version,
+            text: version.text,
+            createdAt: version.createdAt,
+        })),
+        corrections: essay.corrections.map(correction => ({
+            id: correction.id,
+            version: versionNumbers.get(correction.versionId) ?? essay.currentVersion,
+            provider: correction.provider,
+            model: correction.model,
+            total: correction.total,
+            finalTotal: getFinalScores(correction)?.total ?? correction.total,
+            notes: correction.notes,
+            annotations: correction.annotations ?? [],
+            repairMethod: correction.repairMethod,
+            consensus: correction.consensus ?? null,
+            resolvedScores: correction.resolvedScores ?? null,
+            reviewStatus: correction.reviewStatus,
+            reviews: correction.reviews.map(review => ({
+                grader: review.grader?.name ?? null,
+                competencias: review.competencias,
+                total: review.total,
+                comment: review.comment ?? null,
+                createdAt: review.createdAt,
+            })),
+            createdAt: correction.createdAt,
+        })),
+    };
+};
+
+const collectTopics = (essays) => {
+    const topics = new Map();
+    essays.forEach(essay => {
+        if (essay.topicRef) topics.set(essay.topicRef.id, essay.topicRef);
+    });
+    return [...topics.values()];
+};
+
+/**
+ * Arquivo com todas as redações do usuário: versões, todas as correções (com revisões de professor)
+ * e os dados dos temas do banco usados.
+ */
+export const exportUserEssays = async (userId) => {
+    const [user, essays] = await Promise.all([
+        prisma.user.findUnique({ where: { id: userId }, select: { name: true, email: true } }),
+        prisma.essay.findMany({
+            where: { userId },
+            include: essayExportInclude,
+            orderBy: { createdAt: 'asc' },
+        }),
+    ]);
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        scope: 'user',
+        exportedAt: new Date(),
+        owner: user,
+        topics: collectTopics(essays),
+        essays: essays.map(serializeEssay),
+    };
+};
+
+/**
+ * Arquivo com as entregas das atividades de uma turma (professor), para guardar o período letivo.
+ */
+export const exportClassroomEssays = async (classroomId, teacherId) => {
+    const classroom = await getOwnedClassroom(classroomId, teacherId);
+
+    const essays = await prisma.essay.findMany({
+        where: { assignment: { classroomId } },
+        include: { ...essayExportInclude, user: { select: { name: true, email: true } } },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        scope: 'classroom',
+        exportedAt: new Date(),
+        classroom: { id: classroom.id, name: classroom.name },
+        topics: collectTopics(essays),
+        essays: essays.map(serializeEssay),
+    };
+};
+
+/**
+ * CSV do arquivo: uma linha por correção (redações sem correção saem com as colunas de nota vazias).
+ */
+export const archiveToCsv = (archive) => {
+    const rows = archive.essays.flatMap(essay => {
+        const base = {
+            essayId: essay.id,
+            student: essay.student?.email,
+            assignment: essay.assignment?.title,
+            topic: essay.topic,
+            createdAt: essay.createdAt,
+        };
+
+        if (essay.corrections.length === 0) {
+            return [{ ...base, version: essay.currentVersion, text: essay.text }];
+        }
+
+        return essay.corrections.map(correction => ({
+            ...base,
+            version: correction.version,
+            text: essay.versions.find(version => version.version === correction.version)?.text ?? essay.text,
+            correctionId: correction.id,
+            correctedAt: correction.createdAt,
+            provider: correction.provider,
+            model: correction.model,
+            ...Object.fromEntries(COMPETENCY_KEYS.map(key => [key, correction.notes?.competencias?.[key]?.nota])),
+            total: correction.total,
+            finalTotal: correction.finalTotal,
+            feedbackGeral: correction.notes?.feedbackGeral,
+        }));
+    });
+
+    return toCsv(rows, CSV_COLUMNS);
+};
+
+/**
+ * Formato do arquivo enviado para importação, pela extensão ou pelo tipo informado.
+ */
+export const resolveImportFormat = (filename = '', mimeType = '') => {
+    if (/\.csv$/i.test(filename) || mimeType === 'text/csv') return 'csv';
+    if (/\.json$/i.test(filename) || mimeType === 'application/json') return 'json';
+    throw new ValidationError("Formato de arquivo não suportado. Envie o arquivo exportado (.json) ou uma planilha (.csv).", {
+        code: 'UNSUPPORTED_FILE_TYPE',
+    });
+};
+
+const parseDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date : undefined;
+};
+
+// O texto é mantido como veio: a checagem de duplicatas compara com o texto salvo
+const textOrEmpty = (value) => (typeof value === 'string' && value.trim() ? value : '');
+
+/**
+ * Redações de um arquivo JSON exportado, no formato comum da importação.
+ */
+const archiveEntries = (content) => {
+    let archive;
+    try {
+        archive = JSON.parse(content);
+    } catch {
+        throw new ValidationError("O arquivo não é um JSON válido.", { code: 'INVALID_ARCHIVE' });
+    }
+
+    if (archive?.format !== ARCHIVE_FORMAT || !Array.isArray(archive.essays)) {
+        throw new ValidationError("Arquivo não reconhecido. Use o arquivo gerado por GET /api/essays/export.", { code: 'INVALID_ARCHIVE' });
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        throw new ValidationError(`Versão do arquivo não suportada (${archive.version}).`, { code: 'INVALID_ARCHIVE' });
+    }
+    // Redações de alunos de uma turma não podem ser importadas na conta de quem exportou
+    if (archive.scope !== 'user') {
+        throw new ValidationError("Só arquivos com as redações do próprio usuário podem ser importados.", { code: 'UNSUPPORTED_ARCHIVE' });
+    }
+
+    return archive.essays.map(essay => {
+        // Uma entrada por número de versão, em ordem
+        const versionsByNumber = new Map();
+        (Array.isArray(essay?.versions) ? essay.versions : [])
+            .filter(version => Number.isInteger(version?.version) && textOrEmpty(version.text))
+            .forEach(version => versionsByNumber.set(version.version, {
+                version: version.version,
+                text: version.text,
+                createdAt: parseDate(version.createdAt),
+            }));
+        const versions = [...versionsByNumber.values()].sort((a, b) => a.version - b.version);
+
+        return {
+            topic: textOrEmpty(essay?.topic),
+            text: versions.at(-1)?.text ?? textOrEmpty(essay?.text),
+            createdAt: parseDate(essay?.createdAt),
+            versions,
+            corrections: Array.isArray(essay?.corrections) ? essay.corrections : [],
+        };
+    });
+};
+
+/**
+ * Redações de uma planilha CSV: colunas 'topic'/'tema' e 'text'/'texto'. Um CSV exportado
+ * traz uma linha por correção; fica só a última versão de cada redação ('essayId').
+ */
+const csvEntries = (content) => {
+    const rows = parseCsv(content);
+    const latestByEssay = new Map();
+
+    rows.forEach((row, index) => {
+        const key = row.essayid || `linha:${index}`;
+        const version = Number(row.version) || 1;
+        const current = latestByEssay.get(key);
+        if (!current || version >= current.version) {
+            latestByEssay.set(key, { row, version });
+        }
+    });
+
+    return [...latestByEssay.values()].map(({ row }) => ({
+        topic: textOrEmpty(row.topic ?? row.tema),
+        text: textOrEmpty(row.text ?? row.texto),
+        createdAt: undefined,
+        versions: [],
+        corrections: [],
+    }));
+};
+
+const findExistingEssay = (userId, { topic, text }) => prisma.essay.findFirst({
+    where: {
+        userId,
+        topic,
+        text,
+        OR: [{ assignmentId: null }, { assignmentId: { isSet: false } }],
+    },
+    select: { id: true },
+});
+
+/**
+ * Cria a redação com as versões do arquivo (ou só a versão 1).
+ */
+const createImportedEssay = async (userId, entry, topicId, importedAt) => {
+    const versions = entry.versions.length > 0 ? entry.versions : [{ version: 1, text: entry.text }];
+
+    const essay = await prisma.essay.create({
+        data: {
+            userId,
+            topic: entry.topic,
+            topicId,
+            text: entry.text,
+            currentVersion: versions.at(-1).version,
+            importedAt,
+            ...(entry.createdAt && { createdAt: entry.createdAt }),
+        },
+    });
+
+    try {
+        await prisma.essayVersion.createMany({
+            data: versions.map(version => ({
+                essayId: essay.id,
+                version: version.version,
+                text: version.text,
+                ...(version.createdAt && { createdAt: version.createdAt }),
+            })),
+        });
+    } catch (error) {
+        await deleteImportedEssay(essay.id);
+        throw error;
+    }
+
+    return essay;
+};
+
+// Desfaz uma importação incompleta, para que a próxima não a trate como duplicada
+const deleteImportedEssay = async (essayId) => {
+    await prisma.correction.deleteMany({ where: { essayId } });
+    await prisma.essayVersion.deleteMany({ where: { essayId } });
+    await prisma.essay.delete({ where: { id: essayId } });
+};
+
+/**
+ * Recria as correções do arquivo. Só a correção da IA é restaurada: revisões de professor
+ * pertencem à turma de origem. Correções fora do formato são ignoradas.
+ */
+const restoreCorrections = async (essay, corrections, importedAt) => {
+    const versions = await prisma.essayVersion.findMany({ where: { essayId: essay.id } });
+    const versionIds = new Map(versions.map(version => [version.version, version.id]));
+
+    const valid = corrections.filter(correction => validateCorrection(correction?.notes).length === 0);
+    for (const correction of valid) {
+        await prisma.correction.create({
+            data: {
+                essayId: essay.id,
+                versionId: versionIds.get(correction.version) ?? versionIds.get(essay.currentVersion),
+                notes: correction.notes,
+                total: correction.notes.total,
+                // Provedor e modelo do arquivo não são verificáveis: a correção fica marcada como importada
+                provider: 'import',
+                model: null,
+                repairMethod: typeof correction.repairMethod === 'string' ? correction.repairMethod : 'none',
+                annotations: Array.isArray(correction.annotations) ? correction.annotations : [],
+                consensus: correction.consensus ?? undefined,
+                importedAt,
+                ...(parseDate(correction.createdAt) && { createdAt: parseDate(correction.createdAt) }),
+            },
+        });
+    }
+
+    return valid.length;
+};
+
+/**
+ * Importa redações de um arquivo exportado (JSON) ou de uma planilha (CSV).
+ * Redações já existentes (mesmo tema e texto) são ignoradas, então importar o mesmo arquivo
+ * de novo não duplica nada. Correções válidas do arquivo são restauradas; as redações sem
+ * correção entram na fila e contam na cota do plano. Com a cota esgotada, as demais ficam
+ * de fora e podem ser importadas de novo depois.
+ */
+export const importEssays = async (userId, { content, format }) => {
+    const entries = format === 'csv' ? csvEntries(content) : archiveEntries(content);
+
+    if (entries.length === 0) {
+        throw new ValidationError("O arquivo não tem redações.", { code: 'EMPTY_IMPORT' });
+    }
+    if (entries.length > MAX_IMPORT_ESSAYS) {
+        throw new ValidationError(`O arquivo tem ${entries.length} redações; o limite por importação é ${MAX_IMPORT_ESSAYS}.`, {
+            code: 'IMPORT_TOO_LARGE',
+        });
+    }
+
+    // Temas do banco reconhecidos pelo título
+    const titles = [...new Set(entries.map(entry => entry.topic).filter(Boolean))];
+    const topics = await prisma.topic.findMany({ where: { title: { in: titles } }, select: { id: true, title: true } });
+    const topicIds = new Map(topics.map(topic => [topic.title, topic.id]));
+
+    const importedAt = new Date();
+    const seen = new Set();
+    let quotaExceeded = false;
+    const items = [];
+
+    for (const [index, entry] of entries.entries()) {
+        if (!entry.text || !entry.topic) {
+            items.push({ index, status: 'invalid', code: 'VALIDATION_ERROR', message: "O texto e o tema da redação são obrigatórios." });
+            continue;
+        }
+
+        // Repetida no próprio arquivo
+        const key = `${entry.topic}\n${entry.text}`;
+        if (seen.has(key)) {
+            items.push({ index, status: 'duplicate', essayId: null });
+            continue;
+        }
+        seen.add(key);
+
+        const existing = await findExistingEssay(userId, entry);
+        if (existing) {
+            items.push({ index, status: 'duplicate', essayId: existing.id });
+            continue;
+        }
+
+        const topicId = topicIds.get(entry.topic);
+
+        try {
+            if (entry.corrections.some(correction => validateCorrection(correction?.notes).length === 0)) {
+                const essay = await createImportedEssay(userId, entry, topicId, importedAt);
+                let restored;
+                try {
+                    restored = await restoreCorrections(essay, entry.corrections, importedAt);
+                } catch (error) {
+                    await deleteImportedEssay(essay.id);
+                    throw error;
+                }
+                items.push({ index, status: 'imported', essayId: essay.id, corrections: restored });
+                continue;
+            }
+
+            if (quotaExceeded) {
+                items.push({ index, status: 'quota_exceeded' });
+                continue;
+            }
+
+            // A redação é criada antes do job: uma nova importação já a encontra, mesmo antes da correção
+            await assertWithinQuota(userId);
+            const essay = await createImportedEssay(userId, entry, topicId, importedAt);
+            try {
+                const job = await enqueueCorrection(userId, { essayText: entry.text, essayTopic: entry.topic, topicId });
+                items.push({ index, status: 'queued', essayId: essay.id, jobId: job.id });
+            } catch (error) {
+                await deleteImportedEssay(essay.id);
+                throw error;
+            }
+        } catch (error) {
+            if (error instanceof QuotaExceededError) {
+                quotaExceeded = true;
+                items.push({ index, status: 'quota_exceeded' });
+            } else if (error instanceof AppError && error.status < 500) {
+                items.push({ index, status: 'invalid', code: error.code, message: error.message });
+            } else {
+                throw error;
+            }
+        }
+    }
+
+    const count = (status) => items.filter(item => item.status === status).length;
+
+    // Correções restauradas contam para as conquistas
+    const achievements = count('imported') > 0 ? await evaluateAchievements(userId) : [];
+
+    return {
+        total: entries.length,
+        imported: count('imported'),
+        queued: count('queued'),
+        duplicates: count('duplicate'),
+        invalid: count('invalid'),
+        quotaExceeded: count('quota_exceeded'),
+        items,
+        achievements,
+        quota: await getQuotaStatus(userId),
+    };
+};
@@ -0,0 +1,81 @@
+// src/services/grade-resolution.service.js
+
+/**
+ * Regras de discrepância do ENEM aplicadas à correção por múltiplos corretores
+ * (o modelo de IA conta como o primeiro corretor).
+ */
+
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+
+// Discrepância: diferença acima de 100 pontos no total ou de 80 em alguma competência
+export const TOTAL_DISCREPANCY_LIMIT = 100;
+export const COMPETENCY_DISCREPANCY_LIMIT = 80;
+
+export const REVIEW_STATUS = {
+    AI_ONLY: 'ai_only',
+    RESOLVED: 'resolved',
+    NEEDS_THIRD_REVIEW: 'needs_third_review',
+};
+
+const sumCompetencies = (competencias) => COMPETENCY_KEYS.reduce((sum, key) => sum + competencias[key].nota, 0);
+
+/**
+ * Compara duas notas (formato { competencias: { c1: { nota } ... }, total }).
+ */
+export const findDiscrepancy = (first, second) => {
+    const totalDifference = Math.abs(first.total - second.total);
+    const competencies = COMPETENCY_KEYS.filter(key =>
+        Math.abs(first.competencias[key].nota - second.competencias[key].nota) > COMPETENCY_DISCREPANCY_LIMIT
+    );
+
+    return {
+        totalDifference,
+        competencies,
+        discrepant: totalDifference > TOTAL_DISCREPANCY_LIMIT || competencies.length > 0,
+    };
+};
+
+/**
+ * Média por competência entre as notas informadas; o total é a soma das médias.
+ */
+const averageScores = (scores) => {
+    const competencias = {};
+    COMPETENCY_KEYS.forEach(key => {
+        const sum = scores.reduce((acc, score) => acc + score.competencias[key].nota, 0);
+        competencias[key] = { nota: Math.round(sum / scores.length) };
+    });
+    return { competencias, total: sumCompetencies(competencias) };
+};
+
+/**
+ * Resolve a nota final a partir das notas dos corretores, em ordem (IA primeiro).
+ * - Um corretor: a nota dele.
+ * - Dois corretores: a média; se discrepantes, a redação vai para terceira correção.
+ * - Três corretores: a média das duas notas mais próximas entre si.
+ */
+export const resolveGrades = (graderScores) => {
+    if (graderScores.length === 1) {
+        return { scores: graderScores[0], status: REVIEW_STATUS.AI_ONLY, discrepancy: null };
+    }
+
+    if (graderScores.length === 2) {
+        const discrepancy = findDiscrepancy(graderScores[0], graderScores[1]);
+        return {
+            scores: averageScores(graderScores),
+            status: discrepancy.discrepant ? REVIEW_STATUS.NEEDS_THIRD_REVIEW : REVIEW_STATUS.RESOLVED,
+            discrepancy,
+        };
+    }
+
+    const [first, second, third] = graderScores;
+    const pairs = [[first, second], [first, third], [second, third]];
+    const closestPair = pairs.reduce((best, pair) =>
+        Math.abs(pair[0].total - pair[1].total) < Math.abs(best[0].total - best[1].total) ? pair : best
+    );
+
+    return {
+        scores: averageScores(closestPair),
+        status: REVIEW_STATUS.RESOLVED,
+        discrepancy: findDiscrepancy(first, second),
+    };
+};
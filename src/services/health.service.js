@@ -0,0 +1,66 @@
+// src/services/health.service.js
+
+import { pingDatabase } from '../config/db.js';
+import { getProviderStatus } from '../providers/index.js';
+import { logger } from '../logger/index.js';
+
+// Tempo máximo da checagem do banco; acima disso o processo não está pronto
+const dbCheckTimeoutMs = Number(process.env.READINESS_DB_TIMEOUT_MS || 2000);
+
+let shuttingDown = false;
+
+/**
+ * Marca o processo como em encerramento: /readyz passa a responder 503 e o balanceador
+ * deixa de enviar tráfego enquanto as correções em andamento terminam.
+ */
+export const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+const checkDatabase = async () => {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+        await Promise.race([
+            pingDatabase(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Sem resposta em ${dbCheckTimeoutMs} ms.`)), dbCheckTimeoutMs);
+            }),
+        ]);
+        return { status: 'ok', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        // O detalhe vai só para o log: a rota é pública e a mensagem do driver pode citar o host do banco
+        logger.error('Banco de dados indisponível na checagem de prontidão', { error: error.message });
+        return { status: 'error', error: 'Banco de dados indisponível.' };
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+const checkProviders = () => {
+    const providers = getProviderStatus();
+    const defaultProvider = providers.find(provider => provider.default);
+
+    return {
+        status: defaultProvider?.configured ? 'ok' : 'error',
+        default: defaultProvider?.name ?? null,
+        providers: providers.map(({ name, configured }) => ({ name, configured })),
+    };
+};
+
+/**
+ * Prontidão para receber tráfego: banco respondendo, provedor de correção padrão
+ * configurado e processo fora do encerramento.
+ */
+export const getReadiness = async () => {
+    const checks = {
+        database: await checkDatabase(),
+        providers: checkProviders(),
+    };
+    const ready = !shuttingDown && Object.values(checks).every(check => check.status === 'ok');
+
+    return { status: ready ? 'ready' : 'not_ready', shuttingDown, checks };
+};
@@ -0,0 +1,30 @@
+// src/services/media.service.js
+
+import cloudinary from '../config/cloudinary.js';
+import { logger } from '../logger/index.js';
+
+// A foto de perfil usa o id do usuário como public_id dentro desta pasta (sobrescrita a cada envio)
+export const PROFILE_PIC_FOLDER = 'essay_corrector_profile_pics';
+
+export const getProfilePicPublicId = (userId) => `${PROFILE_PIC_FOLDER}/${userId}`;
+
+/**
+ * Apaga arquivos do Cloudinary pelo public_id. Arquivo que já não existe conta como apagado.
+ * Falhas não interrompem quem chama (a exclusão no banco já foi feita): vão para o log com
+ * os ids, para remoção manual. Retorna quantos arquivos foram apagados.
+ */
+export const destroyImages = async (publicIds) => {
+    const results = await Promise.allSettled(publicIds.map(publicId => cloudinary.uploader.destroy(publicId, { invalidate: true })));
+
+    const failed = publicIds.filter((_, index) => (
+        results[index].status === 'rejected' || !['ok', 'not found'].includes(results[index].value?.result)
+    ));
+    if (failed.length > 0) {
+        logger.error('Falha ao apagar imagens do Cloudinary', {
+            publicIds: failed,
+            error: results.find(result => result.status === 'rejected')?.reason,
+        });
+    }
+
+    return publicIds.length - failed.length;
+};
@@ -0,0 +1,21 @@
+// src/services/moderation.service.js
+
+import { prisma } from '../config/db.js';
+
+/**
+ * Guarda a redação que o modelo se recusou a corrigir, para revisão dos administradores
+ * (GET /api/admin/blocked-submissions).
+ */
+export const recordBlockedSubmission = ({ userId, essayId, essayTopic, essayText, provider, model, blockReason }) => (
+    prisma.blockedSubmission.create({
+        data: {
+            userId,
+            essayId,
+            essayTopic,
+            essayText,
+            provider,
+            model,
+            blockReason: String(blockReason),
+        },
+    })
+);
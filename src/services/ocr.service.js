@@ -0,0 +1,146 @@
+// src/services/ocr.service.js
+
+import { prisma } from '../config/db.js';
+import { createWorker } from 'tesseract.js';
+import cloudinary from '../config/cloudinary.js';
+import { UnprocessableError, ExternalServiceError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+// Abaixo desta confiança (0-100) a linha é destacada para revisão do aluno
+const LOW_CONFIDENCE_THRESHOLD = Number(process.env.OCR_LOW_CONFIDENCE_THRESHOLD || 60);
+
+let workerPromise = null;
+
+/**
+ * Cria (uma única vez) o worker do Tesseract com os dados de português.
+ * Sem TESSERACT_LANG_PATH (diretório local com 'por.traineddata'), o tesseract.js baixa os
+ * dados de idioma de uma CDN na primeira execução: o OCR só funciona sem rede com a variável.
+ */
+const getWorker = () => {
+    if (!workerPromise) {
+        const options = {};
+        if (process.env.TESSERACT_LANG_PATH) options.langPath = process.env.TESSERACT_LANG_PATH;
+        if (process.env.TESSERACT_CACHE_PATH) options.cachePath = process.env.TESSERACT_CACHE_PATH;
+
+        workerPromise = createWorker('por', undefined, options).catch(error => {
+            // Permite nova tentativa na próxima requisição
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+};
+
+/**
+ * O Tesseract não lê PDF. Folhas digitalizadas costumam ser PDFs com uma única
+ * imagem JPEG embutida (filtro DCTDecode), que extraímos diretamente dos bytes do arquivo.
+ */
+const extractImageFromPdf = (buffer) => {
+    const content = buffer.toString('latin1');
+    let index = content.indexOf('/DCTDecode');
+
+    while (index !== -1) {
+        const streamStart = content.indexOf('stream', index);
+        const streamEnd = content.indexOf('endstream', streamStart);
+        if (streamStart === -1 || streamEnd === -1) break;
+
+        let dataStart = streamStart + 'stream'.length;
+        if (content[dataStart] === '\r') dataStart++;
+        if (content[dataStart] === '\n') dataStart++;
+
+        const image = buffer.subarray(dataStart, streamEnd);
+        // Assinatura de um arquivo JPEG (SOI)
+        if (image[0] === 0xFF && image[1] === 0xD8) {
+            return image;
+        }
+
+        index = content.indexOf('/DCTDecode', index + 1);
+    }
+
+    return null;
+};
+
+/**
+ * Roda o OCR e devolve a transcrição com a confiança de cada linha.
+ */
+const recognizeText = async (imageBuffer) => {
+    const worker = await getWorker();
+    const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
+
+    const lines = (data.blocks || [])
+        .flatMap(block => block.paragraphs)
+        .flatMap(paragraph => paragraph.lines)
+        .map(line => ({
+            text: line.text.trim(),
+            confidence: Math.round(line.confidence),
+        }))
+        .filter(line => line.text.length > 0)
+        .map((line, index) => ({
+            number: index + 1,
+            ...line,
+            needsReview: line.confidence < LOW_CONFIDENCE_THRESHOLD,
+        }));
+
+    return {
+        transcription: lines.map(line => line.text).join('\n'),
+        confidence: Math.round(data.confidence),
+        lines,
+    };
+};
+
+/**
+ * Transcreve a foto (ou PDF) da folha de redação, guarda o arquivo original
+ * no Cloudinary e registra o envio para ser confirmado depois em submitEssay.
+ */
+export const transcribeEssayImage = async (userId, file) => {
+    let imageBuffer = file.buffer;
+
+    if (file.mimetype === 'application/pdf') {
+        imageBuffer = extractImageFromPdf(file.buffer);
+        if (!imageBuffer) {
+            throw new UnprocessableError("Não foi possível ler o PDF: envie uma página digitalizada (imagem) da folha de redação.", { code: 'UNREADABLE_IMAGE' });
+        }
+    }
+
+    const { transcription, confidence, lines } = await recognizeText(imageBuffer);
+
+    if (!transcription) {
+        throw new UnprocessableError("Não foi possível ler o texto da imagem. Tente uma foto mais nítida e bem iluminada.", { code: 'UNREADABLE_IMAGE' });
+    }
+
+    const dataURI = `data:${file.mimetype};base64,${file.buffer.toString('base64')}`;
+    // O SDK pode lançar erro antes de devolver a promise (ex.: credenciais ausentes)
+    let result = null;
+    try {
+        result = await cloudinary.uploader.upload(dataURI, {
+            folder: "essay_corrector_essay_images",
+            resource_type: "auto",
+        });
+    } catch (error) {
+        logger.error('Erro ao enviar a imagem da redação para o Cloudinary', { error: error.message });
+    }
+
+    if (!result || !result.secure_url) {
+        throw new ExternalServiceError("Falha ao enviar a imagem da redação para o Cloudinary. Tente novamente.", { code: 'UPLOAD_FAILED' });
+    }
+
+    const essayUpload = await prisma.essayUpload.create({
+        data: {
+            userId,
+            imageUrl: result.secure_url,
+            imagePublicId: result.public_id,
+            mimeType: file.mimetype,
+            transcription,
+            confidence,
+            lines,
+        },
+    });
+
+    return {
+        uploadId: essayUpload.id,
+        imageUrl: essayUpload.imageUrl,
+        transcription,
+        confidence,
+        lines,
+    };
+};
@@ -0,0 +1,273 @@
+// src/services/plagiarism.service.js
+
+import { prisma } from '../config/db.js';
+import { TEMPLATE_PHRASES } from '../config/template-phrases.js';
+
+/**
+ * Verificação local de similaridade entre redações. Cada texto vira o conjunto das suas
+ * sequências de SHINGLE_SIZE palavras, resumido por uma assinatura MinHash; as faixas (bands)
+ * da assinatura ficam em Essay.similarityBands e localizam as candidatas, e a sobreposição
+ * é calculada depois sobre os textos das candidatas.
+ */
+
+const SHINGLE_SIZE = 5;
+const NUM_HASHES = 128;
+// 64 faixas de 2 valores: pares com Jaccard a partir de ~0,15 já costumam virar candidatos
+const BAND_ROWS = 2;
+// Redações com faixas em comum lidas do índice e, dessas, comparadas por completo
+const MAX_CANDIDATE_LOOKUP = 500;
+const MAX_CANDIDATES = 20;
+// Sobreposição mínima (%) para a redação aparecer no relatório
+const MIN_REPORTED_OVERLAP = 10;
+const MAX_PASSAGES = 5;
+const MAX_EXCERPT_CHARS = 280;
+
+// % da redação encontrada numa mesma outra redação para sinalizá-la
+const flagThreshold = Number(process.env.PLAGIARISM_FLAG_THRESHOLD || 30);
+// % das palavras da redação cobertas por trechos de modelos prontos para sinalizá-la
+const templateThreshold = Number(process.env.PLAGIARISM_TEMPLATE_THRESHOLD || 25);
+// Redações ainda fora do índice (anteriores a ele ou importadas) indexadas a cada verificação
+const backfillBatch = Number(process.env.PLAGIARISM_BACKFILL_BATCH ?? 100);
+
+export const SIMILARITY_REASONS = {
+    OTHER_AUTHOR: 'other_author',
+    SELF_REUSE: 'self_reuse',
+    TEMPLATE: 'template',
+};
+
+/**
+ * Palavras do texto sem acentos e em minúsculas, com a posição no texto original.
+ */
+const tokenize = (text) => [...text.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(match => ({
+    word: match[0].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+}));
+
+// Sequência que começa em cada palavra; textos com menos de SHINGLE_SIZE palavras não têm nenhuma
+const toShingles = (tokens) => {
+    const shingles = [];
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+        shingles.push(tokens.slice(i, i + SHINGLE_SIZE).map(token => token.word).join(' '));
+    }
+    return shingles;
+};
+
+// FNV-1a de 32 bits
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// Finalizador do MurmurHash3: combinado com cada semente, dá as NUM_HASHES funções da assinatura
+const mix = (value) => {
+    let hash = value;
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+};
+
+// Sementes fixas: a assinatura de um texto precisa ser a mesma em qualquer processo
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, index) => mix(index + 1));
+
+/**
+ * Faixas da assinatura MinHash do texto ('<faixa>:<valores>'), gravadas em Essay.similarityBands.
+ */
+export const buildSimilarityBands = (text) => {
+    const hashes = [...new Set(toShingles(tokenize(text)).map(hashString))];
+    if (hashes.length === 0) return [];
+
+    const signature = SEEDS.map(seed => hashes.reduce((min, hash) => Math.min(min, mix(hash ^ seed)), Infinity));
+
+    const bands = [];
+    for (let band = 0; band * BAND_ROWS < NUM_HASHES; band++) {
+        const rows = signature.slice(band * BAND_ROWS, (band + 1) * BAND_ROWS);
+        bands.push(`${band}:${rows.map(row => row.toString(36)).join('.')}`);
+    }
+    return bands;
+};
+
+const toPercent = (fraction) => Math.round(fraction * 100);
+
+const toPassage = (text, tokens, from, to) => {
+    const start = tokens[from].start;
+    const end = tokens[to].end;
+    const excerpt = text.slice(start, end);
+
+    return {
+        start,
+        end,
+        excerpt: excerpt.length > MAX_EXCERPT_CHARS ? `${excerpt.slice(0, MAX_EXCERPT_CHARS)}…` : excerpt,
+    };
+};
+
+/**
+ * Trechos do texto formados pelas palavras marcadas em 'covered'; os mais longos, na ordem do texto.
+ */
+const toPassages = (text, tokens, covered) => {
+    const runs = [];
+    let runStart = null;
+    for (let i = 0; i <= tokens.length; i++) {
+        if (i < tokens.length && covered[i]) {
+            if (runStart === null) runStart = i;
+        } else if (runStart !== null) {
+            runs.push({ from: runStart, to: i - 1 });
+            runStart = null;
+        }
+    }
+
+    return runs
+        .sort((a, b) => (b.to - b.from) - (a.to - a.from))
+        .slice(0, MAX_PASSAGES)
+        .sort((a, b) => a.from - b.from)
+        .map(({ from, to }) => toPassage(text, tokens, from, to));
+};
+
+/**
+ * Fração das sequências do texto que aparecem no outro texto e as palavras cobertas por elas.
+ */
+const compareWith = (tokens, shingles, otherText) => {
+    const otherShingles = new Set(toShingles(tokenize(otherText)));
+    const covered = new Array(tokens.length).fill(false);
+
+    let matched = 0;
+    shingles.forEach((shingle, index) => {
+        if (!otherShingles.has(shingle)) return;
+        matched++;
+        covered.fill(true, index, index + SHINGLE_SIZE);
+    });
+
+    return { overlap: toPercent(matched / shingles.length), covered };
+};
+
+const TEMPLATE_WORDS = TEMPLATE_PHRASES.map(phrase => ({ phrase, words: tokenize(phrase).map(token => token.word) }));
+
+/**
+ * Trechos de modelos prontos encontrados no texto e a % das palavras cobertas por eles.
+ */
+const findTemplatePhrases = (text, tokens) => {
+    const covered = new Array(tokens.length).fill(false);
+    const phrases = [];
+
+    TEMPLATE_WORDS.forEach(({ phrase, words }) => {
+        for (let i = 0; i + words.length <= tokens.length; i++) {
+            if (!words.every((word, offset) => tokens[i + offset].word === word)) continue;
+            covered.fill(true, i, i + words.length);
+            phrases.push({ phrase, ...toPassage(text, tokens, i, i + words.length - 1) });
+        }
+    });
+
+    return {
+        phrases: phrases.sort((a, b) => a.start - b.start),
+        coverage: tokens.length > 0 ? toPercent(covered.filter(Boolean).length / tokens.length) : 0,
+    };
+};
+
+const indexEssay = (essayId, text) => prisma.essay.update({
+    where: { id: essayId },
+    data: { similarityBands: buildSimilarityBands(text), similarityIndexedAt: new Date() },
+});
+
+/**
+ * Indexa aos poucos as redações gravadas sem assinatura, para que também sejam comparadas.
+ */
+const indexPendingEssays = async () => {
+    if (!(backfillBatch > 0)) return;
+
+    const pending = await prisma.essay.findMany({
+        where: { OR: [{ similarityIndexedAt: null }, { similarityIndexedAt: { isSet: false } }] },
+        select: { id: true, text: true },
+        take: backfillBatch,
+    });
+
+    for (const essay of pending) {
+        await indexEssay(essay.id, essay.text);
+    }
+};
+
+/**
+ * Redações com faixas em comum, da mais para a menos parecida, com a sobreposição e os trechos coincidentes.
+ */
+const findMatches = async (essay, text, tokens, shingles, bands) => {
+    const candidates = await prisma.essay.findMany({
+        where: { id: { not: essay.id }, similarityBands: { hasSome: bands } },
+        select: { id: true, similarityBands: true },
+        take: MAX_CANDIDATE_LOOKUP,
+    });
+    if (candidates.length === 0) return [];
+
+    const bandSet = new Set(bands);
+    const closest = candidates
+        .map(candidate => ({ id: candidate.id, shared: candidate.similarityBands.filter(band => bandSet.has(band)).length }))
+        .sort((a, b) => b.shared - a.shared)
+        .slice(0, MAX_CANDIDATES);
+
+    const others = await prisma.essay.findMany({
+        where: { id: { in: closest.map(candidate => candidate.id) } },
+        select: { id: true, userId: true, topic: true, text: true, createdAt: true },
+    });
+
+    return others
+        .map(other => {
+            const { overlap, covered } = compareWith(tokens, shingles, other.text);
+            return {
+                essayId: other.id,
+                userId: other.userId,
+                sameAuthor: other.userId === essay.userId,
+                topic: other.topic,
+                submittedAt: other.createdAt,
+                overlap,
+                passages: toPassages(text, tokens, covered),
+            };
+        })
+        .filter(match => match.overlap >= MIN_REPORTED_OVERLAP)
+        .sort((a, b) => b.overlap - a.overlap);
+};
+
+/**
+ * Indexa o texto atual da redação e o compara com as demais redações (de outros usuários e,
+ * como reaproveitamento, do próprio autor) e com os modelos prontos. Retorna o relatório
+ * gravado em Correction.similarity.
+ */
+export const checkSimilarity = async (essay, text) => {
+    await indexPendingEssays();
+    const bands = (await indexEssay(essay.id, text)).similarityBands;
+
+    const tokens = tokenize(text);
+    const shingles = toShingles(tokens);
+    const matches = bands.length > 0 ? await findMatches(essay, text, tokens, shingles, bands) : [];
+    const templates = findTemplatePhrases(text, tokens);
+
+    const maxOverlap = Math.max(0, ...matches.filter(match => !match.sameAuthor).map(match => match.overlap));
+    const reasons = [];
+    if (maxOverlap >= flagThreshold) reasons.push(SIMILARITY_REASONS.OTHER_AUTHOR);
+    if (matches.some(match => match.sameAuthor && match.overlap >= flagThreshold)) reasons.push(SIMILARITY_REASONS.SELF_REUSE);
+    if (templates.coverage >= templateThreshold) reasons.push(SIMILARITY_REASONS.TEMPLATE);
+
+    return {
+        checkedAt: new Date(),
+        flagged: reasons.length > 0,
+        reasons,
+        maxOverlap,
+        templateCoverage: templates.coverage,
+        matches,
+        templatePhrases: templates.phrases,
+    };
+};
+
+/**
+ * Relatório como o autor da redação o vê: as redações de outros usuários não são identificadas.
+ */
+export const formatSimilarityForAuthor = (report) => report && {
+    ...report,
+    matches: report.matches.map(({ essayId, userId, topic, submittedAt, ...match }) => (
+        match.sameAuthor ? { essayId, topic, submittedAt, ...match } : match
+    )),
+};
@@ -0,0 +1,121 @@
+// src/services/plan.service.js
+
+import { prisma } from '../config/db.js';
+import { PLANS, DEFAULT_PLAN } from '../config/plans.js';
+import { ValidationError, NotFoundError, QuotaExceededError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+/**
+ * Início do período atual e do próximo (quando a cota é renovada), em UTC.
+ */
+const getQuotaWindow = (period, now = new Date()) => {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (period === 'month') {
+        start.setUTCDate(1);
+        return { start, resetAt: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)) };
+    }
+
+    if (period === 'week') {
+        // Semanas começam na segunda-feira
+        start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+        return { start, resetAt: new Date(start.getTime() + 7 * 24 * 60 * 60 * 1000) };
+    }
+
+    return { start, resetAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+/**
+ * Situação da cota do usuário no período atual. Contam os jobs de correção
+ * criados no período, exceto os que falharam e as novas correções pedidas por um administrador.
+ * Com 'until', só os jobs criados até essa data.
+ */
+export const getQuotaStatus = async (userId, { until } = {}) => {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { plan: true } });
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", { code: 'USER_NOT_FOUND' });
+    }
+
+    // Plano removido de PLANS (ou ausente): vale o padrão até um administrador trocar
+    const planName = PLANS[user.plan] ? user.plan : DEFAULT_PLAN;
+    if (user.plan && planName !== user.plan) {
+        logger.warn('Plano do usuário desconhecido; usando o plano padrão', { userId, plan: user.plan, defaultPlan: DEFAULT_PLAN });
+    }
+    const plan = PLANS[planName];
+    const { start, resetAt } = getQuotaWindow(plan.period);
+
+    const used = await prisma.correctionJob.count({
+        where: {
+            userId,
+            createdAt: { gte: start, ...(until && { lte: until }) },
+            status: { not: 'failed' },
+            OR: [{ requestedById: null }, { requestedById: { isSet: false } }],
+        },
+    });
+
+    return {
+        plan: planName,
+        period: plan.period,
+        limit: plan.corrections,
+        used,
+        remaining: plan.corrections === null ? null : Math.max(plan.corrections - used, 0),
+        resetAt,
+    };
+};
+
+const quotaExceededError = (quota) => new QuotaExceededError(
+    `Limite de correções do plano '${quota.plan}' atingido. Tente novamente após ${quota.resetAt.toISOString()}.`,
+    quota,
+);
+
+/**
+ * Lança QuotaExceededError (com a situação da cota em 'details') se o usuário já usou
+ * todas as correções do período.
+ */
+export const assertWithinQuota = async (userId) => {
+    const quota = await getQuotaStatus(userId);
+
+    if (quota.remaining === 0) {
+        throw quotaExceededError(quota);
+    }
+
+    return quota;
+};
+
+/**
+ * Confere a cota depois de criado o job que a consome. Envios simultâneos podem passar juntos por
+ * assertWithinQuota: contando só os jobs criados até este, o que passou do limite chama 'release'
+ * (que desfaz o envio) e lança QuotaExceededError. Retorna a cota já descontada do envio.
+ */
+export const confirmWithinQuota = async (userId, job, release) => {
+    const quota = await getQuotaStatus(userId, { until: job.createdAt });
+
+    if (quota.limit !== null && quota.used > quota.limit) {
+        await release();
+        throw quotaExceededError(await getQuotaStatus(userId));
+    }
+
+    return quota;
+};
+
+/**
+ * Troca o plano de um usuário (uso administrativo).
+ */
+export const setUserPlan = async (userId, plan) => {
+    if (!PLANS[plan]) {
+        throw new ValidationError(`Plano inválido. Use um de: ${Object.keys(PLANS).join(', ')}.`, { code: 'INVALID_PLAN' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+        throw new NotFoundError("Usuário não encontrado.", { code: 'USER_NOT_FOUND' });
+    }
+
+    const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { plan },
+        select: { id: true, name: true, email: true, role: true, plan: true },
+    });
+
+    return { ...updated, quota: await getQuotaStatus(userId) };
+};
@@ -0,0 +1,294 @@
+// src/services/privacy.service.js
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../config/db.js';
+import { anonymizeAccount, deleteAccount } from './account.service.js';
+import { exportUserEssays } from './export.service.js';
+import { destroyImages } from './media.service.js';
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+import { JOB_STATUS } from './correction-queue.service.js';
+import { ConflictError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+/**
+ * Direitos do titular (LGPD): exclusão da própria conta, relatório de acesso com tudo o que
+ * guardamos sobre o usuário e a política de retenção do texto das redações.
+ */
+
+// Meses até o texto da redação ser apagado; 0 (padrão) desliga a política
+export const retentionMonths = Number(process.env.ESSAY_RETENTION_MONTHS || 0);
+// Redações processadas por lote em cada execução da política
+const retentionBatchSize = Number(process.env.RETENTION_BATCH_SIZE || 100);
+
+export const REMOVED_TEXT = '[Texto removido pela política de retenção de dados]';
+
+/**
+ * Exclui a conta do próprio usuário. Conta de professor com turmas ou revisões de outros
+ * alunos é anonimizada no lugar (os dados dos alunos continuam com eles).
+ */
+export const deleteOwnAccount = async (userId) => {
+    try {
+        const { removed } = await deleteAccount(userId);
+        return { result: 'deleted', removed };
+    } catch (error) {
+        if (!(error instanceof ConflictError) || error.code !== 'ACCOUNT_HAS_SHARED_DATA') throw error;
+
+        const { removed } = await anonymizeAccount(userId);
+        return { result: 'anonymized', removed, sharedData: error.details };
+    }
+};
+
+/**
+ * Tudo o que o sistema guarda sobre o usuário (art. 18 da LGPD): cadastro, sessões, redações
+ * com versões e correções, imagens enviadas, jobs, turmas, revisões feitas, conquistas,
+ * submissões bloqueadas, chamadas ao modelo e os acessos de administradores aos dados dele. Hashes de senha e de
+ * tokens ficam de fora.
+ */
+export const getPersonalData = async (userId) => {
+    const [
+        profile,
+        sessions,
+        authTokens,
+        archive,
+        uploads,
+        jobs,
+        classrooms,
+        memberships,
+        reviews,
+        achievements,
+        blockedSubmissions,
+        modelCalls,
+        adminAccess,
+    ] = await Promise.all([
+        prisma.user.findUnique({
+            where: { id: userId },
+            select: {
+                id: true,
+                name: true,
+                email: true,
+                role: true,
+                plan: true,
+                profilePic: true,
+                emailVerifiedAt: true,
+                anonymizedAt: true,
+                createdAt: true,
+                updatedAt: true,
+            },
+        }),
+        prisma.session.findMany({
+            where: { userId },
+            select: {
+                id: true,
+                userAgent: true,
+                ip: true,
+                createdAt: true,
+                lastUsedAt: true,
+                expiresAt: true,
+                revokedAt: true,
+                revokedReason: true,
+            },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.authToken.findMany({
+            where: { userId },
+            select: { type: true, createdAt: true, expiresAt: true, usedAt: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+        exportUserEssays(userId),
+        prisma.essayUpload.findMany({
+            where: { userId },
+            select: {
+                id: true,
+                essayId: true,
+                imageUrl: true,
+                mimeType: true,
+                transcription: true,
+                confidence: true,
+                createdAt: true,
+            },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.correctionJob.findMany({
+            where: { userId },
+            select: {
+                id: true,
+                status: true,
+                payload: true,
+                attempts: true,
+                error: true,
+                errorCode: true,
+                result: true,
+                createdAt: true,
+                updatedAt: true,
+            },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.classroom.findMany({
+            where: { teacherId: userId },
+            select: { id: true, name: true, createdAt: true },
+        }),
+        prisma.classroomMember.findMany({
+            where: { userId },
+            select: { joinedAt: true, classroom: { select: { id: true, name: true } } },
+        }),
+        prisma.correctionReview.findMany({
+            where: { graderId: userId },
+            select: { id: true, correctionId: true, competencias: true, total: true, comment: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.achievementUnlock.findMany({
+            where: { userId },
+            select: { achievementId: true, unlockedAt: true },
+        }),
+        prisma.blockedSubmission.findMany({
+            where: { userId },
+            select: { id: true, essayId: true, essayTopic: true, essayText: true, provider: true, blockReason: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.modelCall.findMany({
+            where: { userId },
+            select: { provider: true, model: true, outcome: true, totalTokens: true, estimatedCost: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+        // Quais dados foram consultados ou alterados e quando; quem fez fica só no registro interno
+        prisma.auditLog.findMany({
+            where: { targetType: 'user', targetId: userId },
+            select: { action: true, createdAt: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+    ]);
+
+    return {
+        generatedAt: new Date(),
+        profile,
+        sessions,
+        emailTokens: authTokens,
+        topics: archive.topics,
+        essays: archive.essays,
+        uploads,
+        correctionJobs: jobs,
+        classrooms: { owned: classrooms, memberships },
+        reviewsWritten: reviews,
+        achievements,
+        blockedSubmissions,
+        modelCalls,
+        adminAccess,
+        retention: { essayTextMonths: retentionMonths || null },
+    };
+};
+
+// Só as notas: a análise de cada competência e o comentário geral podem citar trechos do texto
+const keepScoresOnly = (notes) => ({
+    competencias: Object.fromEntries(COMPETENCY_KEYS.map(key => [key, { nota: notes?.competencias?.[key]?.nota ?? null }])),
+    total: notes?.total ?? null,
+});
+
+const getRetentionCutoff = (now = new Date()) => {
+    const cutoff = new Date(now);
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - retentionMonths);
+    return cutoff;
+};
+
+/**
+ * Apaga o texto de uma redação e tudo o que o reproduz: versões, imagens e transcrições,
+ * anotações, pré-análise, relatório de similaridade e comentários de revisão.
+ * Notas, totais, nota resolvida e datas continuam, para as estatísticas.
+ */
+const removeEssayText = async (essay) => {
+    const uploads = await prisma.essayUpload.findMany({ where: { essayId: essay.id }, select: { imagePublicId: true } });
+    const corrections = await prisma.correction.findMany({ where: { essayId: essay.id }, select: { id: true, notes: true } });
+
+    await prisma.$transaction([
+        ...corrections.map(correction => prisma.correction.update({
+            where: { id: correction.id },
+            data: {
+                notes: keepScoresOnly(correction.notes),
+                annotations: [],
+                analysis: Prisma.DbNull,
+                similarity: Prisma.DbNull,
+                contentHash: null,
+            },
+        })),
+        prisma.correctionReview.updateMany({ where: { correction: { essayId: essay.id } }, data: { comment: null } }),
+        prisma.essayVersion.updateMany({ where: { essayId: essay.id }, data: { text: REMOVED_TEXT } }),
+        prisma.essayUpload.deleteMany({ where: { essayId: essay.id } }),
+        prisma.essay.update({
+            where: { id: essay.id },
+            data: {
+                text: REMOVED_TEXT,
+                imageUrl: null,
+                // Marcada como indexada para a verificação de similaridade não indexar o texto substituto
+                similarityBands: [],
+                similarityIndexedAt: new Date(),
+                textRemovedAt: new Date(),
+            },
+        }),
+    ]);
+
+    await destroyImages(uploads.map(upload => upload.imagePublicId));
+};
+
+/**
+ * Aplica a política de retenção: redações criadas há mais de ESSAY_RETENTION_MONTHS meses
+ * perdem o texto (removeEssayText), as fotos enviadas no mesmo período e nunca confirmadas
+ * como redação são excluídas (também no Cloudinary), os jobs concluídos (que guardam o texto
+ * enviado) são excluídos e as submissões bloqueadas perdem o texto. Retorna o que foi alterado.
+ */
+export const applyRetentionPolicy = async (now = new Date()) => {
+    if (!(retentionMonths > 0)) return null;
+
+    const cutoff = getRetentionCutoff(now);
+    let essays = 0;
+
+    for (;;) {
+        const batch = await prisma.essay.findMany({
+            where: {
+                createdAt: { lt: cutoff },
+                OR: [{ textRemovedAt: null }, { textRemovedAt: { isSet: false } }],
+            },
+            select: { id: true },
+            take: retentionBatchSize,
+        });
+
+        for (const essay of batch) {
+            await removeEssayText(essay);
+        }
+        essays += batch.length;
+        if (batch.length < retentionBatchSize) break;
+    }
+
+    let uploads = 0;
+    for (;;) {
+        const batch = await prisma.essayUpload.findMany({
+            where: {
+                createdAt: { lt: cutoff },
+                OR: [{ essayId: null }, { essayId: { isSet: false } }],
+            },
+            select: { id: true, imagePublicId: true },
+            take: retentionBatchSize,
+        });
+
+        if (batch.length > 0) {
+            await prisma.essayUpload.deleteMany({ where: { id: { in: batch.map(upload => upload.id) } } });
+            await destroyImages(batch.map(upload => upload.imagePublicId));
+        }
+        uploads += batch.length;
+        if (batch.length < retentionBatchSize) break;
+    }
+
+    // Jobs tão antigos já estão fora de qualquer período de cota
+    const { count: jobs } = await prisma.correctionJob.deleteMany({
+        where: { createdAt: { lt: cutoff }, status: { in: [JOB_STATUS.SAVED, JOB_STATUS.FAILED] } },
+    });
+
+    const { count: blockedSubmissions } = await prisma.blockedSubmission.updateMany({
+        where: { createdAt: { lt: cutoff }, essayText: { not: REMOVED_TEXT } },
+        data: { essayText: REMOVED_TEXT },
+    });
+
+    const result = { cutoff, essays, uploads, jobs, blockedSubmissions };
+    if (essays + uploads + jobs + blockedSubmissions > 0) {
+        logger.info('Política de retenção aplicada', result);
+    }
+    return result;
+};
@@ -0,0 +1,232 @@
+// src/services/progress.service.js
+
+import { prisma } from '../config/db.js';
+import { getFinalScores } from './essay.service.js';
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+import { ValidationError } from '../errors/index.js';
+
+/**
+ * Evolução do aluno ao longo do tempo: séries semanais, média móvel, tendência por
+ * competência e comparação com os outros usuários nos mesmos temas.
+ */
+
+// Janela da média móvel, em semanas com redações corrigidas
+const MOVING_AVERAGE_WEEKS = 4;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const parseDate = (value, label) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Data inválida em '${label}'.`);
+    }
+    return date;
+};
+
+/**
+ * Segunda-feira (UTC) da semana da data, como 'AAAA-MM-DD'.
+ */
+const weekStart = (date) => {
+    const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+    return monday.toISOString().slice(0, 10);
+};
+
+const average = (values) => (values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null);
+
+const round = (value, digits = 0) => (value === null ? null : Number(value.toFixed(digits)));
+
+/**
+ * Inclinação da reta de mínimos quadrados (pontos por semana). Null com menos de dois pontos
+ * ou com todos os pontos na mesma data.
+ */
+const linearSlope = (points) => {
+    if (points.length < 2) return null;
+
+    const meanX = average(points.map(point => point.x));
+    const meanY = average(points.map(point => point.y));
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach(({ x, y }) => {
+        numerator += (x - meanX) * (y - meanY);
+        denominator += (x - meanX) ** 2;
+    });
+
+    return denominator === 0 ? null : numerator / denominator;
+};
+
+/**
+ * Percentil da nota entre as notas dos outros: % abaixo mais metade dos empates.
+ */
+const percentileOf = (grade, others) => {
+    if (others.length === 0) return null;
+    const below = others.filter(other => other < grade).length;
+    const equal = others.filter(other => other === grade).length;
+    return Math.round(((below + equal / 2) / others.length) * 100);
+};
+
+const topicKey = (essay) => essay.topicId || `texto:${essay.topic}`;
+
+/**
+ * Um ponto por redação corrigida: a nota final da última correção e a data dessa correção.
+ */
+const toGradePoints = (essays) => essays
+    .map(essay => {
+        const correction = essay.corrections[0];
+        const scores = getFinalScores(correction);
+        if (!correction || scores?.total == null) return null;
+
+        return {
+            essayId: essay.id,
+            topicId: essay.topicId || null,
+            topic: essay.topic,
+            key: topicKey(essay),
+            date: correction.createdAt,
+            total: scores.total,
+            competencias: Object.fromEntries(COMPETENCY_KEYS.map(key => [key, scores.competencias?.[key]?.nota ?? null])),
+        };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.date - b.date);
+
+const buildWeeklySeries = (points) => {
+    const weeks = new Map();
+    points.forEach(point => {
+        const week = weekStart(point.date);
+        if (!weeks.has(week)) weeks.set(week, []);
+        weeks.get(week).push(point);
+    });
+
+    const series = [...weeks.entries()].map(([week, weekPoints]) => ({
+        week,
+        essays: weekPoints.length,
+        total: round(average(weekPoints.map(point => point.total))),
+        competencias: Object.fromEntries(COMPETENCY_KEYS.map(key => [
+            key,
+            round(average(weekPoints.map(point => point.competencias[key]).filter(score => score !== null))),
+        ])),
+    }));
+
+    return series.map((bucket, index) => ({
+        ...bucket,
+        movingAverage: round(average(
+            series.slice(Math.max(index - MOVING_AVERAGE_WEEKS + 1, 0), index + 1).map(item => item.total)
+        )),
+    }));
+};
+
+const buildTrends = (points) => {
+    const origin = points[0]?.date.getTime() ?? 0;
+    const toPoints = (selector) => points
+        .map(point => ({ x: (point.date.getTime() - origin) / WEEK_MS, y: selector(point) }))
+        .filter(point => point.y !== null);
+
+    return {
+        total: round(linearSlope(toPoints(point => point.total)), 2),
+        competencias: Object.fromEntries(COMPETENCY_KEYS.map(key => [
+            key,
+            round(linearSlope(toPoints(point => point.competencias[key])), 2),
+        ])),
+    };
+};
+
+/**
+ * Percentil da última nota do aluno em cada tema contra a última nota dos outros usuários no mesmo tema.
+ */
+const buildTopicPercentiles = async (userId, points) => {
+    const latestByTopic = new Map();
+    points.forEach(point => latestByTopic.set(point.key, point));
+    if (latestByTopic.size === 0) return [];
+
+    const userTopics = [...latestByTopic.values()];
+    const topicIds = userTopics.filter(point => point.topicId).map(point => point.topicId);
+    const freeTopics = userTopics.filter(point => !point.topicId).map(point => point.topic);
+
+    const others = await prisma.essay.findMany({
+        where: {
+            userId: { not: userId },
+            OR: [
+                ...(topicIds.length > 0 ? [{ topicId: { in: topicIds } }] : []),
+                ...(freeTopics.length > 0 ? [{ topic: { in: freeTopics } }] : []),
+            ],
+        },
+        // Notas importadas de outros usuários ficam fora da comparação
+        include: {
+            corrections: {
+                where: { OR: [{ importedAt: null }, { importedAt: { isSet: false } }] },
+                orderBy: { createdAt: 'desc' },
+                take: 1,
+            },
+        },
+    });
+
+    const gradesByTopic = new Map();
+    toGradePoints(others).forEach(point => {
+        if (!gradesByTopic.has(point.key)) gradesByTopic.set(point.key, []);
+        gradesByTopic.get(point.key).push(point.total);
+    });
+
+    return userTopics.map(point => {
+        const grades = gradesByTopic.get(point.key) || [];
+        return {
+            topicId: point.topicId,
+            topic: point.topic,
+            grade: point.total,
+            sampleSize: grades.length,
+            percentile: percentileOf(point.total, grades),
+        };
+    });
+};
+
+/**
+ * Análise de evolução do usuário no período (datas das correções entre 'from' e 'to').
+ */
+export const getProgressAnalytics = async (userId, { from, to } = {}) => {
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+    const dateFilter = fromDate || toDate ? { createdAt: { gte: fromDate, lte: toDate } } : {};
+
+    const essays = await prisma.essay.findMany({
+        where: {
+            userId,
+            ...(fromDate || toDate ? { corrections: { some: dateFilter } } : {}),
+        },
+        include: { corrections: { where: dateFilter, orderBy: { createdAt: 'desc' }, take: 1 } },
+    });
+
+    const points = toGradePoints(essays);
+    const trends = buildTrends(points);
+
+    const competencyAverages = Object.fromEntries(COMPETENCY_KEYS.map(key => [
+        key,
+        round(average(points.map(point => point.competencias[key]).filter(score => score !== null))),
+    ]));
+    const averaged = COMPETENCY_KEYS.filter(key => competencyAverages[key] !== null);
+    const weakestCompetency = averaged.length > 0
+        ? averaged.reduce((weakest, key) => (competencyAverages[key] < competencyAverages[weakest] ? key : weakest))
+        : null;
+
+    // Maior tendência de alta; sem nenhuma competência subindo, não há destaque
+    const improving = COMPETENCY_KEYS.filter(key => trends.competencias[key] > 0);
+    const mostImprovedCompetency = improving.length > 0
+        ? improving.reduce((best, key) => (trends.competencias[key] > trends.competencias[best] ? key : best))
+        : null;
+
+    return {
+        from: fromDate ?? null,
+        to: toDate ?? null,
+        gradedEssays: points.length,
+        averageGrade: round(average(points.map(point => point.total))),
+        highestGrade: points.length > 0 ? Math.max(...points.map(point => point.total)) : null,
+        competencyAverages,
+        weekly: buildWeeklySeries(points),
+        movingAverageWeeks: MOVING_AVERAGE_WEEKS,
+        trends,
+        weakestCompetency,
+        mostImprovedCompetency,
+        topicPercentiles: await buildTopicPercentiles(userId, points),
+    };
+};
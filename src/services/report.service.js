@@ -0,0 +1,312 @@
+// src/services/report.service.js
+
+import PDFDocument from 'pdfkit';
+import { prisma } from '../config/db.js';
+import { getEssayById, getEssayAnalytics, getFinalScores } from './essay.service.js';
+import { COMPETENCY_KEYS } from './correction-schema.service.js';
+import { UnprocessableError } from '../errors/index.js';
+
+export const COMPETENCY_TITLES = {
+    c1: 'Domínio da modalidade escrita formal da língua portuguesa',
+    c2: 'Compreensão da proposta e aplicação de conceitos das várias áreas do conhecimento',
+    c3: 'Seleção, organização e interpretação de informações e argumentos',
+    c4: 'Conhecimento dos mecanismos linguísticos para a argumentação',
+    c5: 'Proposta de intervenção para o problema abordado',
+};
+
+// Folha de redação do ENEM: 30 linhas numeradas
+const ANSWER_SHEET_LINES = 30;
+// Caracteres por linha da folha; o mesmo corte vale para o PDF e o HTML, para a numeração coincidir
+const CHARS_PER_LINE = 78;
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+
+/**
+ * Quebra o texto em linhas da folha de redação, respeitando os parágrafos.
+ * Palavras maiores que a linha são cortadas.
+ */
+export const wrapEssayLines = (text, maxChars = CHARS_PER_LINE) => {
+    const lines = [];
+
+    String(text || '').replace(/\r\n/g, '\n').split('\n').forEach(paragraph => {
+        const words = paragraph.trim().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return;
+
+        let line = '';
+        words.forEach(word => {
+            while (word.length > maxChars) {
+                if (line) {
+                    lines.push(line);
+                    line = '';
+                }
+                lines.push(word.slice(0, maxChars));
+                word = word.slice(maxChars);
+            }
+            if (!line) {
+                line = word;
+            } else if (line.length + 1 + word.length <= maxChars) {
+                line += ` ${word}`;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        if (line) lines.push(line);
+    });
+
+    return lines;
+};
+
+/**
+ * Monta os dados do relatório a partir da redação (formato de getEssayById): texto corrigido
+ * em linhas, notas finais com as análises da IA, feedback geral e o histórico do aluno.
+ */
+export const buildEssayReport = async (essay) => {
+    const correction = essay.corrections[0];
+    if (!correction) {
+        throw new UnprocessableError("A redação ainda não tem correção.", { code: 'ESSAY_NOT_GRADED' });
+    }
+
+    // Texto da versão que foi corrigida; 'essay.text' é sempre a última versão
+    const correctedVersion = essay.versions.find(version => version.correction?.id === correction.id);
+    const text = correctedVersion?.text ?? essay.text;
+
+    const notes = correction.notes || {};
+    const finalScores = getFinalScores(correction) || {};
+
+    const [student, analytics] = await Promise.all([
+        prisma.user.findUnique({ where: { id: essay.userId }, select: { name: true } }),
+        getEssayAnalytics(essay.userId),
+    ]);
+
+    return {
+        essayId: essay.id,
+        studentName: student?.name ?? '',
+        topic: essay.topic || 'Tema livre',
+        version: correctedVersion?.version ?? essay.currentVersion,
+        correctedAt: correction.createdAt,
+        lines: wrapEssayLines(text),
+        competencies: COMPETENCY_KEYS.map(key => ({
+            key,
+            title: COMPETENCY_TITLES[key],
+            score: finalScores.competencias?.[key]?.nota ?? null,
+            analysis: notes.competencias?.[key]?.analise ?? '',
+        })),
+        total: finalScores.total ?? null,
+        // A nota final difere da nota da IA quando houve revisão de professor
+        reviewed: Boolean(correction.resolvedScores),
+        generalFeedback: notes.feedbackGeral ?? '',
+        history: {
+            recentGrades: analytics.recentGrades,
+            averageGrade: analytics.averageGrade,
+            highestGrade: analytics.highestGrade,
+            totalEssays: analytics.totalEssays,
+        },
+    };
+};
+
+/**
+ * Relatório de uma redação do próprio usuário.
+ */
+export const getEssayReport = async (essayId, userId) => {
+    const essay = await getEssayById(essayId, userId);
+    return buildEssayReport(essay);
+};
+
+const sheetLines = (lines) => {
+    const padding = Math.max(ANSWER_SHEET_LINES - lines.length, 0);
+    return [...lines, ...Array(padding).fill('')];
+};
+
+const renderHistoryChartSvg = (grades) => {
+    if (grades.length === 0) return '<p class="muted">Sem histórico de notas.</p>';
+
+    const barWidth = 48;
+    const gap = 16;
+    const height = 120;
+    const width = grades.length * (barWidth + gap) + gap;
+
+    const bars = grades.map((grade, index) => {
+        const barHeight = Math.round((grade / 1000) * (height - 20));
+        const x = gap + index * (barWidth + gap);
+        const y = height - barHeight;
+        return `<rect x="${x}" y="${y}" width="${barWidth}" height="${barHeight}" fill="#2563eb"/>`
+            + `<text x="${x + barWidth / 2}" y="${y - 4}" text-anchor="middle" font-size="11">${grade}</text>`;
+    }).join('');
+
+    return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Últimas notas">${bars}</svg>`;
+};
+
+/**
+ * Relatório em HTML autocontido (estilos inline), próprio para anexar no corpo de e-mails.
+ */
+export const renderReportHtml = (report) => {
+    const lines = sheetLines(report.lines).map((line, index) => `
+        <tr><td class="line-number">${index + 1}</td><td class="line">${escapeHtml(line) || '&nbsp;'}</td></tr>`).join('');
+
+    const competencies = report.competencies.map(competency => `
+        <tr>
+            <td><strong>${competency.key.toUpperCase()}</strong> — ${escapeHtml(competency.title)}</td>
+            <td class="score">${competency.score ?? '—'}</td>
+        </tr>
+        <tr><td colspan="2" class="analysis">${escapeHtml(competency.analysis)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Relatório de correção — ${escapeHtml(report.topic)}</title>
+<style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #111827; max-width: 760px; margin: 24px auto; }
+    h1 { font-size: 22px; margin-bottom: 4px; }
+    h2 { font-size: 16px; margin-top: 28px; border-bottom: 1px solid #d1d5db; padding-bottom: 4px; }
+    .muted { color: #6b7280; font-size: 13px; }
+    table { border-collapse: collapse; width: 100%; }
+    .sheet td { border-bottom: 1px solid #e5e7eb; font-size: 13px; padding: 3px 6px; }
+    .line-number { color: #9ca3af; width: 28px; text-align: right; }
+    .line { font-family: 'Courier New', monospace; white-space: pre; }
+    .competencies td { padding: 6px; font-size: 13px; vertical-align: top; }
+    .score { text-align: right; font-weight: bold; width: 60px; }
+    .analysis { color: #374151; border-bottom: 1px solid #e5e7eb; }
+    .total { font-size: 18px; font-weight: bold; text-align: right; margin-top: 8px; }
+</style>
+</head>
+<body>
+    <h1>Relatório de correção</h1>
+    <p class="muted">${escapeHtml(report.studentName)} · ${escapeHtml(report.topic)} · versão ${report.version} · corrigida em ${formatDate(report.correctedAt)}</p>
+
+    <h2>Redação</h2>
+    <table class="sheet">${lines}
+    </table>
+
+    <h2>Competências</h2>
+    <table class="competencies">${competencies}
+    </table>
+    <p class="total">Nota final: ${report.total ?? '—'} / 1000</p>
+    ${report.reviewed ? '<p class="muted">Notas revisadas por professor.</p>' : ''}
+
+    <h2>Comentário geral</h2>
+    <p>${escapeHtml(report.generalFeedback)}</p>
+
+    <h2>Histórico</h2>
+    ${renderHistoryChartSvg(report.history.recentGrades)}
+    <p class="muted">${report.history.totalEssays} redação(ões) corrigida(s) · média ${report.history.averageGrade} · maior nota ${report.history.highestGrade}</p>
+</body>
+</html>
+`;
+};
+
+const PDF_COLORS = {
+    text: '#111827',
+    muted: '#6b7280',
+    rule: '#e5e7eb',
+    bar: '#2563eb',
+};
+
+const pdfSectionTitle = (doc, title) => {
+    doc.moveDown(1.2);
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 60) doc.addPage();
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(PDF_COLORS.text).text(title);
+    doc.moveDown(0.4);
+};
+
+const drawAnswerSheet = (doc, lines) => {
+    const lineHeight = 17;
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    sheetLines(lines).forEach((line, index) => {
+        if (doc.y + lineHeight > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+        const y = doc.y;
+        doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+            .text(String(index + 1), left, y + 4, { width: 20, align: 'right', lineBreak: false });
+        doc.font('Courier').fontSize(9).fillColor(PDF_COLORS.text)
+            .text(line, left + 28, y + 4, { lineBreak: false });
+        doc.moveTo(left + 24, y + lineHeight).lineTo(right, y + lineHeight)
+            .lineWidth(0.5).strokeColor(PDF_COLORS.rule).stroke();
+
+        doc.x = left;
+        doc.y = y + lineHeight;
+    });
+};
+
+const drawHistoryChart = (doc, grades) => {
+    const left = doc.page.margins.left;
+    if (grades.length === 0) {
+        doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.muted).text('Sem histórico de notas.');
+        return;
+    }
+
+    const chartHeight = 90;
+    const barWidth = 40;
+    const gap = 14;
+    if (doc.y + chartHeight + 20 > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    const base = doc.y + chartHeight + 12;
+    grades.forEach((grade, index) => {
+        const barHeight = (grade / 1000) * chartHeight;
+        const x = left + gap + index * (barWidth + gap);
+        doc.rect(x, base - barHeight, barWidth, barHeight).fill(PDF_COLORS.bar);
+        doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.text)
+            .text(String(grade), x, base - barHeight - 10, { width: barWidth, align: 'center', lineBreak: false });
+    });
+
+    doc.x = left;
+    doc.y = base + 6;
+};
+
+/**
+ * Gera o relatório em PDF (A4) e devolve o conteúdo como Buffer.
+ */
+export const renderReportPdf = (report) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: `Relatório de correção — ${report.topic}`, Author: report.studentName },
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).fillColor(PDF_COLORS.text).text('Relatório de correção');
+    doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.muted)
+        .text(`${report.studentName} · ${report.topic} · versão ${report.version} · corrigida em ${formatDate(report.correctedAt)}`);
+
+    pdfSectionTitle(doc, 'Redação');
+    drawAnswerSheet(doc, report.lines);
+
+    pdfSectionTitle(doc, 'Competências');
+    report.competencies.forEach(competency => {
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(PDF_COLORS.text)
+            .text(`${competency.key.toUpperCase()} — ${competency.title}: ${competency.score ?? '—'} / 200`);
+        if (competency.analysis) {
+            doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.text).text(competency.analysis, { align: 'justify' });
+        }
+        doc.moveDown(0.6);
+    });
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(PDF_COLORS.text)
+        .text(`Nota final: ${report.total ?? '—'} / 1000`, { align: 'right' });
+    if (report.reviewed) {
+        doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.muted).text('Notas revisadas por professor.', { align: 'right' });
+    }
+
+    pdfSectionTitle(doc, 'Comentário geral');
+    doc.font('Helvetica').fontSize(10).fillColor(PDF_COLORS.text).text(report.generalFeedback, { align: 'justify' });
+
+    pdfSectionTitle(doc, 'Histórico');
+    drawHistoryChart(doc, report.history.recentGrades);
+    doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.muted)
+        .text(`${report.history.totalEssays} redação(ões) corrigida(s) · média ${report.history.averageGrade} · maior nota ${report.history.highestGrade}`);
+
+    doc.end();
+});
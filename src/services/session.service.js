@@ -0,0 +1,202 @@
+// src/services/session.service.js
+
+import { createHash, randomBytes } from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from '../config/db.js';
+import { UnauthorizedError, NotFoundError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+export const ACCESS_TOKEN_TTL_MINUTES = Number(process.env.ACCESS_TOKEN_TTL_MINUTES || 15);
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Hashes de refresh tokens já rotacionados guardados por sessão, para detectar reuso
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+const activeSessionFilter = () => ({
+    expiresAt: { gt: new Date() },
+    OR: [{ revokedAt: null }, { revokedAt: { isSet: false } }],
+});
+
+const hashToken = (secret) => createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => randomBytes(32).toString('base64url');
+
+const refreshExpiresAt = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Access token curto, preso à sessão ('sid') para que a revogação valha na hora.
+ */
+const signAccessToken = (userId, sessionId) => jwt.sign(
+    { id: userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60 },
+);
+
+/**
+ * O refresh token é '<id da sessão>.<segredo>'; só o hash do segredo fica no banco.
+ */
+const issueTokens = (session, secret) => ({
+    sessionId: session.id,
+    accessToken: signAccessToken(session.userId, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    refreshTokenExpiresAt: session.expiresAt,
+});
+
+const isObjectId = (id) => /^[a-f0-9]{24}$/.test(id);
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!isObjectId(sessionId) || !secret) return null;
+    return { sessionId, secret };
+};
+
+/**
+ * Abre uma sessão (um dispositivo) para o usuário e devolve o par de tokens.
+ */
+export const createSession = async (userId, { userAgent, ip } = {}) => {
+    const secret = newSecret();
+    const session = await prisma.session.create({
+        data: {
+            userId,
+            tokenHash: hashToken(secret),
+            userAgent,
+            ip,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiresAt(),
+        },
+    });
+
+    return issueTokens(session, secret);
+};
+
+/**
+ * Troca um refresh token válido por um novo par de tokens. Apresentar de novo um refresh token
+ * já rotacionado indica roubo: a sessão inteira é revogada.
+ */
+export const rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw new UnauthorizedError("Invalid refresh token.", { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const session = await prisma.session.findFirst({
+        where: { id: parsed.sessionId, ...activeSessionFilter() },
+    });
+    if (!session) {
+        throw new UnauthorizedError("Invalid refresh token.", { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (presentedHash !== session.tokenHash) {
+        if (session.previousTokenHashes.includes(presentedHash)) {
+            logger.warn('Reuso de refresh token detectado. Sessão revogada.', { sessionId: session.id, userId: session.userId });
+            await prisma.session.update({
+                where: { id: session.id },
+                data: { revokedAt: new Date(), revokedReason: 'reuse_detected' },
+            });
+            throw new UnauthorizedError("Refresh token reuse detected. Please log in again.", { code: 'REFRESH_TOKEN_REUSED' });
+        }
+        throw new UnauthorizedError("Invalid refresh token.", { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    const secret = newSecret();
+    const expiresAt = refreshExpiresAt();
+
+    // Condicionado ao hash lido: duas renovações simultâneas com o mesmo token não geram dois tokens válidos
+    const { count } = await prisma.session.updateMany({
+        where: { id: session.id, tokenHash: session.tokenHash },
+        data: {
+            tokenHash: hashToken(secret),
+            previousTokenHashes: [...session.previousTokenHashes, session.tokenHash].slice(-MAX_PREVIOUS_TOKEN_HASHES),
+            lastUsedAt: new Date(),
+            expiresAt,
+            userAgent,
+            ip,
+        },
+    });
+    if (count === 0) {
+        throw new UnauthorizedError("Invalid refresh token.", { code: 'INVALID_REFRESH_TOKEN' });
+    }
+
+    return issueTokens({ ...session, expiresAt }, secret);
+};
+
+/**
+ * Sessão ativa (não revogada nem expirada) do usuário, ou null.
+ */
+export const findActiveSession = async (sessionId, userId) => {
+    if (!isObjectId(sessionId)) return null;
+
+    return prisma.session.findFirst({
+        where: { id: sessionId, userId, ...activeSessionFilter() },
+    });
+};
+
+/**
+ * Revoga a sessão do refresh token apresentado (logout). Retorna false se o token não for o atual de uma sessão ativa.
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const { count } = await prisma.session.updateMany({
+        where: { id: parsed.sessionId, tokenHash: hashToken(parsed.secret), ...activeSessionFilter() },
+        data: { revokedAt: new Date(), revokedReason: 'logout' },
+    });
+
+    return count > 0;
+};
+
+/**
+ * Revoga uma sessão do usuário (logout de um dispositivo).
+ */
+export const revokeSession = async (sessionId, userId, reason = 'logout') => {
+    if (!isObjectId(sessionId)) {
+        throw new NotFoundError("Session not found.", { code: 'SESSION_NOT_FOUND' });
+    }
+
+    const { count } = await prisma.session.updateMany({
+        where: { id: sessionId, userId, ...activeSessionFilter() },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    if (count === 0) {
+        throw new NotFoundError("Session not found.", { code: 'SESSION_NOT_FOUND' });
+    }
+};
+
+/**
+ * Revoga todas as sessões ativas do usuário. Retorna quantas foram revogadas.
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+    const { count } = await prisma.session.updateMany({
+        where: { userId, ...activeSessionFilter() },
+        data: { revokedAt: new Date(), revokedReason: reason },
+    });
+
+    return count;
+};
+
+/**
+ * Sessões ativas do usuário, marcando a da requisição atual.
+ */
+export const listSessions = async (userId, currentSessionId) => {
+    const sessions = await prisma.session.findMany({
+        where: { userId, ...activeSessionFilter() },
+        orderBy: { lastUsedAt: 'desc' },
+    });
+
+    return sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.id === currentSessionId,
+    }));
+};
+
+export const countActiveSessions = (userId) => prisma.session.count({
+    where: { userId, ...activeSessionFilter() },
+});
@@ -0,0 +1,140 @@
+// src/services/topic.service.js
+
+import { prisma } from '../config/db.js';
+import { ValidationError, ForbiddenError, NotFoundError, ConflictError } from '../errors/index.js';
+
+/**
+ * Normaliza a lista de textos motivadores recebida na API.
+ */
+const parseMotivationalTexts = (motivationalTexts) => {
+    if (motivationalTexts === undefined) return undefined;
+
+    if (!Array.isArray(motivationalTexts)) {
+        throw new ValidationError("Os textos motivadores devem ser uma lista.");
+    }
+
+    return motivationalTexts.map((text, index) => {
+        if (!text || typeof text.content !== 'string' || text.content.trim().length === 0) {
+            throw new ValidationError(`O texto motivador ${index + 1} está sem conteúdo (campo 'content' obrigatório).`);
+        }
+        return {
+            title: text.title || `Texto ${index + 1}`,
+            content: text.content.trim(),
+            source: text.source || null,
+        };
+    });
+};
+
+const parseYear = (year) => {
+    if (year === undefined || year === null || year === '') return undefined;
+    const parsed = Number(year);
+    if (!Number.isInteger(parsed) || parsed < 1998 || parsed > 2100) {
+        throw new ValidationError("O ano do tema é inválido.");
+    }
+    return parsed;
+};
+
+/**
+ * Lista os temas do banco, com filtro opcional por ano e busca no título.
+ */
+export const listTopics = async ({ year, search } = {}) => {
+    return prisma.topic.findMany({
+        where: {
+            ...(year && { year: parseYear(year) }),
+            ...(search && { title: { contains: search, mode: 'insensitive' } }),
+        },
+        select: { id: true, title: true, year: true, isOfficial: true, createdAt: true },
+        orderBy: [{ year: 'desc' }, { title: 'asc' }],
+    });
+};
+
+/**
+ * Busca um tema com os textos motivadores.
+ */
+export const getTopicById = async (topicId) => {
+    const topic = await prisma.topic.findUnique({ where: { id: topicId } });
+
+    if (!topic) {
+        throw new NotFoundError("Tema não encontrado.", { code: 'TOPIC_NOT_FOUND' });
+    }
+
+    return topic;
+};
+
+/**
+ * Cria um tema no banco.
+ */
+export const createTopic = async (userId, { title, year, description, motivationalTexts }) => {
+    if (!title || title.trim().length === 0) {
+        throw new ValidationError("O título do tema é obrigatório.");
+    }
+
+    const existing = await prisma.topic.findUnique({ where: { title: title.trim() } });
+    if (existing) {
+        throw new ConflictError("Já existe um tema com este título.", { code: 'TOPIC_TITLE_TAKEN' });
+    }
+
+    return prisma.topic.create({
+        data: {
+            title: title.trim(),
+            year: parseYear(year),
+            description,
+            motivationalTexts: parseMotivationalTexts(motivationalTexts) || [],
+            createdById: userId,
+        },
+    });
+};
+
+/**
+ * Temas oficiais do ENEM (seed) não podem ser alterados pela API; os demais, só por quem
+ * os cadastrou ou por um administrador.
+ */
+const assertCanModifyTopic = (topic, user) => {
+    if (topic.isOfficial) {
+        throw new ForbiddenError("Temas oficiais do ENEM não podem ser alterados.", { code: 'OFFICIAL_TOPIC' });
+    }
+    if (topic.createdById !== user.id && user.role !== 'admin') {
+        throw new ForbiddenError("Apenas quem cadastrou o tema pode alterá-lo.", { code: 'NOT_TOPIC_OWNER' });
+    }
+};
+
+/**
+ * Atualiza um tema do usuário (ou qualquer tema não oficial, para administradores).
+ */
+export const updateTopic = async (user, topicId, { title, year, description, motivationalTexts }) => {
+    const topic = await getTopicById(topicId);
+    assertCanModifyTopic(topic, user);
+
+    if (title !== undefined && title.trim().length === 0) {
+        throw new ValidationError("O título do tema é obrigatório.");
+    }
+
+    return prisma.topic.update({
+        where: { id: topicId },
+        data: {
+            title: title?.trim(),
+            year: parseYear(year),
+            description,
+            motivationalTexts: parseMotivationalTexts(motivationalTexts),
+        },
+    });
+};
+
+/**
+ * Remove um tema do usuário que ainda não foi usado em nenhuma redação ou atividade.
+ */
+export const deleteTopic = async (user, topicId) => {
+    const topic = await getTopicById(topicId);
+    assertCanModifyTopic(topic, user);
+
+    const [essays, assignments] = await Promise.all([
+        prisma.essay.count({ where: { topicId } }),
+        prisma.assignment.count({ where: { topicId } }),
+    ]);
+
+    if (essays > 0 || assignments > 0) {
+        throw new ConflictError("Este tema já está em uso e não pode ser removido.", { code: 'TOPIC_IN_USE' });
+    }
+
+    await prisma.topic.delete({ where: { id: topicId } });
+};
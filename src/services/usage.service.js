@@ -0,0 +1,186 @@
+// src/services/usage.service.js
+
+import { prisma } from '../config/db.js';
+import { ValidationError } from '../errors/index.js';
+import { logger } from '../logger/index.js';
+
+export const USAGE_PERIODS = ['day', 'week', 'month'];
+
+// Resultado de uma chamada ao modelo que devolveu uma resposta aproveitável
+export const CALL_OK = 'ok';
+
+const emptyTotals = () => ({
+    corrections: 0,
+    cachedCorrections: 0,
+    // Correções anteriores à contabilidade de uso (sem 'usage' salvo)
+    untrackedCorrections: 0,
+    calls: 0,
+    // Chamadas cuja resposta não virou correção (erro da API, bloqueio, resposta vazia ou sem JSON)
+    failedCalls: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0,
+});
+
+/**
+ * Chave do período de uma data em UTC: 'AAAA-MM-DD' (dia), segunda-feira da semana ou 'AAAA-MM' (mês).
+ */
+const periodKey = (date, period) => {
+    if (period === 'month') return date.toISOString().slice(0, 7);
+
+    if (period === 'week') {
+        const monday = new Date(date);
+        monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+        return monday.toISOString().slice(0, 10);
+    }
+
+    return date.toISOString().slice(0, 10);
+};
+
+const parseDate = (value, label) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ValidationError(`Data inválida em '${label}'.`);
+    }
+    return date;
+};
+
+const addUsage = (totals, usage) => {
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.totalTokens += usage.totalTokens || 0;
+    totals.estimatedCost += usage.estimatedCost || 0;
+};
+
+const addCorrection = (totals, correction) => {
+    totals.corrections += 1;
+    if (correction.cachedFromId) totals.cachedCorrections += 1;
+
+    if (!correction.usage) {
+        totals.untrackedCorrections += 1;
+        return;
+    }
+
+    // O consumo das correções novas vem das chamadas (ModelCall); só as antigas somam o da correção
+    if (correction.usage.callsRecorded) return;
+    totals.calls += correction.usage.calls || 0;
+    addUsage(totals, correction.usage);
+};
+
+const addCall = (totals, call) => {
+    totals.calls += 1;
+    if (call.outcome !== CALL_OK) totals.failedCalls += 1;
+    addUsage(totals, call);
+};
+
+const roundCost = (totals) => ({ ...totals, estimatedCost: Number(totals.estimatedCost.toFixed(6)) });
+
+/**
+ * Registra uma chamada ao modelo. Falha ao gravar vai para o log sem interromper a correção.
+ */
+export const recordModelCall = async ({ userId, provider, model, outcome, usage }) => {
+    try {
+        await prisma.modelCall.create({
+            data: {
+                userId,
+                provider,
+                model,
+                outcome,
+                promptTokens: usage?.promptTokens || 0,
+                completionTokens: usage?.completionTokens || 0,
+                totalTokens: usage?.totalTokens || 0,
+                estimatedCost: usage?.estimatedCost || 0,
+            },
+        });
+    } catch (error) {
+        logger.error('Erro ao registrar o consumo da chamada ao modelo', { userId, provider, model, error });
+    }
+};
+
+/**
+ * Consumo do usuário (chamadas ao modelo, inclusive as que falharam, tokens e custo estimado
+ * em USD), no total e agrupado por período e por modelo.
+ */
+export const getUsageReport = async (userId, { period = 'month', from, to } = {}) => {
+    if (!USAGE_PERIODS.includes(period)) {
+        throw new ValidationError(`Período inválido. Use um de: ${USAGE_PERIODS.join(', ')}.`);
+    }
+
+    const fromDate = parseDate(from, 'from');
+    const toDate = parseDate(to, 'to');
+
+    const createdAt = fromDate || toDate ? { createdAt: { gte: fromDate, lte: toDate } } : {};
+
+    const [corrections, calls] = await Promise.all([
+        prisma.correction.findMany({
+            where: {
+                essay: { userId },
+                // Correções importadas de outro arquivo não geraram chamadas ao modelo aqui
+                OR: [{ importedAt: null }, { importedAt: { isSet: false } }],
+                ...createdAt,
+            },
+            select: { createdAt: true, provider: true, model: true, usage: true, cachedFromId: true },
+            orderBy: { createdAt: 'asc' },
+        }),
+        prisma.modelCall.findMany({
+            where: { userId, ...createdAt },
+            select: {
+                createdAt: true,
+                provider: true,
+                model: true,
+                outcome: true,
+                promptTokens: true,
+                completionTokens: true,
+                totalTokens: true,
+                estimatedCost: true,
+            },
+            orderBy: { createdAt: 'asc' },
+        }),
+    ]);
+
+    const totals = emptyTotals();
+    const byPeriod = new Map();
+    const byModel = new Map();
+
+    const periodTotals = (date) => {
+        const key = periodKey(date, period);
+        if (!byPeriod.has(key)) byPeriod.set(key, emptyTotals());
+        return byPeriod.get(key);
+    };
+    const modelTotals = ({ provider, model }) => {
+        const modelKey = `${provider || 'desconhecido'}:${model || '-'}`;
+        if (!byModel.has(modelKey)) {
+            byModel.set(modelKey, { provider, model, ...emptyTotals() });
+        }
+        return byModel.get(modelKey);
+    };
+
+    corrections.forEach(correction => {
+        addCorrection(totals, correction);
+        addCorrection(periodTotals(correction.createdAt), correction);
+
+        // Correções do cache não chamam o modelo e ficam fora da divisão por modelo
+        if (correction.cachedFromId) return;
+        addCorrection(modelTotals(correction), correction);
+    });
+
+    calls.forEach(call => {
+        addCall(totals, call);
+        addCall(periodTotals(call.createdAt), call);
+        addCall(modelTotals(call), call);
+    });
+
+    return {
+        userId,
+        period,
+        from: fromDate ?? null,
+        to: toDate ?? null,
+        currency: 'USD',
+        totals: roundCost(totals),
+        byPeriod: [...byPeriod.entries()].map(([key, periodTotals]) => ({ period: key, ...roundCost(periodTotals) })),
+        byModel: [...byModel.values()].map(roundCost),
+    };
+};
@@ -0,0 +1,95 @@
+// src/validators/admin.validators.js
+
+import { objectIdParam, optionalObjectId, optionalDate, correctionProvider, consensusOptions } from './common.validators.js';
+import { PLANS } from '../config/plans.js';
+import { AUDIT_ACTIONS } from '../services/audit.service.js';
+
+const ROLES = ['student', 'teacher', 'admin'];
+
+const paginationQuery = {
+    page: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1 }, errorMessage: "'page' deve ser um inteiro a partir de 1." },
+    },
+    pageSize: {
+        in: ['query'],
+        optional: true,
+        isInt: { options: { min: 1, max: 100 }, errorMessage: "'pageSize' deve ser um inteiro entre 1 e 100." },
+    },
+};
+
+export const userIdSchema = {
+    userId: objectIdParam('Id do usuário'),
+};
+
+export const setPlanSchema = {
+    ...userIdSchema,
+    plan: {
+        in: ['body'],
+        isIn: {
+            options: [Object.keys(PLANS)],
+            errorMessage: `Plano inválido. Use um de: ${Object.keys(PLANS).join(', ')}.`,
+        },
+    },
+};
+
+export const searchUsersSchema = {
+    ...paginationQuery,
+    q: {
+        in: ['query'],
+        optional: true,
+        isString: { errorMessage: "'q' deve ser um texto." },
+        isLength: { options: { max: 200 }, errorMessage: "'q' deve ter no máximo 200 caracteres." },
+    },
+    role: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [ROLES], errorMessage: `Papel inválido. Use um de: ${ROLES.join(', ')}.` },
+    },
+};
+
+export const userEssaysSchema = {
+    ...userIdSchema,
+    ...paginationQuery,
+};
+
+export const essayIdSchema = {
+    essayId: objectIdParam('Id da redação'),
+};
+
+export const regradeSchema = {
+    correctionId: objectIdParam('Id da correção'),
+    provider: correctionProvider,
+    consensus: consensusOptions,
+};
+
+export const blockedSubmissionsSchema = {
+    ...paginationQuery,
+    userId: optionalObjectId('Id do usuário', 'query'),
+    provider: {
+        in: ['query'],
+        optional: true,
+        isString: { errorMessage: "'provider' deve ser um texto." },
+    },
+};
+
+export const auditLogSchema = {
+    ...paginationQuery,
+    actorId: optionalObjectId('Id do administrador', 'query'),
+    targetId: {
+        in: ['query'],
+        optional: true,
+        isString: { errorMessage: "'targetId' deve ser um texto." },
+    },
+    action: {
+        in: ['query'],
+        optional: true,
+        isIn: {
+            options: [Object.values(AUDIT_ACTIONS)],
+            errorMessage: `Ação inválida. Use uma de: ${Object.values(AUDIT_ACTIONS).join(', ')}.`,
+        },
+    },
+    from: optionalDate("'from'", 'query'),
+    to: optionalDate("'to'", 'query'),
+};
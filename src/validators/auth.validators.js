@@ -0,0 +1,61 @@
+// src/validators/auth.validators.js
+
+import { objectIdParam, requiredText } from './common.validators.js';
+
+const SELF_ASSIGNABLE_ROLES = ['student', 'teacher'];
+
+const emailField = {
+    in: ['body'],
+    isEmail: { errorMessage: "A valid email is required." },
+};
+
+export const registerSchema = {
+    name: requiredText("Name is required."),
+    email: emailField,
+    password: {
+        in: ['body'],
+        isString: { errorMessage: "Password is required.", bail: true },
+        isLength: { options: { min: 6 }, errorMessage: "Password must have at least 6 characters." },
+    },
+    // Papéis que podem ser escolhidos no cadastro; admin só é atribuído direto no banco
+    role: {
+        in: ['body'],
+        optional: true,
+        isIn: { options: [SELF_ASSIGNABLE_ROLES], errorMessage: "Invalid role." },
+    },
+};
+
+export const loginSchema = {
+    email: requiredText("Email is required."),
+    password: requiredText("Password is required."),
+};
+
+export const refreshTokenSchema = {
+    refreshToken: {
+        in: ['body'],
+        optional: true,
+        isString: { errorMessage: "Invalid refresh token." },
+    },
+};
+
+export const forgotPasswordSchema = {
+    email: emailField,
+};
+
+export const resetPasswordSchema = {
+    token: requiredText("Token is required."),
+    password: registerSchema.password,
+};
+
+export const verifyEmailSchema = {
+    token: requiredText("Token is required."),
+};
+
+export const sessionIdSchema = {
+    sessionId: objectIdParam('Id da sessão'),
+};
+
+// Excluir a conta exige a senha atual, mesmo com sessão válida
+export const deleteAccountSchema = {
+    password: requiredText("Password is required."),
+};
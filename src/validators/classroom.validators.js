@@ -0,0 +1,102 @@
+// src/validators/classroom.validators.js
+
+import {
+    objectIdParam,
+    optionalObjectId,
+    requiredText,
+    optionalText,
+    correctionProvider,
+    consensusOptions,
+} from './common.validators.js';
+import { COMPETENCY_KEYS, VALID_SCORES } from '../services/correction-schema.service.js';
+
+export const classroomIdSchema = {
+    classroomId: objectIdParam('Id da turma'),
+};
+
+export const createClassroomSchema = {
+    name: requiredText("O nome da turma é obrigatório."),
+};
+
+export const joinClassroomSchema = {
+    inviteCode: requiredText("O código de convite é obrigatório."),
+};
+
+export const createAssignmentSchema = {
+    ...classroomIdSchema,
+    title: requiredText("O título da atividade é obrigatório."),
+    // Tema livre ou tema do banco: um dos dois é obrigatório
+    topic: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (value !== undefined && typeof value !== 'string') return false;
+                return Boolean(value?.trim()) || Boolean(req.body.topicId);
+            },
+            errorMessage: "Informe o tema da atividade ('topic') ou um tema do banco ('topicId').",
+        },
+    },
+    topicId: optionalObjectId('Id do tema'),
+    instructions: optionalText('As instruções'),
+    dueAt: {
+        in: ['body'],
+        isISO8601: { errorMessage: "O prazo da atividade ('dueAt') deve ser uma data ISO 8601." },
+    },
+};
+
+export const assignmentIdSchema = {
+    ...classroomIdSchema,
+    assignmentId: objectIdParam('Id da atividade'),
+};
+
+export const submitAssignmentSchema = {
+    ...assignmentIdSchema,
+    essayText: requiredText("O texto da redação é obrigatório."),
+    uploadId: optionalObjectId('Id da imagem'),
+    provider: correctionProvider,
+    consensus: consensusOptions,
+};
+
+export const classroomEssaySchema = {
+    ...classroomIdSchema,
+    essayId: objectIdParam('Id da redação'),
+};
+
+export const classroomAnalyticsSchema = {
+    ...classroomIdSchema,
+    assignmentId: optionalObjectId('Id da atividade', 'query'),
+};
+
+export const flaggedEssaysSchema = {
+    ...classroomIdSchema,
+    assignmentId: optionalObjectId('Id da atividade', 'query'),
+};
+
+export const correctionReviewSchema = {
+    ...classroomIdSchema,
+    correctionId: objectIdParam('Id da correção'),
+    // Competências ausentes mantêm a nota da IA
+    competencias: {
+        in: ['body'],
+        optional: true,
+        isObject: { errorMessage: "'competencias' deve ser um objeto com c1 a c5." },
+    },
+    ...Object.fromEntries(COMPETENCY_KEYS.map(key => [`competencias.${key}.nota`, {
+        in: ['body'],
+        optional: true,
+        custom: {
+            options: (value) => VALID_SCORES.includes(value),
+            errorMessage: `Nota inválida para ${key}: use um de ${VALID_SCORES.join(', ')}.`,
+        },
+    }])),
+    comment: optionalText('O comentário'),
+};
+
+export const classroomExportSchema = {
+    ...classroomIdSchema,
+    format: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['json', 'csv']], errorMessage: "Formato inválido. Use um de: json, csv." },
+    },
+};
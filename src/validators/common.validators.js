@@ -0,0 +1,73 @@
+// src/validators/common.validators.js
+
+import { listCorrectionProviders } from '../providers/index.js';
+
+/**
+ * Parâmetro de rota com um ObjectId do MongoDB (24 caracteres hexadecimais).
+ */
+export const objectIdParam = (label) => ({
+    in: ['params'],
+    isMongoId: { errorMessage: `${label} inválido.` },
+});
+
+export const optionalObjectId = (label, location = 'body') => ({
+    in: [location],
+    optional: true,
+    isMongoId: { errorMessage: `${label} inválido.` },
+});
+
+export const requiredText = (message, location = 'body') => ({
+    in: [location],
+    isString: { errorMessage: message, bail: true },
+    custom: {
+        options: (value) => value.trim().length > 0,
+        errorMessage: message,
+    },
+});
+
+export const optionalText = (label, location = 'body') => ({
+    in: [location],
+    optional: { options: { values: 'null' } },
+    isString: { errorMessage: `${label} deve ser um texto.` },
+});
+
+export const optionalDate = (label, location = 'body') => ({
+    in: [location],
+    optional: true,
+    isISO8601: { options: { strict: true }, errorMessage: `${label} deve ser uma data ISO 8601.` },
+    // Formatos ISO que o Date não lê (semana, dia do ano) virariam Invalid Date na consulta
+    custom: {
+        options: (value) => !Number.isNaN(new Date(value).getTime()),
+        errorMessage: `${label} deve ser uma data válida.`,
+    },
+});
+
+export const correctionProvider = {
+    in: ['body'],
+    optional: true,
+    custom: {
+        options: (value) => listCorrectionProviders().includes(value),
+        errorMessage: () => `Provedor de correção desconhecido. Use um de: ${listCorrectionProviders().join(', ')}.`,
+    },
+};
+
+/**
+ * Modo consenso: true/false ou { samples, providers }. Os limites de amostras ficam no serviço.
+ */
+export const consensusOptions = {
+    in: ['body'],
+    optional: true,
+    custom: {
+        options: (value) => {
+            if (typeof value === 'boolean') return true;
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+            if (value.samples !== undefined && !Number.isInteger(value.samples)) return false;
+            if (value.providers !== undefined) {
+                return Array.isArray(value.providers)
+                    && value.providers.every(name => listCorrectionProviders().includes(name));
+            }
+            return true;
+        },
+        errorMessage: "'consensus' deve ser true/false ou { samples: inteiro, providers: [provedores válidos] }.",
+    },
+};
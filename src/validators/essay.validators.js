@@ -0,0 +1,72 @@
+// src/validators/essay.validators.js
+
+import {
+    objectIdParam,
+    optionalObjectId,
+    requiredText,
+    optionalDate,
+    correctionProvider,
+    consensusOptions,
+} from './common.validators.js';
+
+export const essayIdSchema = {
+    essayId: objectIdParam('Id da redação'),
+};
+
+export const jobIdSchema = {
+    jobId: objectIdParam('Id do job'),
+};
+
+export const submitEssaySchema = {
+    essayText: requiredText("O texto da redação é obrigatório."),
+    // Tema livre ou tema do banco: um dos dois é obrigatório
+    essayTopic: {
+        in: ['body'],
+        custom: {
+            options: (value, { req }) => {
+                if (value !== undefined && typeof value !== 'string') return false;
+                return Boolean(value?.trim()) || Boolean(req.body.topicId);
+            },
+            errorMessage: "Informe o tema da redação ('essayTopic') ou um tema do banco ('topicId').",
+        },
+    },
+    topicId: optionalObjectId('Id do tema'),
+    uploadId: optionalObjectId('Id da imagem'),
+    provider: correctionProvider,
+    consensus: consensusOptions,
+    regrade: {
+        in: ['body'],
+        optional: true,
+        isBoolean: { options: { strict: true }, errorMessage: "'regrade' deve ser true ou false." },
+    },
+};
+
+export const createRevisionSchema = {
+    ...essayIdSchema,
+    essayText: requiredText("O texto da nova versão é obrigatório."),
+    provider: correctionProvider,
+    consensus: consensusOptions,
+};
+
+export const usageQuerySchema = {
+    period: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['day', 'week', 'month']], errorMessage: "Período inválido. Use um de: day, week, month." },
+    },
+    from: optionalDate("'from'", 'query'),
+    to: optionalDate("'to'", 'query'),
+};
+
+export const exportQuerySchema = {
+    format: {
+        in: ['query'],
+        optional: true,
+        isIn: { options: [['json', 'csv']], errorMessage: "Formato inválido. Use um de: json, csv." },
+    },
+};
+
+export const progressQuerySchema = {
+    from: optionalDate("'from'", 'query'),
+    to: optionalDate("'to'", 'query'),
+};
@@ -0,0 +1,41 @@
+// src/validators/topic.validators.js
+
+import { objectIdParam, requiredText, optionalText } from './common.validators.js';
+
+const yearField = (location) => ({
+    in: [location],
+    optional: { options: { values: 'falsy' } },
+    isInt: { options: { min: 1998, max: 2100 }, errorMessage: "O ano do tema é inválido." },
+});
+
+const motivationalTextsField = {
+    in: ['body'],
+    optional: true,
+    isArray: { errorMessage: "Os textos motivadores devem ser uma lista.", bail: true },
+};
+
+export const topicIdSchema = {
+    topicId: objectIdParam('Id do tema'),
+};
+
+export const listTopicsSchema = {
+    year: yearField('query'),
+    search: optionalText('A busca', 'query'),
+};
+
+export const createTopicSchema = {
+    title: requiredText("O título do tema é obrigatório."),
+    year: yearField('body'),
+    description: optionalText('A descrição'),
+    motivationalTexts: motivationalTextsField,
+    'motivationalTexts.*.content': requiredText("Cada texto motivador precisa de conteúdo (campo 'content')."),
+};
+
+export const updateTopicSchema = {
+    ...topicIdSchema,
+    title: { ...requiredText("O título do tema é obrigatório."), optional: true },
+    year: yearField('body'),
+    description: optionalText('A descrição'),
+    motivationalTexts: motivationalTextsField,
+    'motivationalTexts.*.content': requiredText("Cada texto motivador precisa de conteúdo (campo 'content')."),
+};
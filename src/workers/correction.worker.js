@@ -0,0 +1,58 @@
+// src/workers/correction.worker.js
+
+import { claimNextJob, processJob } from '../services/correction-queue.service.js';
+import { logger } from '../logger/index.js';
+
+const concurrency = Number(process.env.CORRECTION_WORKER_CONCURRENCY || 2);
+const pollIntervalMs = Number(process.env.CORRECTION_WORKER_POLL_MS || 1000);
+
+const activeJobs = new Set();
+let timer = null;
+let running = false;
+// Tick em andamento: pode reservar um job depois que stopCorrectionWorker foi chamado
+let currentTick = null;
+
+/**
+ * Preenche os slots livres com jobs prontos para execução.
+ */
+const tick = async () => {
+    try {
+        while (running && activeJobs.size < concurrency) {
+            const job = await claimNextJob();
+            if (!job) break;
+
+            // processJob já registra a falha do job; aqui sobra só o erro ao gravar esse status
+            const execution = processJob(job)
+                .catch(error => logger.error('Erro ao executar job de correção', { jobId: job.id, error: error.message }))
+                .finally(() => activeJobs.delete(execution));
+            activeJobs.add(execution);
+        }
+    } catch (error) {
+        logger.error('Erro no worker de correções', { error: error.message });
+    } finally {
+        if (running) {
+            timer = setTimeout(() => { currentTick = tick(); }, pollIntervalMs);
+        }
+    }
+};
+
+/**
+ * Inicia o loop do worker no processo atual.
+ */
+export const startCorrectionWorker = () => {
+    if (running) return;
+    running = true;
+    logger.info(`🧵 Worker de correções iniciado (concorrência: ${concurrency}).`, { concurrency });
+    currentTick = tick();
+};
+
+/**
+ * Para de reservar novos jobs e aguarda os que estão em execução, inclusive os reservados
+ * pelo tick em andamento.
+ */
+export const stopCorrectionWorker = async () => {
+    running = false;
+    clearTimeout(timer);
+    await currentTick;
+    await Promise.allSettled([...activeJobs]);
+};
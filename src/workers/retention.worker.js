@@ -0,0 +1,45 @@
+// src/workers/retention.worker.js
+
+import { applyRetentionPolicy, retentionMonths } from '../services/privacy.service.js';
+import { logger } from '../logger/index.js';
+
+const intervalMs = Number(process.env.RETENTION_INTERVAL_HOURS || 24) * 60 * 60 * 1000;
+
+let timer = null;
+let running = false;
+let currentRun = null;
+
+/**
+ * Aplica a política de retenção e agenda a próxima execução.
+ */
+const tick = async () => {
+    currentRun = applyRetentionPolicy().catch(error => {
+        logger.error('Erro ao aplicar a política de retenção', { error: error.message });
+    });
+    await currentRun;
+    currentRun = null;
+
+    if (running) {
+        timer = setTimeout(tick, intervalMs);
+    }
+};
+
+/**
+ * Inicia a política de retenção no processo atual (uma execução agora e depois a cada
+ * RETENTION_INTERVAL_HOURS). Sem ESSAY_RETENTION_MONTHS não faz nada.
+ */
+export const startRetentionWorker = () => {
+    if (running || !(retentionMonths > 0)) return;
+    running = true;
+    logger.info(`🗄️ Política de retenção ativa (${retentionMonths} meses).`, { retentionMonths });
+    tick();
+};
+
+/**
+ * Cancela as próximas execuções e aguarda a que estiver em andamento.
+ */
+export const stopRetentionWorker = async () => {
+    running = false;
+    clearTimeout(timer);
+    await currentRun;
+};
@@ -0,0 +1,125 @@
+// tests/essay.routes.test.js
+
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import express from 'express';
+import cookieParser from 'cookie-parser';
+import request from 'supertest';
+import { createInMemoryPrisma, Prisma } from './support/in-memory-prisma.js';
+import { ESSAY_TEXT, ESSAY_TOPIC } from './fixtures.js';
+
+// Variáveis lidas no carregamento dos módulos: definidas antes dos imports dinâmicos abaixo
+process.env.CORRECTION_PROVIDER = 'fake';
+process.env.JWT_SECRET = 'test-secret';
+process.env.LOG_LEVEL = 'error';
+
+const prisma = createInMemoryPrisma();
+jest.unstable_mockModule('../src/config/db.js', () => ({
+    prisma,
+    default: prisma,
+    pingDatabase: async () => {},
+    disconnectDatabase: async () => {},
+}));
+jest.unstable_mockModule('@prisma/client', () => ({ Prisma, PrismaClient: class {} }));
+
+const { default: essayRoutes } = await import('../src/routes/essay.routes.js');
+const { protectRoute } = await import('../src/middlewares/auth.middleware.js');
+const { errorHandler, notFoundHandler } = await import('../src/middlewares/error.middleware.js');
+const { createSession } = await import('../src/services/session.service.js');
+const { claimNextJob, processJob } = await import('../src/services/correction-queue.service.js');
+const { default: fakeProvider } = await import('../src/providers/fake.provider.js');
+const { COMPETENCY_KEYS, VALID_SCORES } = await import('../src/services/correction-schema.service.js');
+
+// Mesma montagem das rotas de redação em app.js
+const app = express();
+app.use(express.json());
+app.use(cookieParser());
+app.use('/api/essays', protectRoute, essayRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Executa os jobs da fila como o worker faria
+const drainQueue = async () => {
+    for (let job = await claimNextJob(); job; job = await claimNextJob()) {
+        await processJob(job);
+    }
+};
+
+describe('POST /api/essays with CORRECTION_PROVIDER=fake', () => {
+    let accessToken;
+
+    beforeEach(async () => {
+        const user = await prisma.user.create({
+            data: { email: 'aluno@example.com', password: 'hash', name: 'Aluno', emailVerifiedAt: new Date() },
+        });
+        ({ accessToken } = await createSession(user.id));
+    });
+
+    afterEach(() => prisma.$reset());
+
+    const submit = (body) => request(app)
+        .post('/api/essays')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send(body);
+
+    test('queues the essay and saves the normalized correction', async () => {
+        const response = await submit({ essayTopic: ESSAY_TOPIC, essayText: ESSAY_TEXT });
+
+        expect(response.status).toBe(202);
+        expect(response.body).toMatchObject({ status: 'queued', quota: { used: 1 } });
+
+        await drainQueue();
+
+        const job = await request(app)
+            .get(`/api/essays/jobs/${response.body.jobId}`)
+            .set('Authorization', `Bearer ${accessToken}`);
+        expect(job.status).toBe(200);
+        expect(job.body.status).toBe('saved');
+
+        const essay = await request(app)
+            .get(`/api/essays/${job.body.result.essayId}`)
+            .set('Authorization', `Bearer ${accessToken}`);
+        expect(essay.status).toBe(200);
+
+        const [correction] = essay.body.corrections;
+        expect(correction.provider).toBe('fake');
+        expect(correction.model).toBe(fakeProvider.model);
+        expect(correction.repairMethod).toBe('none');
+
+        const { notes } = correction;
+        COMPETENCY_KEYS.forEach(key => {
+            expect(VALID_SCORES).toContain(notes.competencias[key].nota);
+            expect(notes.competencias[key].analise).toEqual(expect.any(String));
+        });
+        expect(notes.total).toBe(COMPETENCY_KEYS.reduce((sum, key) => sum + notes.competencias[key].nota, 0));
+        expect(job.body.result.total).toBe(notes.total);
+
+        // Mesma correção que o provedor gera para o texto; as anotações vão para 'annotations'
+        const { text } = await fakeProvider.generateCorrection('', { essayText: ESSAY_TEXT, essayTopic: ESSAY_TOPIC });
+        const { anotacoes, ...expected } = JSON.parse(text);
+        expect(notes).toEqual(expected);
+        expect(correction.annotations).toHaveLength(anotacoes.length);
+    });
+
+    test('does not reuse the cached correction of another user', async () => {
+        await submit({ essayTopic: ESSAY_TOPIC, essayText: ESSAY_TEXT });
+        await drainQueue();
+
+        const other = await prisma.user.create({
+            data: { email: 'outro@example.com', password: 'hash', name: 'Outro', emailVerifiedAt: new Date() },
+        });
+        ({ accessToken } = await createSession(other.id));
+        const response = await submit({ essayTopic: ESSAY_TOPIC, essayText: ESSAY_TEXT });
+        await drainQueue();
+
+        const job = await prisma.correctionJob.findUnique({ where: { id: response.body.jobId } });
+        expect(job.result.cached).toBe(false);
+        expect(await prisma.modelCall.count({ where: { userId: other.id } })).toBe(1);
+    });
+
+    test('rejects a submission without the essay text', async () => {
+        const response = await submit({ essayTopic: ESSAY_TOPIC });
+
+        expect(response.status).toBe(400);
+        expect(await prisma.correctionJob.count()).toBe(0);
+    });
+});
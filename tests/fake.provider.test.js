@@ -0,0 +1,38 @@
+// tests/fake.provider.test.js
+
+import { describe, expect, test } from '@jest/globals';
+import fakeProvider from '../src/providers/fake.provider.js';
+import { validateCorrection } from '../src/services/correction-schema.service.js';
+import { ESSAY_TEXT, ESSAY_TOPIC } from './fixtures.js';
+
+const PROMPT = 'Corrija a redação a seguir.';
+
+describe('fake provider', () => {
+    test('returns the same correction for the same input', async () => {
+        const first = await fakeProvider.generateCorrection(PROMPT, { essayText: ESSAY_TEXT, essayTopic: ESSAY_TOPIC });
+        const second = await fakeProvider.generateCorrection(PROMPT, { essayText: ESSAY_TEXT, essayTopic: ESSAY_TOPIC });
+
+        expect(second).toEqual(first);
+    });
+
+    test('returns a correction in the normalized format', async () => {
+        const { text, blockReason, usage } = await fakeProvider.generateCorrection(PROMPT, { essayText: ESSAY_TEXT, essayTopic: ESSAY_TOPIC });
+        const correction = JSON.parse(text);
+
+        expect(blockReason).toBeUndefined();
+        expect(validateCorrection(correction)).toEqual([]);
+        expect(usage.totalTokens).toBe(usage.promptTokens + usage.completionTokens);
+    });
+
+    test('anchors the annotation on the first sentence of the essay', async () => {
+        const { text } = await fakeProvider.generateCorrection(PROMPT, { essayText: ESSAY_TEXT, essayTopic: ESSAY_TOPIC });
+        const [annotation] = JSON.parse(text).anotacoes;
+
+        expect(ESSAY_TEXT.slice(annotation.inicio, annotation.fim)).toBe(annotation.trecho);
+        expect(annotation.inicio).toBe(0);
+    });
+
+    test('does not need credentials or network access', () => {
+        expect(fakeProvider.isConfigured()).toBe(true);
+    });
+});
@@ -0,0 +1,22 @@
+// tests/fixtures.js
+
+/**
+ * Redação de exemplo com tamanho e estrutura de uma redação do ENEM (quatro parágrafos,
+ * bem acima do mínimo de linhas da pré-análise).
+ */
+export const ESSAY_TOPIC = 'Desafios para a valorização de comunidades e povos tradicionais no Brasil';
+
+export const ESSAY_TEXT = [
+    'A Constituição Federal de 1988 assegura a todos os cidadãos o direito à cultura e à preservação de seus modos de vida. '
+        + 'Entretanto, a realidade das comunidades tradicionais brasileiras revela um cenário de invisibilidade persistente, '
+        + 'marcado pela ausência de políticas públicas eficazes e pelo preconceito histórico enraizado na sociedade.',
+    'Em primeiro lugar, convém destacar que a expansão desordenada das fronteiras agrícolas ameaça territórios ocupados há séculos. '
+        + 'Quilombolas, ribeirinhos e povos indígenas veem suas terras invadidas, o que compromete a subsistência dessas famílias '
+        + 'e rompe vínculos culturais transmitidos entre gerações ao longo de muito tempo.',
+    'Além disso, a escola pouco aborda a contribuição desses grupos para a formação da identidade nacional. '
+        + 'Sem conhecer essas histórias, os estudantes reproduzem estereótipos e naturalizam a exclusão, perpetuando um ciclo '
+        + 'de desinformação que dificulta o reconhecimento dos direitos garantidos por lei a essas populações.',
+    'Portanto, cabe ao Ministério da Educação incluir nos currículos conteúdos sobre os povos tradicionais, por meio de materiais '
+        + 'produzidos com as próprias comunidades, a fim de combater o preconceito. Ao mesmo tempo, o poder público deve demarcar '
+        + 'os territórios e fiscalizar invasões, garantindo a permanência dessas populações em suas terras.',
+].join('\n\n');
@@ -0,0 +1,325 @@
+// tests/support/in-memory-prisma.js
+
+import { readFileSync } from 'node:fs';
+import { randomBytes } from 'node:crypto';
+
+/**
+ * Cliente Prisma em memória para os testes, sem MongoDB. Lê os modelos, valores padrão e
+ * relações de prisma/schema.prisma e implementa o subconjunto da API usado pelos serviços:
+ * filtros (operadores escalares, isSet, has/hasSome, AND/OR/NOT, relações), include/select/omit,
+ * _count, orderBy, skip/take, incremento e $transaction.
+ */
+
+const SCALAR_TYPES = ['String', 'Int', 'Float', 'Boolean', 'DateTime', 'Json', 'Bytes', 'BigInt', 'Decimal'];
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1);
+
+const parseDefault = (raw, type) => {
+    if (raw === 'now()') return () => new Date();
+    if (raw === 'auto()') return null;
+    if (raw.startsWith('"')) return () => JSON.parse(raw);
+    if (raw === 'true' || raw === 'false') return () => raw === 'true';
+    if (['Int', 'Float'].includes(type)) return () => Number(raw);
+    return null;
+};
+
+/**
+ * Modelos do schema: campos com tipo, lista/opcional, padrão, @updatedAt e relações.
+ */
+const parseSchema = (source) => {
+    const models = {};
+    for (const [, name, body] of source.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+        const fields = {};
+        for (const line of body.split('\n')) {
+            const match = line.trim().match(/^(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/);
+            if (!match) continue;
+            const [, field, type, list, , attributes] = match;
+            const relation = attributes.match(/@relation\(fields: \[(\w+)\], references: \[(\w+)\]\)/);
+            const defaultValue = attributes.match(/@default\(([^)]*\)?)\)/);
+            fields[field] = {
+                type,
+                list: Boolean(list),
+                scalar: SCALAR_TYPES.includes(type),
+                updatedAt: attributes.includes('@updatedAt'),
+                default: defaultValue ? parseDefault(defaultValue[1], type) : null,
+                foreignKey: relation?.[1],
+            };
+        }
+        models[name] = fields;
+    }
+
+    // Relações de lista: a chave estrangeira está no modelo do outro lado
+    Object.entries(models).forEach(([name, fields]) => {
+        Object.values(fields).filter(field => !field.scalar && field.list).forEach(field => {
+            const back = Object.values(models[field.type]).find(other => other.type === name && other.foreignKey);
+            field.backReference = back?.foreignKey;
+        });
+    });
+
+    return models;
+};
+
+const newObjectId = () => randomBytes(12).toString('hex');
+
+// Sem structuredClone: sob o jest ele devolve Dates de outro contexto (falham em instanceof Date)
+const isDate = (value) => Object.prototype.toString.call(value) === '[object Date]';
+
+const clone = (value) => {
+    if (isDate(value)) return new Date(value.getTime());
+    if (Array.isArray(value)) return value.map(clone);
+    if (value !== null && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+};
+
+const compare = (a, b) => {
+    if (isDate(a)) a = a.getTime();
+    if (isDate(b)) b = b.getTime();
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    return a < b ? -1 : 1;
+};
+
+const equals = (a, b) => {
+    if (b === null) return a === null || a === undefined;
+    return compare(a, b) === 0;
+};
+
+export const createInMemoryPrisma = ({ schemaPath = new URL('../../prisma/schema.prisma', import.meta.url) } = {}) => {
+    const models = parseSchema(readFileSync(schemaPath, 'utf8'));
+    const delegateNames = Object.fromEntries(Object.keys(models).map(name => [lowerFirst(name), name]));
+    const tables = Object.fromEntries(Object.keys(models).map(name => [name, new Map()]));
+
+    const matchesScalar = (value, filter) => {
+        if (filter === null || typeof filter !== 'object' || isDate(filter) || Array.isArray(filter)) {
+            return equals(value, filter);
+        }
+
+        const insensitive = filter.mode === 'insensitive';
+        const text = (v) => (insensitive ? String(v ?? '').toLowerCase() : String(v ?? ''));
+
+        return Object.entries(filter).every(([operator, operand]) => {
+            switch (operator) {
+                case 'equals': return equals(value, operand);
+                case 'not': return operand !== null && typeof operand === 'object' && !isDate(operand)
+                    ? !matchesScalar(value, operand)
+                    : !equals(value, operand);
+                case 'in': return operand.some(item => equals(value, item));
+                case 'notIn': return !operand.some(item => equals(value, item));
+                case 'lt': return value !== undefined && value !== null && compare(value, operand) < 0;
+                case 'lte': return value !== undefined && value !== null && compare(value, operand) <= 0;
+                case 'gt': return value !== undefined && value !== null && compare(value, operand) > 0;
+                case 'gte': return value !== undefined && value !== null && compare(value, operand) >= 0;
+                case 'contains': return value !== undefined && value !== null && text(value).includes(text(operand));
+                case 'startsWith': return value !== undefined && value !== null && text(value).startsWith(text(operand));
+                case 'endsWith': return value !== undefined && value !== null && text(value).endsWith(text(operand));
+                case 'isSet': return (value !== undefined) === operand;
+                case 'has': return Array.isArray(value) && value.some(item => equals(item, operand));
+                case 'hasSome': return Array.isArray(value) && operand.some(item => value.some(v => equals(v, item)));
+                case 'hasEvery': return Array.isArray(value) && operand.every(item => value.some(v => equals(v, item)));
+                case 'isEmpty': return Array.isArray(value) && (value.length === 0) === operand;
+                case 'mode': return true;
+                default: throw new Error(`Operador não suportado no Prisma em memória: ${operator}`);
+            }
+        });
+    };
+
+    const relatedRows = (modelName, row, field) => {
+        const definition = models[modelName][field];
+        if (definition.list) {
+            return [...tables[definition.type].values()].filter(other => other[definition.backReference] === row.id);
+        }
+        const id = row[definition.foreignKey];
+        return id ? [tables[definition.type].get(id)].filter(Boolean) : [];
+    };
+
+    const matches = (modelName, row, where = {}) => Object.entries(where).every(([key, filter]) => {
+        if (filter === undefined) return true;
+        if (key === 'AND') return [].concat(filter).every(part => matches(modelName, row, part));
+        if (key === 'OR') return filter.some(part => matches(modelName, row, part));
+        if (key === 'NOT') return ![].concat(filter).some(part => matches(modelName, row, part));
+
+        const definition = models[modelName][key];
+        if (!definition) throw new Error(`Campo desconhecido em ${modelName}: ${key}`);
+        if (definition.scalar) return matchesScalar(row[key], filter);
+
+        const related = relatedRows(modelName, row, key);
+        if (definition.list) {
+            if (filter.some) return related.some(other => matches(definition.type, other, filter.some));
+            if (filter.every) return related.every(other => matches(definition.type, other, filter.every));
+            if (filter.none) return !related.some(other => matches(definition.type, other, filter.none));
+            throw new Error(`Filtro de lista não suportado em ${modelName}.${key}`);
+        }
+        if (filter === null) return related.length === 0;
+        const target = filter.is ?? filter;
+        return related.length > 0 && matches(definition.type, related[0], target);
+    });
+
+    const sortRows = (rows, orderBy) => {
+        const orders = [].concat(orderBy ?? []);
+        return [...rows].sort((a, b) => {
+            for (const order of orders) {
+                const [[field, direction]] = Object.entries(order);
+                const result = compare(a[field], b[field]);
+                if (result !== 0) return direction === 'desc' ? -result : result;
+            }
+            return 0;
+        });
+    };
+
+    const page = (rows, { orderBy, skip = 0, take } = {}) => {
+        const sorted = sortRows(rows, orderBy);
+        return take === undefined ? sorted.slice(skip) : sorted.slice(skip, skip + take);
+    };
+
+    const countRelations = (modelName, row, select) => Object.fromEntries(
+        Object.entries(select).filter(([, value]) => value).map(([field, value]) => {
+            const related = relatedRows(modelName, row, field);
+            const where = value === true ? undefined : value.where;
+            return [field, related.filter(other => matches(models[modelName][field].type, other, where)).length];
+        })
+    );
+
+    const loadRelation = (modelName, row, field, args) => {
+        const definition = models[modelName][field];
+        const options = args === true ? {} : args;
+        const related = relatedRows(modelName, row, field).filter(other => matches(definition.type, other, options.where));
+        if (definition.list) {
+            return page(related, options).map(other => shape(definition.type, other, options));
+        }
+        return related[0] ? shape(definition.type, related[0], options) : null;
+    };
+
+    // Aplica select/include/omit a um registro
+    const shape = (modelName, row, { select, include, omit } = {}) => {
+        const fields = models[modelName];
+        let result;
+
+        if (select) {
+            result = {};
+            Object.entries(select).filter(([, value]) => value).forEach(([field, value]) => {
+                if (field === '_count') {
+                    result._count = countRelations(modelName, row, value.select);
+                } else if (fields[field].scalar) {
+                    result[field] = clone(row[field]);
+                } else {
+                    result[field] = loadRelation(modelName, row, field, value);
+                }
+            });
+            return result;
+        }
+
+        result = Object.fromEntries(Object.entries(fields)
+            .filter(([field, definition]) => definition.scalar && !omit?.[field])
+            .map(([field, definition]) => [field, row[field] === undefined ? (definition.list ? [] : null) : clone(row[field])]));
+
+        Object.entries(include ?? {}).filter(([, value]) => value).forEach(([field, value]) => {
+            result[field] = field === '_count'
+                ? countRelations(modelName, row, value.select)
+                : loadRelation(modelName, row, field, value);
+        });
+        return result;
+    };
+
+    const applyData = (modelName, row, data) => {
+        Object.entries(data).forEach(([field, value]) => {
+            if (value === undefined) return;
+            const definition = models[modelName][field];
+            if (!definition) throw new Error(`Campo desconhecido em ${modelName}: ${field}`);
+
+            if (value === 'DbNull') {
+                row[field] = null;
+            } else if (value !== null && typeof value === 'object' && !isDate(value) && !Array.isArray(value) && definition.type !== 'Json') {
+                if ('increment' in value) row[field] = (row[field] ?? 0) + value.increment;
+                else if ('decrement' in value) row[field] = (row[field] ?? 0) - value.decrement;
+                else if ('set' in value) row[field] = clone(value.set);
+                else if ('push' in value) row[field] = [...(row[field] ?? []), ...[].concat(value.push)];
+                else if ('unset' in value) delete row[field];
+                else throw new Error(`Atualização não suportada em ${modelName}.${field}`);
+            } else {
+                row[field] = clone(value);
+            }
+        });
+
+        const updatedAt = Object.entries(models[modelName]).find(([, definition]) => definition.updatedAt);
+        if (updatedAt && !('updatedAt' in data && data.updatedAt)) row[updatedAt[0]] = new Date();
+        return row;
+    };
+
+    const insert = (modelName, data) => {
+        const row = { id: data.id ?? newObjectId() };
+        Object.entries(models[modelName]).forEach(([field, definition]) => {
+            if (definition.default) row[field] = definition.default();
+            else if (definition.scalar && definition.list) row[field] = [];
+        });
+        applyData(modelName, row, data);
+        tables[modelName].set(row.id, row);
+        return row;
+    };
+
+    const findRows = (modelName, where) => [...tables[modelName].values()].filter(row => matches(modelName, row, where));
+
+    const delegate = (modelName) => {
+        // As operações são assíncronas, como no cliente real
+        const operations = {
+            findUnique: ({ where, ...args }) => {
+                const [row] = findRows(modelName, where);
+                return row ? shape(modelName, row, args) : null;
+            },
+            findFirst: ({ where, ...args } = {}) => {
+                const [row] = page(findRows(modelName, where), args);
+                return row ? shape(modelName, row, args) : null;
+            },
+            findMany: ({ where, ...args } = {}) => page(findRows(modelName, where), args).map(row => shape(modelName, row, args)),
+            count: ({ where } = {}) => findRows(modelName, where).length,
+            create: ({ data, ...args }) => shape(modelName, insert(modelName, data), args),
+            createMany: ({ data }) => ({ count: data.map(item => insert(modelName, item)).length }),
+            update: ({ where, data, ...args }) => {
+                const [row] = findRows(modelName, where);
+                if (!row) throw Object.assign(new Error(`${modelName} não encontrado`), { code: 'P2025' });
+                return shape(modelName, applyData(modelName, row, data), args);
+            },
+            updateMany: ({ where, data }) => ({ count: findRows(modelName, where).map(row => applyData(modelName, row, data)).length }),
+            upsert: ({ where, create, update, ...args }) => {
+                const [row] = findRows(modelName, where);
+                return shape(modelName, row ? applyData(modelName, row, update) : insert(modelName, create), args);
+            },
+            delete: ({ where, ...args }) => {
+                const [row] = findRows(modelName, where);
+                if (!row) throw Object.assign(new Error(`${modelName} não encontrado`), { code: 'P2025' });
+                tables[modelName].delete(row.id);
+                return shape(modelName, row, args);
+            },
+            deleteMany: ({ where } = {}) => {
+                const rows = findRows(modelName, where);
+                rows.forEach(row => tables[modelName].delete(row.id));
+                return { count: rows.length };
+            },
+        };
+
+        return Object.fromEntries(Object.entries(operations).map(([name, operation]) => [
+            name,
+            async (args) => operation(args),
+        ]));
+    };
+
+    const client = {
+        $transaction: async (operations) => (
+            typeof operations === 'function' ? operations(client) : Promise.all(operations)
+        ),
+        $runCommandRaw: async () => ({ ok: 1 }),
+        $disconnect: async () => {},
+        // Apaga todos os registros (entre um teste e outro)
+        $reset: () => Object.values(tables).forEach(table => table.clear()),
+    };
+    Object.entries(delegateNames).forEach(([delegateName, modelName]) => {
+        client[delegateName] = delegate(modelName);
+    });
+
+    return client;
+};
+
+// Substituto do namespace Prisma de @prisma/client
+export const Prisma = { DbNull: 'DbNull', JsonNull: 'JsonNull' };